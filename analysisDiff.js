@@ -0,0 +1,128 @@
+const { skillKey } = require('./skillTaxonomy');
+const { DEFAULT_RUBRIC } = require('./scoringRubrics');
+
+const READABILITY_METRICS = [
+    'wordCount',
+    'sentenceCount',
+    'avgSentenceLength',
+    'fleschScore',
+    'fleschGradeLevel',
+    'difficultWords'
+];
+
+function diffAnalyses(from, to) {
+    const fromResult = from.analysisResult || {};
+    const toResult = to.analysisResult || {};
+
+    const fromSkills = collectSkills(fromResult);
+    const toSkills = collectSkills(toResult);
+
+    return {
+        from: summarizeAnalysis(from),
+        to: summarizeAnalysis(to),
+        scoreDelta: round((toResult.score || 0) - (fromResult.score || 0)),
+        warnings: comparabilityWarnings(from, to),
+        skills: {
+            added: difference(toSkills, fromSkills, skillKey),
+            removed: difference(fromSkills, toSkills, skillKey),
+            changed: diffSkillLevels(fromResult.skillAssessment || [], toResult.skillAssessment || [])
+        },
+        improvements: {
+            resolved: difference(fromResult.improvements || [], toResult.improvements || []),
+            new: difference(toResult.improvements || [], fromResult.improvements || [])
+        },
+        keywords: {
+            added: difference(toResult.keywords || [], fromResult.keywords || []),
+            removed: difference(fromResult.keywords || [], toResult.keywords || [])
+        },
+        readability: diffReadability(fromResult.readability || {}, toResult.readability || {})
+    };
+}
+
+function summarizeAnalysis(analysis) {
+    return {
+        id: analysis._id,
+        originalFilename: analysis.originalFilename,
+        score: analysis.analysisResult ? analysis.analysisResult.score : null,
+        atsScore: analysis.ats ? analysis.ats.score : null,
+        engineVersion: analysis.engineVersion || null,
+        rubric: analysis.rubric || DEFAULT_RUBRIC,
+        createdAt: analysis.createdAt
+    };
+}
+
+// Scores from another engine version or rubric were computed differently, so their delta needs a caveat
+function comparabilityWarnings(from, to) {
+    const warnings = [];
+    const fromSummary = summarizeAnalysis(from);
+    const toSummary = summarizeAnalysis(to);
+
+    if (fromSummary.engineVersion !== toSummary.engineVersion) {
+        warnings.push({
+            code: 'engine_version_changed',
+            message: `Analyzed by different engine versions (${fromSummary.engineVersion || 'unknown'} and ${toSummary.engineVersion || 'unknown'}); part of the score change may come from the engine`
+        });
+    }
+    if (fromSummary.rubric !== toSummary.rubric) {
+        warnings.push({
+            code: 'rubric_changed',
+            message: `Scored with different rubrics (${fromSummary.rubric} and ${toSummary.rubric}); the scores are not directly comparable`
+        });
+    }
+
+    return warnings;
+}
+
+function collectSkills(result) {
+    return [
+        ...((result.entities && result.entities.skills) || []),
+        ...(result.skillAssessment || []).map(skill => skill.name)
+    ];
+}
+
+// Assessed skills whose level moved, matched by canonical skill so renamed synonyms still pair up
+function diffSkillLevels(fromSkills, toSkills) {
+    const fromLevels = new Map(fromSkills.map(skill => [skillKey(skill.name), skill.level]));
+
+    return toSkills
+        .filter(skill => fromLevels.has(skillKey(skill.name)) && fromLevels.get(skillKey(skill.name)) !== skill.level)
+        .map(skill => {
+            const from = fromLevels.get(skillKey(skill.name));
+            return { name: skill.name, from, to: skill.level, delta: round((skill.level || 0) - (from || 0)) };
+        });
+}
+
+// Set difference by key (case-insensitive by default) that keeps the first spelling seen
+function difference(items, others, toKey = item => String(item).toLowerCase()) {
+    const exclude = new Set(others.map(toKey));
+    const seen = new Set();
+
+    return items.filter(item => {
+        const key = toKey(item);
+        if (exclude.has(key) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function diffReadability(from, to) {
+    return READABILITY_METRICS.reduce((changes, metric) => {
+        if (typeof from[metric] === 'number' || typeof to[metric] === 'number') {
+            changes[metric] = {
+                from: round(from[metric]),
+                to: round(to[metric]),
+                delta: round((to[metric] || 0) - (from[metric] || 0))
+            };
+        }
+        return changes;
+    }, {});
+}
+
+function round(value) {
+    return typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+}
+
+module.exports = {
+    diffAnalyses,
+    summarizeAnalysis
+};
@@ -0,0 +1,121 @@
+const { diffAnalyses, summarizeAnalysis } = require('./analysisDiff');
+
+function analysis(overrides = {}, result = {}) {
+    return {
+        _id: 'a1',
+        originalFilename: 'resume.pdf',
+        engineVersion: '2.7.0',
+        rubric: 'general',
+        createdAt: new Date('2024-05-01T00:00:00Z'),
+        ats: { score: 80 },
+        ...overrides,
+        analysisResult: {
+            score: 70,
+            entities: { skills: ['Python', 'SQL'] },
+            skillAssessment: [
+                { name: 'Python', level: 60 },
+                { name: 'SQL', level: 40 }
+            ],
+            improvements: ['Add numbers to 2 bullet(s)'],
+            keywords: ['billing', 'python'],
+            readability: { wordCount: 300, fleschScore: 50.04 },
+            ...result
+        }
+    };
+}
+
+describe('diffAnalyses', () => {
+    test('reports the score delta and a summary of each side', () => {
+        const diff = diffAnalyses(analysis(), analysis({ _id: 'a2' }, { score: 78.46 }));
+
+        expect(diff.scoreDelta).toBe(8.5);
+        expect(diff.from).toEqual({
+            id: 'a1',
+            originalFilename: 'resume.pdf',
+            score: 70,
+            atsScore: 80,
+            engineVersion: '2.7.0',
+            rubric: 'general',
+            createdAt: new Date('2024-05-01T00:00:00Z')
+        });
+        expect(diff.to.id).toBe('a2');
+        expect(diff.warnings).toEqual([]);
+    });
+
+    test('lists added, removed and re-levelled skills', () => {
+        const diff = diffAnalyses(analysis(), analysis({}, {
+            entities: { skills: ['python', 'Kubernetes'] },
+            skillAssessment: [
+                { name: 'python', level: 75 },
+                { name: 'Kubernetes', level: 50 }
+            ]
+        }));
+
+        expect(diff.skills).toEqual({
+            added: ['Kubernetes'],
+            removed: ['SQL'],
+            changed: [{ name: 'python', from: 60, to: 75, delta: 15 }]
+        });
+    });
+
+    test('pairs up synonyms of the same skill', () => {
+        const diff = diffAnalyses(
+            analysis({}, { entities: { skills: ['ReactJS'] }, skillAssessment: [{ name: 'ReactJS', level: 50 }] }),
+            analysis({}, { entities: { skills: ['React'] }, skillAssessment: [{ name: 'React', level: 50 }] })
+        );
+
+        expect(diff.skills).toEqual({ added: [], removed: [], changed: [] });
+    });
+
+    test('reports resolved and new improvements, keywords and readability changes', () => {
+        const diff = diffAnalyses(analysis(), analysis({}, {
+            improvements: ['Use shorter sentences'],
+            keywords: ['Billing', 'kubernetes'],
+            readability: { wordCount: 320, fleschScore: 55 }
+        }));
+
+        expect(diff.improvements).toEqual({ resolved: ['Add numbers to 2 bullet(s)'], new: ['Use shorter sentences'] });
+        expect(diff.keywords).toEqual({ added: ['kubernetes'], removed: ['python'] });
+        expect(diff.readability).toEqual({
+            wordCount: { from: 300, to: 320, delta: 20 },
+            fleschScore: { from: 50, to: 55, delta: 5 }
+        });
+    });
+
+    test('warns when the engine versions differ', () => {
+        const diff = diffAnalyses(analysis({ engineVersion: '2.4.0' }), analysis({}, { score: 80 }));
+
+        expect(diff.scoreDelta).toBe(10);
+        expect(diff.warnings).toEqual([expect.objectContaining({ code: 'engine_version_changed' })]);
+        expect(diff.warnings[0].message).toContain('(2.4.0 and 2.7.0)');
+    });
+
+    test('warns when the rubrics differ', () => {
+        const diff = diffAnalyses(analysis(), analysis({ rubric: 'devops' }));
+
+        expect(diff.warnings).toEqual([expect.objectContaining({
+            code: 'rubric_changed',
+            message: 'Scored with different rubrics (general and devops); the scores are not directly comparable'
+        })]);
+    });
+
+    test('treats analyses from before versioning as the default rubric and an unknown engine', () => {
+        const legacy = analysis({ engineVersion: undefined, rubric: undefined });
+        const diff = diffAnalyses(legacy, analysis());
+
+        expect(diff.from).toMatchObject({ engineVersion: null, rubric: 'general' });
+        expect(diff.warnings.map(warning => warning.code)).toEqual(['engine_version_changed']);
+        expect(diff.warnings[0].message).toContain('(unknown and 2.7.0)');
+    });
+
+    test('compares analyses without results', () => {
+        const diff = diffAnalyses({ _id: 'a1' }, { _id: 'a2' });
+
+        expect(diff).toMatchObject({
+            scoreDelta: 0,
+            skills: { added: [], removed: [], changed: [] },
+            readability: {}
+        });
+        expect(summarizeAnalysis({ _id: 'a1' })).toMatchObject({ score: null, atsScore: null });
+    });
+});
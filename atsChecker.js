@@ -0,0 +1,388 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const readFile = promisify(fs.readFile);
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { detectSectionHeading } = require('./resumeParser');
+
+const SEVERITY_PENALTY = {
+    high: 20,
+    medium: 10,
+    low: 5
+};
+
+// Fonts every mainstream ATS renders and decodes reliably
+const STANDARD_FONTS = [
+    'arial', 'aptos', 'bookantiqua', 'calibri', 'cambria', 'candara', 'courier',
+    'couriernew', 'garamond', 'georgia', 'helvetica', 'lato', 'opensans',
+    'palatino', 'roboto', 'segoeui', 'symbol', 'tahoma', 'times', 'timesnewroman',
+    'trebuchetms', 'verdana', 'zapfdingbats'
+];
+
+// Sections every ATS expects to find under a recognisable heading
+const REQUIRED_SECTIONS = ['experience', 'education', 'skills'];
+
+const CONTACT_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+|\+?\d[\d\s().-]{7,}\d/;
+const HEADER_FOOTER_MARGIN = 0.08; // fraction of page height
+const SEGMENT_GAP = 0.05; // fraction of page width separating text blocks on a line
+const MIN_TEXT_PER_PAGE = 100; // characters
+const MAX_INFLATED_BYTES = 10 * 1024 * 1024;
+
+async function checkAtsCompatibility(filePath, fileType, text) {
+    const issues = [];
+    // Text the ATS is likely to drop, kept so contact extraction can tell where details were found
+    const headerFooterLines = [];
+
+    if (fileType === 'application/pdf') {
+        issues.push(...await auditPdf(filePath, headerFooterLines));
+    } else if (fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+        issues.push(...await auditDocx(filePath, headerFooterLines));
+    }
+
+    issues.push(...auditText(text));
+
+    const penalty = issues.reduce((sum, issue) => sum + SEVERITY_PENALTY[issue.severity], 0);
+
+    return {
+        score: Math.max(100 - penalty, 0),
+        compatible: !issues.some(issue => issue.severity === 'high'),
+        issues,
+        headerFooterText: headerFooterLines.join('\n'),
+        checkedAt: new Date().toISOString()
+    };
+}
+
+// ======================
+// PDF checks
+// ======================
+async function auditPdf(filePath, headerFooterLines = []) {
+    const buffer = await readFile(filePath);
+    const pages = [];
+
+    // pdf.js misreads pooled Node buffers, so hand it a standalone copy
+    await pdf(new Uint8Array(buffer), {
+        pagerender: async (pageData) => {
+            const viewport = pageData.getViewport(1);
+            const textContent = await pageData.getTextContent();
+            pages.push({
+                width: viewport.width,
+                height: viewport.height,
+                items: textContent.items.filter(item => item.str.trim())
+            });
+            return textContent.items.map(item => item.str).join(' ');
+        }
+    });
+
+    const issues = [];
+    pages.forEach((page, index) => {
+        issues.push(...auditPdfPageLayout(page, index + 1, headerFooterLines));
+    });
+    issues.push(...auditPdfResources(buffer, pages));
+
+    return issues;
+}
+
+function auditPdfPageLayout(page, pageNumber, headerFooterLines = []) {
+    const issues = [];
+    const lines = groupIntoLines(page.items, page.width);
+
+    const tableRows = lines.filter(segments => segments.length >= 3);
+    if (tableRows.length >= 3) {
+        issues.push({
+            code: 'table_layout',
+            severity: 'medium',
+            message: 'Content is laid out in a table; many ATS read table cells out of order',
+            page: pageNumber
+        });
+    }
+
+    const columnRows = lines.filter(segments =>
+        segments.length === 2 &&
+        segments[1].x > page.width * 0.3 &&
+        segments[1].x < page.width * 0.7
+    );
+    if (columnRows.length >= 5 && columnRows.length / lines.length >= 0.3) {
+        issues.push({
+            code: 'multi_column',
+            severity: 'high',
+            message: 'Multi-column layout detected; ATS parsers read across columns and scramble the text',
+            page: pageNumber
+        });
+    }
+
+    const marginItems = page.items.filter(item => {
+        const y = item.transform[5];
+        return y > page.height * (1 - HEADER_FOOTER_MARGIN) || y < page.height * HEADER_FOOTER_MARGIN;
+    });
+    groupIntoLines(marginItems, page.width).forEach(segments => {
+        headerFooterLines.push(segments.map(segment => segment.text).join(' | '));
+    });
+    if (marginItems.some(item => CONTACT_PATTERN.test(item.str))) {
+        issues.push({
+            code: 'contact_in_header_footer',
+            severity: 'medium',
+            message: 'Contact details sit in the page header or footer, which many ATS ignore',
+            page: pageNumber
+        });
+    }
+
+    return issues;
+}
+
+// Group text items into lines, then split each line into blocks separated by wide gaps
+function groupIntoLines(items, pageWidth) {
+    const lines = new Map();
+
+    items.forEach(item => {
+        const y = Math.round(item.transform[5] / 2) * 2;
+        if (!lines.has(y)) lines.set(y, []);
+        lines.get(y).push(item);
+    });
+
+    return [...lines.values()].map(lineItems => {
+        const sorted = lineItems.sort((a, b) => a.transform[4] - b.transform[4]);
+        const segments = [];
+        let lastEnd = null;
+
+        sorted.forEach(item => {
+            const x = item.transform[4];
+            if (lastEnd === null || x - lastEnd > pageWidth * SEGMENT_GAP) {
+                segments.push({ x, text: item.str });
+            } else {
+                segments[segments.length - 1].text += item.str;
+            }
+            lastEnd = x + item.width;
+        });
+
+        return segments;
+    });
+}
+
+// Fonts and images live in the PDF object dictionaries, which pdf-parse doesn't expose
+function auditPdfResources(buffer, pages) {
+    const issues = [];
+    const source = readPdfDictionaries(buffer);
+
+    const imageCount = (source.match(/\/Subtype\s*\/Image\b/g) || []).length;
+    const textLength = pages.reduce((sum, page) =>
+        sum + page.items.reduce((count, item) => count + item.str.trim().length, 0), 0);
+
+    if (imageCount > 0 && textLength < MIN_TEXT_PER_PAGE * Math.max(pages.length, 1)) {
+        issues.push({
+            code: 'text_in_images',
+            severity: 'high',
+            message: 'The resume appears to be scanned or image-based; ATS cannot read text inside images'
+        });
+    } else if (imageCount > 0) {
+        issues.push({
+            code: 'images',
+            severity: 'low',
+            message: `Found ${imageCount} image(s); any text inside graphics or icons is invisible to ATS`
+        });
+    }
+
+    const fonts = [...new Set(
+        [...source.matchAll(/\/BaseFont\s*\/([^\s/<>[\]()]+)/g)].map(match => match[1])
+    )];
+
+    const nonStandardFonts = fonts
+        .map(font => font.replace(/^[A-Z]{6}\+/, ''))
+        .filter(font => !isStandardFont(font));
+    if (nonStandardFonts.length > 0) {
+        issues.push({
+            code: 'non_standard_fonts',
+            severity: 'low',
+            message: `Non-standard fonts may not render in ATS: ${[...new Set(nonStandardFonts)].slice(0, 5).join(', ')}`
+        });
+    }
+
+    if (/\/Subtype\s*\/Type3\b/.test(source)) {
+        issues.push({
+            code: 'type3_fonts',
+            severity: 'medium',
+            message: 'Type 3 (bitmap) fonts detected; their text often extracts as gibberish'
+        });
+    }
+
+    if (/\/Identity-H\b/.test(source) && !/\/ToUnicode\b/.test(source)) {
+        issues.push({
+            code: 'missing_unicode_map',
+            severity: 'high',
+            message: 'Fonts use a custom encoding without a Unicode map, so extracted text may be unreadable'
+        });
+    }
+
+    return issues;
+}
+
+// Raw PDF source plus the contents of compressed object streams
+function readPdfDictionaries(buffer) {
+    const raw = buffer.toString('latin1');
+    const chunks = [raw];
+    let inflatedBytes = 0;
+    const streamPattern = /\/Type\s*\/ObjStm[^]*?stream\r?\n/g;
+    let match;
+
+    while ((match = streamPattern.exec(raw)) !== null && inflatedBytes < MAX_INFLATED_BYTES) {
+        const start = match.index + match[0].length;
+        const end = raw.indexOf('endstream', start);
+        if (end === -1) break;
+
+        try {
+            const inflated = zlib.inflateSync(buffer.subarray(start, end), {
+                maxOutputLength: MAX_INFLATED_BYTES - inflatedBytes
+            });
+            inflatedBytes += inflated.length;
+            chunks.push(inflated.toString('latin1'));
+        } catch (error) {
+            // Not Flate-encoded or truncated; the uncompressed dictionaries still get checked
+        }
+    }
+
+    return chunks.join('\n');
+}
+
+function isStandardFont(fontName) {
+    const compact = fontName
+        .split(/[-,]/)[0]
+        .replace(/(PSMT|PS|MT)$/, '')
+        .replace(/[^a-z]/gi, '')
+        .toLowerCase();
+    return STANDARD_FONTS.some(font => compact.startsWith(font));
+}
+
+// ======================
+// DOCX checks
+// ======================
+async function auditDocx(filePath, headerFooterLines = []) {
+    const issues = [];
+    const model = {
+        tables: 0,
+        images: 0,
+        fonts: new Set()
+    };
+
+    // Walk mammoth's document model for tables, images and run fonts
+    await mammoth.convertToHtml({ path: filePath }, {
+        transformDocument: (document) => {
+            walkDocument(document, model);
+            return document;
+        }
+    });
+
+    if (model.tables > 0) {
+        issues.push({
+            code: 'table_layout',
+            severity: 'medium',
+            message: `Found ${model.tables} table(s); many ATS read table cells out of order`
+        });
+    }
+
+    if (model.images > 0) {
+        issues.push({
+            code: 'images',
+            severity: 'low',
+            message: `Found ${model.images} image(s); any text inside graphics or icons is invisible to ATS`
+        });
+    }
+
+    const nonStandardFonts = [...model.fonts].filter(font => !isStandardFont(font));
+    if (nonStandardFonts.length > 0) {
+        issues.push({
+            code: 'non_standard_fonts',
+            severity: 'low',
+            message: `Non-standard fonts may not render in ATS: ${nonStandardFonts.slice(0, 5).join(', ')}`
+        });
+    }
+
+    // Headers, footers, columns and text boxes are dropped by mammoth, so read the package parts
+    const zip = await JSZip.loadAsync(await readFile(filePath));
+    const documentXml = await readZipEntry(zip, 'word/document.xml');
+
+    const columns = [...documentXml.matchAll(/<w:cols\b[^>]*w:num="(\d+)"/g)]
+        .map(match => parseInt(match[1]));
+    if (columns.some(count => count > 1)) {
+        issues.push({
+            code: 'multi_column',
+            severity: 'high',
+            message: 'Multi-column layout detected; ATS parsers read across columns and scramble the text'
+        });
+    }
+
+    if (/<w:txbxContent\b/.test(documentXml)) {
+        issues.push({
+            code: 'text_boxes',
+            severity: 'medium',
+            message: 'Text boxes detected; many ATS skip text inside floating boxes'
+        });
+    }
+
+    const headerFooterFiles = Object.keys(zip.files)
+        .filter(name => /^word\/(header|footer)\d*\.xml$/.test(name));
+    for (const name of headerFooterFiles) {
+        headerFooterLines.push(xmlToText(await readZipEntry(zip, name)));
+    }
+    if (headerFooterLines.some(text => CONTACT_PATTERN.test(text))) {
+        issues.push({
+            code: 'contact_in_header_footer',
+            severity: 'medium',
+            message: 'Contact details sit in the document header or footer, which many ATS ignore'
+        });
+    }
+
+    return issues;
+}
+
+function walkDocument(element, model) {
+    if (element.type === 'table') model.tables++;
+    if (element.type === 'image') model.images++;
+    if (element.type === 'run' && element.font) model.fonts.add(element.font);
+
+    (element.children || []).forEach(child => walkDocument(child, model));
+}
+
+async function readZipEntry(zip, name) {
+    const entry = zip.file(name);
+    return entry ? entry.async('string') : '';
+}
+
+function xmlToText(xml) {
+    return xml.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// ======================
+// Text checks (all formats)
+// ======================
+function auditText(text) {
+    const issues = [];
+    const content = text || '';
+
+    const garbled = (content.match(/[\uFFFD\uE000-\uF8FF\u0000-\u0008\u000E-\u001F]/g) || []).length;
+    if (content.length > 0 && garbled / content.length > 0.01) {
+        issues.push({
+            code: 'non_standard_encoding',
+            severity: 'high',
+            message: 'Extracted text contains unreadable characters; the file uses a non-standard encoding'
+        });
+    }
+
+    const headings = new Set(content.split(/\r?\n/).map(detectSectionHeading));
+
+    REQUIRED_SECTIONS.forEach(section => {
+        if (!headings.has(section)) {
+            issues.push({
+                code: 'missing_section_heading',
+                severity: 'medium',
+                message: `No standard "${section.charAt(0).toUpperCase() + section.slice(1)}" heading found; ATS use headings to locate sections`
+            });
+        }
+    });
+
+    return issues;
+}
+
+module.exports = {
+    checkAtsCompatibility
+};
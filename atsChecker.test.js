@@ -0,0 +1,290 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const PDFDocument = require('pdfkit');
+const { checkAtsCompatibility } = require('./atsChecker');
+
+const PDF = 'application/pdf';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const RESUME_TEXT = [
+    'Jane Doe',
+    'Experience',
+    'Senior Engineer at Acme Corp, building billing services and leading a team of four engineers.',
+    'Education',
+    'BSc Computer Science, State University',
+    'Skills',
+    'Python, Kubernetes, PostgreSQL'
+].join('\n');
+
+// 1x1 transparent PNG
+const PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+let tempDir;
+
+beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ats-checker-'));
+});
+
+afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function writeTemp(name, buffer) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+}
+
+// PDF drawn with pdfkit; draw places text at absolute positions
+function buildPdf(draw) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument({ size: 'LETTER' });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(writeTemp(`${Math.random().toString(36).slice(2)}.pdf`, Buffer.concat(chunks))));
+        draw(doc);
+        doc.end();
+    });
+}
+
+function drawResume(doc) {
+    RESUME_TEXT.split('\n').forEach((line, index) => doc.text(line, 72, 100 + index * 20));
+}
+
+// Hand-written PDF for font dictionaries pdfkit never produces; extra objects are left unreferenced
+function buildRawPdf({ baseFont = 'Helvetica', extraObjects = [] } = {}) {
+    const lines = RESUME_TEXT.split('\n');
+    const content = `BT /F1 11 Tf 72 720 Td 14 TL ${lines.map(line => `(${line.replace(/[()\\]/g, '\\$&')}) '`).join(' ')} ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        ...extraObjects
+    ];
+
+    let source = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = source.length;
+        source += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = source.length;
+    source += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return writeTemp(`${Math.random().toString(36).slice(2)}.pdf`, Buffer.from(source, 'latin1'));
+}
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture" ' +
+    'xmlns:v="urn:schemas-microsoft-com:vml"';
+
+const paragraph = (text, font) =>
+    `<w:p><w:r>${font ? `<w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}"/></w:rPr>` : ''}<w:t>${text}</w:t></w:r></w:p>`;
+
+// Minimal DOCX package; body is WordprocessingML placed before the section properties
+async function buildDocx({ body = '', columns = 1, header = null, image = false } = {}) {
+    const zip = new JSZip();
+    const relationships = [
+        image && '<Relationship Id="rIdImage" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/pixel.png"/>',
+        header && '<Relationship Id="rIdHeader" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>'
+    ].filter(Boolean).join('');
+    const drawing = image
+        ? '<w:p><w:r><w:drawing><wp:inline><wp:extent cx="9525" cy="9525"/><wp:docPr id="1" name="Logo"/>' +
+            '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+            '<pic:blipFill><a:blip r:embed="rIdImage"/></pic:blipFill></pic:pic></a:graphicData></a:graphic>' +
+            '</wp:inline></w:drawing></w:r></w:p>'
+        : '';
+
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Default Extension="png" ContentType="image/png"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '</Types>');
+    zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        '</Relationships>');
+    zip.file('word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8"?>' +
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships}</Relationships>`);
+    zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document ${W}><w:body>` +
+        `${RESUME_TEXT.split('\n').map(line => paragraph(line)).join('')}${drawing}${body}` +
+        `<w:sectPr>${header ? '<w:headerReference w:type="default" r:id="rIdHeader"/>' : ''}<w:cols w:num="${columns}"/></w:sectPr>` +
+        '</w:body></w:document>');
+    if (header) {
+        zip.file('word/header1.xml', `<?xml version="1.0" encoding="UTF-8"?><w:hdr ${W}>${paragraph(header)}</w:hdr>`);
+    }
+    if (image) {
+        zip.file('word/media/pixel.png', PIXEL);
+    }
+
+    return writeTemp(`${Math.random().toString(36).slice(2)}.docx`, await zip.generateAsync({ type: 'nodebuffer' }));
+}
+
+const codesOf = (result) => result.issues.map(issue => issue.code);
+
+describe('overall result', () => {
+    test('a plain single-column resume passes cleanly', async () => {
+        const result = await checkAtsCompatibility(await buildPdf(drawResume), PDF, RESUME_TEXT);
+
+        expect(result).toMatchObject({ score: 100, compatible: true, issues: [], headerFooterText: '' });
+        expect(new Date(result.checkedAt).toString()).not.toBe('Invalid Date');
+    });
+
+    test('a two-column resume with contact details in the header fails', async () => {
+        const file = await buildPdf(doc => {
+            doc.text('jane@example.com', 72, 20);
+            for (let row = 0; row < 8; row++) {
+                doc.text(`Left column line ${row}`, 72, 120 + row * 20);
+                doc.text(`Right column line ${row}`, 320, 120 + row * 20);
+            }
+        });
+        const result = await checkAtsCompatibility(file, PDF, 'Jane Doe\nLeft column line');
+
+        expect(codesOf(result)).toEqual(expect.arrayContaining(['multi_column', 'contact_in_header_footer', 'missing_section_heading']));
+        expect(result.compatible).toBe(false);
+        // high 20 + medium 10 + three missing headings at medium 10
+        expect(result.score).toBe(100 - 20 - 10 - 30);
+        expect(result.headerFooterText).toBe('jane@example.com');
+    });
+
+    test('takes points off by severity', async () => {
+        const result = await checkAtsCompatibility('unused.txt', 'text/plain', '\uFFFD'.repeat(50));
+
+        // Unreadable text is high (20), each of the three missing headings medium (10)
+        expect(result.score).toBe(50);
+        expect(result.compatible).toBe(false);
+    });
+});
+
+describe('text checks', () => {
+    test('flag each standard heading that is missing', async () => {
+        const result = await checkAtsCompatibility('unused.txt', 'text/plain', 'Jane Doe\nExperience\nBuilt things');
+
+        expect(result.issues.map(issue => issue.message)).toEqual([
+            'No standard "Education" heading found; ATS use headings to locate sections',
+            'No standard "Skills" heading found; ATS use headings to locate sections'
+        ]);
+    });
+
+    test('flag text full of unreadable characters', async () => {
+        const result = await checkAtsCompatibility('unused.txt', 'text/plain', `${RESUME_TEXT}\n${'\uE000'.repeat(10)}`);
+
+        expect(codesOf(result)).toEqual(['non_standard_encoding']);
+    });
+});
+
+describe('PDF checks', () => {
+    test('table layouts', async () => {
+        const file = await buildPdf(doc => {
+            drawResume(doc);
+            for (let row = 0; row < 3; row++) {
+                ['Skill', 'Years', 'Level'].forEach((cell, column) => doc.text(cell, 72 + column * 180, 300 + row * 20));
+            }
+        });
+
+        expect(codesOf(await checkAtsCompatibility(file, PDF, RESUME_TEXT))).toEqual(['table_layout']);
+    });
+
+    test('images next to plenty of text', async () => {
+        const file = await buildPdf(doc => {
+            drawResume(doc);
+            doc.image(PIXEL, 400, 300, { width: 20 });
+        });
+
+        expect(codesOf(await checkAtsCompatibility(file, PDF, RESUME_TEXT))).toEqual(['images']);
+    });
+
+    test('scanned pages with almost no text', async () => {
+        const file = await buildPdf(doc => {
+            doc.image(PIXEL, 72, 72, { width: 400 });
+            doc.text('Scan', 72, 500);
+        });
+
+        const result = await checkAtsCompatibility(file, PDF, RESUME_TEXT);
+        expect(codesOf(result)).toEqual(['text_in_images']);
+        expect(result.compatible).toBe(false);
+    });
+
+    test('non-standard fonts', async () => {
+        const result = await checkAtsCompatibility(buildRawPdf({ baseFont: 'ABCDEF+ComicSansMS' }), PDF, RESUME_TEXT);
+
+        expect(result.issues).toEqual([expect.objectContaining({
+            code: 'non_standard_fonts',
+            message: 'Non-standard fonts may not render in ATS: ComicSansMS'
+        })]);
+    });
+
+    test('accepts standard fonts under their PostScript names', async () => {
+        const result = await checkAtsCompatibility(buildRawPdf({ baseFont: 'ArialMT' }), PDF, RESUME_TEXT);
+
+        expect(result.issues).toEqual([]);
+    });
+
+    test('Type 3 fonts', async () => {
+        const file = buildRawPdf({ extraObjects: ['<< /Type /Font /Subtype /Type3 /FontMatrix [0.001 0 0 0.001 0 0] >>'] });
+
+        expect(codesOf(await checkAtsCompatibility(file, PDF, RESUME_TEXT))).toEqual(['type3_fonts']);
+    });
+
+    test('custom encodings without a Unicode map', async () => {
+        const font = '<< /Type /Font /Subtype /Type0 /BaseFont /Helvetica /Encoding /Identity-H >>';
+
+        expect(codesOf(await checkAtsCompatibility(buildRawPdf({ extraObjects: [font] }), PDF, RESUME_TEXT)))
+            .toEqual(['missing_unicode_map']);
+        expect(codesOf(await checkAtsCompatibility(buildRawPdf({ extraObjects: [font, '<< /ToUnicode 6 0 R >>'] }), PDF, RESUME_TEXT)))
+            .toEqual([]);
+    });
+});
+
+describe('DOCX checks', () => {
+    test('a plain document passes', async () => {
+        expect((await checkAtsCompatibility(await buildDocx(), DOCX, RESUME_TEXT)).issues).toEqual([]);
+    });
+
+    test('tables', async () => {
+        const table = `<w:tbl><w:tr><w:tc>${paragraph('Python')}</w:tc><w:tc>${paragraph('5 years')}</w:tc></w:tr></w:tbl>`;
+
+        expect(codesOf(await checkAtsCompatibility(await buildDocx({ body: table }), DOCX, RESUME_TEXT))).toEqual(['table_layout']);
+    });
+
+    test('images', async () => {
+        expect(codesOf(await checkAtsCompatibility(await buildDocx({ image: true }), DOCX, RESUME_TEXT))).toEqual(['images']);
+    });
+
+    test('non-standard fonts', async () => {
+        const result = await checkAtsCompatibility(await buildDocx({ body: paragraph('Portfolio', 'Comic Sans MS') }), DOCX, RESUME_TEXT);
+
+        expect(codesOf(result)).toEqual(['non_standard_fonts']);
+    });
+
+    test('multiple columns', async () => {
+        const result = await checkAtsCompatibility(await buildDocx({ columns: 2 }), DOCX, RESUME_TEXT);
+
+        expect(codesOf(result)).toEqual(['multi_column']);
+        expect(result.compatible).toBe(false);
+    });
+
+    test('text boxes', async () => {
+        const textBox = `<w:p><w:r><w:pict><v:shape><v:textbox><w:txbxContent>${paragraph('Sidebar')}</w:txbxContent></v:textbox></v:shape></w:pict></w:r></w:p>`;
+
+        expect(codesOf(await checkAtsCompatibility(await buildDocx({ body: textBox }), DOCX, RESUME_TEXT))).toEqual(['text_boxes']);
+    });
+
+    test('contact details in the header', async () => {
+        const result = await checkAtsCompatibility(await buildDocx({ header: 'jane@example.com | +1 512 555 0142' }), DOCX, RESUME_TEXT);
+
+        expect(codesOf(result)).toEqual(['contact_in_header_footer']);
+        expect(result.headerFooterText).toBe('jane@example.com | +1 512 555 0142');
+    });
+});
@@ -0,0 +1,79 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { redisClient } = require('./redisClient');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'default_secret';
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '1h';
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL || '604800'); // 7 days
+const STREAM_TICKET_TTL = 60; // seconds
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshTokenKey(refreshToken) {
+    return `refresh:${hashToken(refreshToken)}`;
+}
+
+async function issueTokens(user) {
+    const token = jwt.sign(
+        { userId: user._id, email: user.email, role: user.role },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRY }
+    );
+
+    // Refresh tokens are opaque; only their hash is stored server side
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    await redisClient.set(
+        refreshTokenKey(refreshToken),
+        JSON.stringify({
+            userId: user._id.toString(),
+            issuedAt: new Date().toISOString()
+        }),
+        { EX: REFRESH_TOKEN_TTL }
+    );
+
+    return { token, refreshToken };
+}
+
+// Refresh tokens are single-use: GETDEL reads and revokes in one step, so a replayed
+// token loses the race and gets null back
+async function rotateRefreshToken(refreshToken) {
+    const stored = await redisClient.getDel(refreshTokenKey(refreshToken));
+    return stored ? JSON.parse(stored) : null;
+}
+
+async function revokeRefreshToken(refreshToken) {
+    return redisClient.del(refreshTokenKey(refreshToken));
+}
+
+// EventSource cannot send headers, so progress streams authenticate with a ticket in the
+// URL instead of the access token. Tickets are scoped to one job and work once.
+async function issueStreamTicket(userId, jobId) {
+    const ticket = crypto.randomBytes(24).toString('hex');
+    await redisClient.set(
+        `stream:${hashToken(ticket)}`,
+        JSON.stringify({ userId: String(userId), jobId: String(jobId) }),
+        { EX: STREAM_TICKET_TTL }
+    );
+    return { ticket, expiresIn: STREAM_TICKET_TTL };
+}
+
+async function redeemStreamTicket(ticket, jobId) {
+    const stored = await redisClient.getDel(`stream:${hashToken(ticket)}`);
+    if (!stored) return null;
+
+    const grant = JSON.parse(stored);
+    return grant.jobId === String(jobId) ? grant : null;
+}
+
+module.exports = {
+    JWT_SECRET,
+    ACCESS_TOKEN_EXPIRY,
+    REFRESH_TOKEN_TTL,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    issueStreamTicket,
+    redeemStreamTicket
+};
@@ -0,0 +1,94 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('./redisClient', () => {
+    const store = new Map();
+    return {
+        store,
+        redisClient: {
+            set: jest.fn(async (key, value) => {
+                store.set(key, value);
+                return 'OK';
+            }),
+            get: jest.fn(async (key) => store.get(key) ?? null),
+            getDel: jest.fn(async (key) => {
+                const value = store.get(key) ?? null;
+                store.delete(key);
+                return value;
+            }),
+            del: jest.fn(async (key) => (store.delete(key) ? 1 : 0))
+        }
+    };
+});
+
+const { store, redisClient } = require('./redisClient');
+const {
+    JWT_SECRET,
+    REFRESH_TOKEN_TTL,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    issueStreamTicket,
+    redeemStreamTicket
+} = require('./authTokens');
+
+const user = { _id: { toString: () => 'user-1' }, email: 'jane@example.com', role: 'user' };
+
+beforeEach(() => {
+    store.clear();
+    jest.clearAllMocks();
+});
+
+describe('refresh token lifecycle', () => {
+    test('login, refresh and logout round-trip', async () => {
+        // Login
+        const login = await issueTokens(user);
+        expect(jwt.verify(login.token, JWT_SECRET)).toMatchObject({ email: 'jane@example.com', role: 'user' });
+        expect(redisClient.set).toHaveBeenCalledWith(
+            expect.stringMatching(/^refresh:[0-9a-f]{64}$/),
+            expect.any(String),
+            { EX: REFRESH_TOKEN_TTL }
+        );
+
+        // Refresh rotates the token
+        const stored = await rotateRefreshToken(login.refreshToken);
+        expect(stored).toMatchObject({ userId: 'user-1' });
+        const refreshed = await issueTokens(user);
+        expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+        expect(await rotateRefreshToken(login.refreshToken)).toBeNull();
+
+        // Logout revokes the current token
+        expect(await revokeRefreshToken(refreshed.refreshToken)).toBe(1);
+        expect(await rotateRefreshToken(refreshed.refreshToken)).toBeNull();
+        expect(store.size).toBe(0);
+    });
+
+    test('stores only a hash of the refresh token', async () => {
+        const { refreshToken } = await issueTokens(user);
+        const [key] = store.keys();
+        expect(key).not.toContain(refreshToken);
+    });
+
+    test('rejects unknown refresh tokens', async () => {
+        expect(await rotateRefreshToken('not-a-token')).toBeNull();
+    });
+});
+
+describe('stream tickets', () => {
+    test('work once, for the job they were issued for', async () => {
+        const { ticket, expiresIn } = await issueStreamTicket('user-1', 42);
+        expect(redisClient.set).toHaveBeenCalledWith(expect.any(String), expect.any(String), { EX: expiresIn });
+
+        expect(await redeemStreamTicket(ticket, '42')).toEqual({ userId: 'user-1', jobId: '42' });
+        expect(await redeemStreamTicket(ticket, '42')).toBeNull();
+    });
+
+    test('are not accepted for another job', async () => {
+        const { ticket } = await issueStreamTicket('user-1', 42);
+        expect(await redeemStreamTicket(ticket, '43')).toBeNull();
+    });
+
+    test('are not refresh tokens', async () => {
+        const { refreshToken } = await issueTokens(user);
+        expect(await redeemStreamTicket(refreshToken, '42')).toBeNull();
+    });
+});
@@ -0,0 +1,228 @@
+const { translate } = require('./locales');
+const { DEFAULT_LANGUAGE } = require('./languageSupport');
+
+const MAX_BULLET_WORDS = 30;
+const REPEATED_VERB_THRESHOLD = 3;
+// The phrase lists and rewrites are English
+const BULLET_LANGUAGES = [DEFAULT_LANGUAGE];
+
+// Openers that describe duties instead of achievements, with a stronger replacement verb
+const WEAK_OPENERS = [
+    { pattern: /^(was |were )?responsible for\b/i, replacement: 'Owned' },
+    { pattern: /^(was )?in charge of\b/i, replacement: 'Led' },
+    { pattern: /^helped( with| to)?\b/i, replacement: 'Supported' },
+    { pattern: /^assisted( with| in)?\b/i, replacement: 'Supported' },
+    { pattern: /^worked on\b/i, replacement: 'Built' },
+    { pattern: /^(was )?involved in\b/i, replacement: 'Contributed to' },
+    { pattern: /^participated in\b/i, replacement: 'Contributed to' },
+    { pattern: /^(was )?tasked with\b/i, replacement: 'Delivered' },
+    { pattern: /^duties included\b/i, replacement: 'Delivered' },
+    { pattern: /^handled\b/i, replacement: 'Managed' }
+];
+
+const PASSIVE_PATTERN = /\b(?:was|were|is|are|been|being)\s+(?:\w+ly\s+)?(?!(?:then|when|often|even)\b)(\w+(?:ed|en))\b/i;
+const FIRST_PERSON_PATTERN = /\b(?:I|me|my|mine|myself|we|our|us)\b/;
+const METRIC_PATTERN = /\d|%|\$|€|£|\b(?:one|two|three|four|five|six|seven|eight|nine|ten|dozens?|hundreds?|thousands?|millions?|double[ds]?|tripled?|halved)\b/i;
+
+const VERB_ALTERNATIVES = {
+    developed: ['Built', 'Engineered', 'Designed'],
+    managed: ['Led', 'Directed', 'Oversaw'],
+    created: ['Launched', 'Designed', 'Established'],
+    worked: ['Collaborated', 'Partnered', 'Delivered'],
+    implemented: ['Deployed', 'Rolled out', 'Introduced'],
+    improved: ['Increased', 'Optimized', 'Accelerated'],
+    built: ['Engineered', 'Architected', 'Assembled'],
+    led: ['Directed', 'Headed', 'Spearheaded'],
+    designed: ['Architected', 'Modeled', 'Planned'],
+    supported: ['Enabled', 'Maintained', 'Facilitated']
+};
+const DEFAULT_ALTERNATIVES = ['Delivered', 'Drove', 'Executed'];
+
+// Other languages get no bullet feedback rather than wrong feedback
+function canAnalyzeBullets(language) {
+    return BULLET_LANGUAGES.includes(language);
+}
+
+// Flag weak bullets in experience and project entries, with a rewrite and the offending span
+function analyzeBullets(sections, language = DEFAULT_LANGUAGE) {
+    if (!canAnalyzeBullets(language)) return [];
+
+    const bullets = collectBullets(sections);
+    const repeatedVerbs = findRepeatedVerbs(bullets);
+    const verbSeen = {};
+
+    return bullets
+        .map(bullet => {
+            const verb = leadingVerb(bullet.text);
+            verbSeen[verb] = (verbSeen[verb] || 0) + 1;
+
+            const issues = [
+                checkWeakOpener(bullet.text),
+                checkPassiveVoice(bullet.text),
+                checkFirstPerson(bullet.text),
+                checkQuantified(bullet.text),
+                checkLength(bullet.text),
+                // The first use of a verb is fine; later ones get flagged
+                repeatedVerbs.has(verb) && verbSeen[verb] > 1 ? checkRepeatedVerb(bullet.text, verb, repeatedVerbs.get(verb)) : null
+            ].filter(Boolean);
+
+            return { ...bullet, issues };
+        })
+        .filter(bullet => bullet.issues.length > 0);
+}
+
+// Turn per-bullet issues into the short improvement messages shown with the analysis
+function summarizeBulletIssues(bulletFeedback, language) {
+    const counts = {};
+    bulletFeedback.forEach(bullet => bullet.issues.forEach(issue => {
+        counts[issue.code] = (counts[issue.code] || 0) + 1;
+    }));
+
+    return Object.entries(counts).map(([code, count]) =>
+        translate(language, `bullets_${code}`, { count, max: MAX_BULLET_WORDS })
+    );
+}
+
+function collectBullets(sections) {
+    const bullets = [];
+
+    sections.experience.forEach((entry, entryIndex) => {
+        entry.bullets.forEach((text, bulletIndex) => {
+            bullets.push({ section: 'experience', entryIndex, bulletIndex, text });
+        });
+    });
+
+    sections.projects.forEach((project, entryIndex) => {
+        project.highlights.forEach((text, bulletIndex) => {
+            bullets.push({ section: 'projects', entryIndex, bulletIndex, text });
+        });
+    });
+
+    return bullets;
+}
+
+function leadingVerb(text) {
+    const match = text.match(/^[A-Za-z]+/);
+    return match ? match[0].toLowerCase() : '';
+}
+
+function findRepeatedVerbs(bullets) {
+    const counts = new Map();
+    bullets.forEach(bullet => {
+        const verb = leadingVerb(bullet.text);
+        if (verb) counts.set(verb, (counts.get(verb) || 0) + 1);
+    });
+
+    return new Map([...counts].filter(([, count]) => count >= REPEATED_VERB_THRESHOLD));
+}
+
+// ======================
+// Checks
+// ======================
+function checkWeakOpener(text) {
+    for (const opener of WEAK_OPENERS) {
+        const match = text.match(opener.pattern);
+        if (match) {
+            const rest = text.slice(match[0].length).trim();
+            return {
+                code: 'weak_opener',
+                message: `"${match[0]}" describes a duty, not an achievement`,
+                suggestion: `${opener.replacement} ${rest}`.trim(),
+                start: 0,
+                end: match[0].length
+            };
+        }
+    }
+    return null;
+}
+
+function checkPassiveVoice(text) {
+    const match = PASSIVE_PATTERN.exec(text);
+    if (!match) return null;
+
+    // "a dashboard that was used by managers" describes an outcome, not the candidate's action
+    const before = text.slice(0, match.index).trim();
+    if (/\b(?:that|which|who)$/i.test(before)) return null;
+
+    const after = text.slice(match.index + match[0].length)
+        .replace(/^\s*by\s+\w+/i, '')
+        .replace(/\s*\bby\s+(?:me|us|myself|ourselves)\b/gi, '')
+        .trim();
+    return {
+        code: 'passive_voice',
+        message: `Passive construction "${match[0]}" hides who did the work`,
+        suggestion: [capitalize(match[1]), before.charAt(0).toLowerCase() + before.slice(1), after].filter(Boolean).join(' '),
+        start: match.index,
+        end: match.index + match[0].length
+    };
+}
+
+function checkFirstPerson(text) {
+    const match = FIRST_PERSON_PATTERN.exec(text);
+    if (!match) return null;
+
+    const rewritten = text
+        .replace(/\s*\bby\s+(?:me|us|myself|ourselves)\b/gi, '')
+        .replace(/\b(?:I|we)\s+/g, '')
+        .replace(/\b(?:my|our)(?:\s+own)?\s+/gi, '')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+
+    return {
+        code: 'first_person',
+        message: `First-person pronoun "${match[0]}" is implied on a resume`,
+        suggestion: capitalize(rewritten),
+        start: match.index,
+        end: match.index + match[0].length
+    };
+}
+
+function checkQuantified(text) {
+    if (METRIC_PATTERN.test(text)) return null;
+
+    return {
+        code: 'no_metric',
+        message: 'No quantified outcome',
+        suggestion: `${text.replace(/[.;]+$/, '')}, resulting in [X]% improvement in [metric]`,
+        start: 0,
+        end: text.length
+    };
+}
+
+function checkLength(text) {
+    const words = [...text.matchAll(/\S+/g)];
+    if (words.length <= MAX_BULLET_WORDS) return null;
+
+    const cutoff = words[MAX_BULLET_WORDS].index;
+    return {
+        code: 'too_long',
+        message: `${words.length} words; aim for under ${MAX_BULLET_WORDS}`,
+        suggestion: `${text.slice(0, cutoff).trim().replace(/[,;:]+$/, '')}. Move the remaining detail into a separate bullet.`,
+        start: cutoff,
+        end: text.length
+    };
+}
+
+function checkRepeatedVerb(text, verb, count) {
+    const alternatives = (VERB_ALTERNATIVES[verb] || DEFAULT_ALTERNATIVES)
+        .filter(alternative => alternative.toLowerCase() !== verb);
+
+    return {
+        code: 'repeated_verb',
+        message: `"${capitalize(verb)}" opens ${count} bullets`,
+        suggestion: `${alternatives[0]}${text.slice(verb.length)}`,
+        alternatives,
+        start: 0,
+        end: verb.length
+    };
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+    canAnalyzeBullets,
+    analyzeBullets,
+    summarizeBulletIssues
+};
@@ -0,0 +1,88 @@
+const { canAnalyzeBullets, analyzeBullets, summarizeBulletIssues } = require('./bulletAnalyzer');
+
+function sections(bullets, highlights = []) {
+    return {
+        experience: [{ company: 'Acme', title: 'Engineer', bullets }],
+        projects: [{ name: 'Side project', highlights }]
+    };
+}
+
+function issuesFor(text) {
+    const [bullet] = analyzeBullets(sections([text]));
+    return bullet ? bullet.issues : [];
+}
+
+const codes = (text) => issuesFor(text).map(issue => issue.code);
+
+describe('analyzeBullets', () => {
+    test('leaves strong, quantified bullets alone', () => {
+        expect(analyzeBullets(sections(['Cut API latency by 40% by caching hot queries']))).toEqual([]);
+    });
+
+    test('rewrites duty openers with a stronger verb', () => {
+        const [issue] = issuesFor('Responsible for the billing service with 3 engineers');
+
+        expect(issue).toMatchObject({ code: 'weak_opener', start: 0, end: 15, suggestion: 'Owned the billing service with 3 engineers' });
+    });
+
+    test('flags passive voice but not relative clauses', () => {
+        const [issue] = issuesFor('The pipeline was redesigned by me in 2 weeks');
+
+        expect(issue).toMatchObject({ code: 'passive_voice', suggestion: 'Redesigned the pipeline in 2 weeks' });
+        expect(codes('Built a dashboard that was used by 200 managers')).toEqual([]);
+    });
+
+    test('flags first-person pronouns', () => {
+        const issue = issuesFor('I migrated our 12 services to Kubernetes').find(item => item.code === 'first_person');
+
+        expect(issue).toMatchObject({ start: 0, end: 1, suggestion: 'Migrated 12 services to Kubernetes' });
+    });
+
+    test('asks for a number when the outcome is not quantified', () => {
+        expect(codes('Improved onboarding documentation')).toEqual(['no_metric']);
+        expect(codes('Tripled onboarding throughput')).toEqual([]);
+    });
+
+    test('splits bullets over the word limit', () => {
+        const long = `Shipped 5 ${'very '.repeat(30)}long features`;
+        const issue = issuesFor(long).find(item => item.code === 'too_long');
+
+        expect(issue.message).toBe('34 words; aim for under 30');
+        expect(issue.suggestion).toMatch(/Move the remaining detail into a separate bullet\.$/);
+    });
+
+    test('flags a verb from its second use once it opens three bullets', () => {
+        const feedback = analyzeBullets(sections([
+            'Developed 3 APIs',
+            'Developed 2 dashboards',
+            'Developed 1 CLI'
+        ]));
+
+        expect(feedback.map(bullet => bullet.bulletIndex)).toEqual([1, 2]);
+        expect(feedback[0].issues[0]).toMatchObject({ code: 'repeated_verb', suggestion: 'Built 2 dashboards' });
+    });
+
+    test('checks project highlights too', () => {
+        const [bullet] = analyzeBullets(sections([], ['Worked on a 2-person game jam entry']));
+
+        expect(bullet).toMatchObject({ section: 'projects', entryIndex: 0, bulletIndex: 0 });
+    });
+
+    test('skips languages the English rules do not fit', () => {
+        expect(canAnalyzeBullets('en')).toBe(true);
+        expect(canAnalyzeBullets('de')).toBe(false);
+        expect(analyzeBullets(sections(['Verantwortlich für das Abrechnungssystem']), 'de')).toEqual([]);
+    });
+});
+
+describe('summarizeBulletIssues', () => {
+    test('counts issues per code in the requested language', () => {
+        const feedback = analyzeBullets(sections(['Improved documentation', 'Helped with testing']));
+
+        expect(summarizeBulletIssues(feedback, 'en')).toEqual([
+            'Quantify results in 2 bullet(s) with numbers, percentages or amounts',
+            'Start 1 bullet(s) with a strong action verb instead of duty phrases like "responsible for"'
+        ]);
+        expect(summarizeBulletIssues(feedback, 'de')[0]).toBe('Belegen Sie Ergebnisse in 2 Stichpunkt(en) mit Zahlen, Prozenten oder Beträgen');
+    });
+});
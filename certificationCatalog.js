@@ -0,0 +1,214 @@
+const { DATE_PATTERN, normalizeDate } = require('./resumeParser');
+
+// Certifications recognised in resumes. aliases match regardless of case, spacing or dashes,
+// except all-caps exam codes ("CKA", "PMP"), which only match as written so ordinary words don't.
+// validityYears is how long the certification stays valid after it is earned; null never expires.
+const CERTIFICATION_CATALOG = [
+    { id: 'aws-cloud-practitioner', name: 'AWS Certified Cloud Practitioner', issuer: 'Amazon Web Services', level: 'foundational', validityYears: 3, aliases: ['AWS Cloud Practitioner', 'CLF-C02'] },
+    { id: 'aws-solutions-architect-associate', name: 'AWS Certified Solutions Architect - Associate', issuer: 'Amazon Web Services', level: 'associate', validityYears: 3, aliases: ['AWS Solutions Architect Associate', 'SAA-C03'] },
+    { id: 'aws-solutions-architect-professional', name: 'AWS Certified Solutions Architect - Professional', issuer: 'Amazon Web Services', level: 'professional', validityYears: 3, aliases: ['AWS Solutions Architect Professional', 'SAP-C02'] },
+    { id: 'aws-developer-associate', name: 'AWS Certified Developer - Associate', issuer: 'Amazon Web Services', level: 'associate', validityYears: 3, aliases: ['AWS Developer Associate', 'DVA-C02'] },
+    { id: 'aws-sysops-administrator-associate', name: 'AWS Certified SysOps Administrator - Associate', issuer: 'Amazon Web Services', level: 'associate', validityYears: 3, aliases: ['AWS SysOps Administrator Associate', 'SOA-C02'] },
+    { id: 'aws-devops-engineer-professional', name: 'AWS Certified DevOps Engineer - Professional', issuer: 'Amazon Web Services', level: 'professional', validityYears: 3, aliases: ['AWS DevOps Engineer Professional', 'DOP-C02'] },
+
+    { id: 'azure-fundamentals', name: 'Microsoft Certified: Azure Fundamentals', issuer: 'Microsoft', level: 'foundational', validityYears: null, aliases: ['Azure Fundamentals', 'AZ-900'] },
+    { id: 'azure-administrator-associate', name: 'Microsoft Certified: Azure Administrator Associate', issuer: 'Microsoft', level: 'associate', validityYears: 1, aliases: ['Azure Administrator Associate', 'Azure Administrator', 'AZ-104'] },
+    { id: 'azure-developer-associate', name: 'Microsoft Certified: Azure Developer Associate', issuer: 'Microsoft', level: 'associate', validityYears: 1, aliases: ['Azure Developer Associate', 'AZ-204'] },
+    { id: 'azure-solutions-architect-expert', name: 'Microsoft Certified: Azure Solutions Architect Expert', issuer: 'Microsoft', level: 'expert', validityYears: 1, aliases: ['Azure Solutions Architect Expert', 'Azure Solutions Architect', 'AZ-305'] },
+
+    { id: 'gcp-associate-cloud-engineer', name: 'Google Cloud Associate Cloud Engineer', issuer: 'Google Cloud', level: 'associate', validityYears: 3, aliases: ['Associate Cloud Engineer', 'GCP Associate Cloud Engineer'] },
+    { id: 'gcp-professional-cloud-architect', name: 'Google Cloud Professional Cloud Architect', issuer: 'Google Cloud', level: 'professional', validityYears: 2, aliases: ['Professional Cloud Architect', 'GCP Professional Cloud Architect'] },
+
+    { id: 'cka', name: 'Certified Kubernetes Administrator', issuer: 'Cloud Native Computing Foundation', level: 'professional', validityYears: 2, aliases: ['CKA'] },
+    { id: 'ckad', name: 'Certified Kubernetes Application Developer', issuer: 'Cloud Native Computing Foundation', level: 'professional', validityYears: 2, aliases: ['CKAD'] },
+    { id: 'cks', name: 'Certified Kubernetes Security Specialist', issuer: 'Cloud Native Computing Foundation', level: 'specialty', validityYears: 2, aliases: ['CKS'] },
+    { id: 'kcna', name: 'Kubernetes and Cloud Native Associate', issuer: 'Cloud Native Computing Foundation', level: 'foundational', validityYears: 2, aliases: ['KCNA'] },
+    { id: 'terraform-associate', name: 'HashiCorp Certified: Terraform Associate', issuer: 'HashiCorp', level: 'associate', validityYears: 2, aliases: ['Terraform Associate'] },
+
+    { id: 'csm', name: 'Certified ScrumMaster', issuer: 'Scrum Alliance', level: 'foundational', validityYears: 2, aliases: ['Certified Scrum Master', 'CSM'] },
+    { id: 'cspo', name: 'Certified Scrum Product Owner', issuer: 'Scrum Alliance', level: 'foundational', validityYears: 2, aliases: ['CSPO'] },
+    { id: 'psm-1', name: 'Professional Scrum Master I', issuer: 'Scrum.org', level: 'foundational', validityYears: null, aliases: ['Professional Scrum Master', 'PSM I', 'PSM 1', 'PSM-I'] },
+    { id: 'pmp', name: 'Project Management Professional', issuer: 'Project Management Institute', level: 'professional', validityYears: 3, aliases: ['PMP'] },
+    { id: 'itil-4-foundation', name: 'ITIL 4 Foundation', issuer: 'PeopleCert', level: 'foundational', validityYears: 3, aliases: ['ITIL Foundation', 'ITIL v4 Foundation'] },
+
+    { id: 'security-plus', name: 'CompTIA Security+', issuer: 'CompTIA', level: 'associate', validityYears: 3, aliases: ['Security+', 'Security Plus'] },
+    { id: 'cissp', name: 'Certified Information Systems Security Professional', issuer: 'ISC2', level: 'expert', validityYears: 3, aliases: ['CISSP'] },
+    { id: 'ceh', name: 'Certified Ethical Hacker', issuer: 'EC-Council', level: 'professional', validityYears: 3, aliases: ['CEH'] },
+    { id: 'oracle-java-se-professional', name: 'Oracle Certified Professional: Java SE Developer', issuer: 'Oracle', level: 'professional', validityYears: null, aliases: ['Oracle Certified Professional Java', 'OCP Java', 'OCPJP'] }
+];
+
+const CERTIFICATION_LEVELS = ['foundational', 'associate', 'professional', 'expert', 'specialty'];
+const EXPIRY_WARNING_DAYS = parseInt(process.env.CERT_EXPIRY_WARNING_DAYS || '90');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_DATE = new RegExp(`(?:expires?|expiry|expiration|exp\\.|valid\\s+(?:until|through|thru|to))\\s*(?:on|in)?\\s*:?\\s*(${DATE_PATTERN})`, 'i');
+const ISSUE_DATE = new RegExp(`(?:issued|earned|obtained|awarded|certified|passed)\\s*(?:on|in)?\\s*:?\\s*(${DATE_PATTERN})`, 'i');
+const DATE_SPAN = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|to)\\s*(${DATE_PATTERN})`, 'i');
+const ANY_DATE = new RegExp(`(${DATE_PATTERN})`, 'i');
+
+const matchers = CERTIFICATION_CATALOG.map(certification => ({
+    certification,
+    patterns: [certification.name, ...certification.aliases].map(toAliasPattern)
+}));
+
+// Spaces, dashes and colons vary between resumes ("Solutions Architect – Associate"), so any run of them matches
+function toAliasPattern(alias) {
+    const tokens = alias.split(/[\s:–—-]+/).filter(Boolean)
+        .map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const exact = /^[A-Z0-9+-]+(?:\s+[A-Z0-9]+)?$/.test(alias);
+    return new RegExp(`(?<![\\w+-])${tokens.join('[\\s:–—,()-]+')}(?![\\w+])`, exact ? 'g' : 'gi');
+}
+
+function getCertification(id) {
+    return CERTIFICATION_CATALOG.find(certification => certification.id === id) || null;
+}
+
+// Catalog certifications mentioned in one line, longest match first so
+// "Solutions Architect - Professional" isn't also read as a shorter alias
+function matchLine(line) {
+    const spans = matchers.flatMap(({ certification, patterns }) =>
+        patterns.flatMap(pattern => [...line.matchAll(pattern)].map(match => ({
+            certification,
+            start: match.index,
+            end: match.index + match[0].length
+        })))
+    ).sort((a, b) => (b.end - b.start) - (a.end - a.start));
+
+    const taken = [];
+    spans.forEach(span => {
+        if (!taken.some(other => span.start < other.end && span.end > other.start)) {
+            taken.push(span);
+        }
+    });
+    return taken.sort((a, b) => a.start - b.start);
+}
+
+// Issue and expiry dates written on the same line as the certification
+function parseCertificationDates(text) {
+    // Credential IDs are long digit runs that would otherwise read as years
+    const line = text.replace(/\b(?:credential(?:\s*(?:id|no\.?|number|#))?|(?:license|licence|certificate)\s*(?:id|no\.?|number|#))\s*:?\s*[\w-]+/gi, ' ');
+    const expiry = line.match(EXPIRY_DATE);
+    const issued = line.match(ISSUE_DATE);
+    const span = line.match(DATE_SPAN);
+
+    let issuedAt = issued ? normalizeDate(issued[1]) : null;
+    let expiresAt = expiry ? normalizeDate(expiry[1]) : null;
+
+    if (span && !issuedAt && !expiresAt) {
+        issuedAt = normalizeDate(span[1]);
+        expiresAt = normalizeDate(span[2]);
+    }
+    if (!issuedAt) {
+        const remaining = expiry ? line.replace(expiry[0], '') : line;
+        const date = remaining.match(ANY_DATE);
+        issuedAt = date ? normalizeDate(date[1]) : null;
+    }
+
+    return { issuedAt, expiresAt };
+}
+
+// Recognise certifications anywhere in the resume. Entries under a certifications heading that
+// aren't in the catalog are kept too, with no issuer or level.
+function recognizeCertifications(text, sections = null) {
+    const found = new Map();
+
+    (text || '').split('\n').forEach(line => {
+        const matches = matchLine(line);
+        matches.forEach((match, index) => {
+            // With several certifications on a line, each takes the dates that follow it
+            const next = matches[index + 1];
+            const context = matches.length > 1 ? line.slice(match.start, next ? next.start : line.length) : line;
+            const dates = parseCertificationDates(context.replace(line.slice(match.start, match.end), ' '));
+            const current = found.get(match.certification.id);
+
+            if (!current || countDates(dates) > countDates(current)) {
+                found.set(match.certification.id, toCertification(match.certification, dates));
+            }
+        });
+    });
+
+    const certifications = [...found.values()];
+
+    if (sections && Array.isArray(sections.certifications)) {
+        sections.certifications.forEach(entry => {
+            if (!entry.name || matchLine(entry.name).length > 0) return;
+            if (certifications.some(certification => certification.name.toLowerCase() === entry.name.toLowerCase())) return;
+
+            certifications.push({
+                catalogId: null,
+                name: entry.name,
+                issuer: null,
+                level: null,
+                issuedAt: entry.date || null,
+                expiresAt: null,
+                expiresEstimated: false
+            });
+        });
+    }
+
+    return certifications;
+}
+
+function toCertification(catalogEntry, { issuedAt, expiresAt }) {
+    let expires = expiresAt;
+    let estimated = false;
+
+    if (!expires && issuedAt && catalogEntry.validityYears) {
+        expires = addYears(issuedAt, catalogEntry.validityYears);
+        estimated = true;
+    }
+
+    return {
+        catalogId: catalogEntry.id,
+        name: catalogEntry.name,
+        issuer: catalogEntry.issuer,
+        level: catalogEntry.level,
+        issuedAt,
+        expiresAt: expires,
+        expiresEstimated: estimated
+    };
+}
+
+function countDates(dates) {
+    return (dates.issuedAt ? 1 : 0) + (dates.expiresAt ? 1 : 0);
+}
+
+// Dates are "YYYY-MM" or "YYYY", as elsewhere in the parser
+function addYears(date, years) {
+    const [year, month] = date.split('-');
+    return month ? `${Number(year) + years}-${month}` : String(Number(year) + years);
+}
+
+// A certification stays valid through the last day of its expiry month (or year)
+function expiryTimestamp(date) {
+    const [year, month] = date.split('-').map(Number);
+    return month ? Date.UTC(year, month, 1) - 1 : Date.UTC(year + 1, 0, 1) - 1;
+}
+
+// Certifications that have expired or will within withinDays
+function getExpiryWarnings(certifications, { now = new Date(), withinDays = EXPIRY_WARNING_DAYS } = {}) {
+    return (certifications || [])
+        .filter(certification => certification.expiresAt)
+        .map(certification => {
+            const daysLeft = Math.ceil((expiryTimestamp(certification.expiresAt) - now.getTime()) / DAY_MS);
+            return {
+                catalogId: certification.catalogId || null,
+                name: certification.name,
+                expiresAt: certification.expiresAt,
+                expiresEstimated: !!certification.expiresEstimated,
+                daysLeft,
+                status: daysLeft < 0 ? 'expired' : 'expiring'
+            };
+        })
+        .filter(warning => warning.daysLeft <= withinDays)
+        .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+module.exports = {
+    CERTIFICATION_CATALOG,
+    CERTIFICATION_LEVELS,
+    getCertification,
+    recognizeCertifications,
+    parseCertificationDates,
+    getExpiryWarnings
+};
@@ -0,0 +1,85 @@
+const { CERTIFICATION_CATALOG, CERTIFICATION_LEVELS, getCertification, recognizeCertifications, parseCertificationDates, getExpiryWarnings } = require('./certificationCatalog');
+
+describe('catalog', () => {
+    test('has unique ids and known levels', () => {
+        const ids = CERTIFICATION_CATALOG.map(certification => certification.id);
+
+        expect(new Set(ids).size).toBe(ids.length);
+        CERTIFICATION_CATALOG.forEach(certification => expect(CERTIFICATION_LEVELS).toContain(certification.level));
+        expect(getCertification('cka').name).toBe('Certified Kubernetes Administrator');
+        expect(getCertification('nope')).toBeNull();
+    });
+});
+
+describe('recognizeCertifications', () => {
+    const ids = (text) => recognizeCertifications(text).map(certification => certification.catalogId);
+
+    test('matches names and aliases regardless of dashes and spacing', () => {
+        expect(ids('AWS Certified Solutions Architect – Associate (2022)')).toEqual(['aws-solutions-architect-associate']);
+        expect(ids('azure administrator associate')).toEqual(['azure-administrator-associate']);
+    });
+
+    test('prefers the longest match on a line', () => {
+        expect(ids('AWS Certified Solutions Architect - Professional')).toEqual(['aws-solutions-architect-professional']);
+    });
+
+    test('only matches exam codes written in capitals', () => {
+        expect(ids('Passed the CKA exam')).toEqual(['cka']);
+        expect(ids('Worked with a pmp tool')).toEqual([]);
+    });
+
+    test('gives each certification on a line the dates after it', () => {
+        const [cka, ckad] = recognizeCertifications('CKA 2021, CKAD 2023');
+
+        expect(cka).toMatchObject({ catalogId: 'cka', issuedAt: '2021', expiresAt: '2023', expiresEstimated: true });
+        expect(ckad).toMatchObject({ catalogId: 'ckad', issuedAt: '2023', expiresAt: '2025' });
+    });
+
+    test('keeps the mention with the most dates', () => {
+        const [pmp] = recognizeCertifications('PMP\nCertifications\nPMP, issued Mar 2020, expires Mar 2023');
+
+        expect(pmp).toMatchObject({ issuedAt: '2020-03', expiresAt: '2023-03', expiresEstimated: false });
+    });
+
+    test('keeps unknown entries from the certifications section', () => {
+        const certifications = recognizeCertifications('CKA', {
+            certifications: [{ name: 'CKA' }, { name: 'Underwater Basket Weaving', date: '2019' }]
+        });
+
+        expect(certifications).toHaveLength(2);
+        expect(certifications[1]).toMatchObject({ catalogId: null, name: 'Underwater Basket Weaving', issuer: null, issuedAt: '2019' });
+    });
+});
+
+describe('parseCertificationDates', () => {
+    test.each([
+        ['Issued Jan 2022 · Expires Jan 2025', { issuedAt: '2022-01', expiresAt: '2025-01' }],
+        ['2021 - 2024', { issuedAt: '2021', expiresAt: '2024' }],
+        ['Valid until 06/2026', { issuedAt: null, expiresAt: '2026-06' }],
+        ['Credential ID 20194455 (2020)', { issuedAt: '2020', expiresAt: null }]
+    ])('%s', (text, dates) => {
+        expect(parseCertificationDates(text)).toEqual(dates);
+    });
+});
+
+describe('getExpiryWarnings', () => {
+    const now = new Date(Date.UTC(2024, 4, 15));
+
+    test('lists expired and soon-expiring certifications, most urgent first', () => {
+        const warnings = getExpiryWarnings([
+            { catalogId: 'cka', name: 'CKA', expiresAt: '2024-06' },
+            { catalogId: 'pmp', name: 'PMP', expiresAt: '2023-12', expiresEstimated: true },
+            { catalogId: 'cissp', name: 'CISSP', expiresAt: '2027-01' },
+            { catalogId: 'psm-1', name: 'PSM I', expiresAt: null }
+        ], { now });
+
+        expect(warnings.map(warning => [warning.catalogId, warning.status])).toEqual([['pmp', 'expired'], ['cka', 'expiring']]);
+        expect(warnings[1].daysLeft).toBe(47);
+    });
+
+    test('counts a year-only expiry through the end of that year', () => {
+        const [warning] = getExpiryWarnings([{ name: 'CKA', expiresAt: '2024' }], { now, withinDays: 365 });
+
+        expect(warning.status).toBe('expiring');
+    });
+});
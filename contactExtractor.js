@@ -0,0 +1,287 @@
+const { findPersonalData } = require('./piiRedactor');
+const { detectSectionHeading } = require('./resumeParser');
+
+// Country code assumed for numbers written without one; 1 covers the US and Canada
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '1').replace(/\D/g, '');
+const HEADER_LINES = 8;
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()[\]|,;"']+|\b(?:[a-z0-9-]+\.)*(?:linkedin\.com|github\.com|gitlab\.com)\/[^\s<>()[\]|,;"']+/gi;
+// Bare domains ("janedoe.dev") are only trusted in the header, where they are almost always a portfolio.
+// Lowercase only, so technology names like "ASP.NET" are not taken for websites.
+const BARE_DOMAIN_PATTERN = /(?<![@\w.-])(?:[a-z0-9-]+\.)+(?:com|net|org|io|dev|me|app|co|tech|site|page|design|codes|info)(?:\/[^\s<>()[\]|,;"']*)?(?![\w@-])/g;
+const HOSTNAME_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+const GITHUB_USERNAME = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+const GITHUB_RESERVED_PATHS = ['about', 'explore', 'features', 'marketplace', 'orgs', 'pricing', 'settings', 'sponsors', 'topics'];
+// Hosts that are profiles on someone else's site rather than a personal portfolio
+const SOCIAL_HOSTS = ['linkedin.com', 'github.com', 'gitlab.com', 'twitter.com', 'x.com', 'facebook.com', 'instagram.com', 'stackoverflow.com'];
+
+const LOCATION_LABEL = /^(?:location|address|based in)\s*:?\s*/i;
+const CITY_REGION = /^(\p{Lu}[\p{L}.'’-]*(?:[ -]\p{Lu}[\p{L}.'’-]*){0,3}),\s*(\p{Lu}{2}|\p{Lu}[\p{L}]+(?: \p{Lu}[\p{L}]+){0,2})(?:\s+\d{4,5})?$/u;
+
+// Pull the candidate's contact details out of the resume text. headerFooterText is what the
+// ATS check found in page headers and footers, which some extractors leave out of the text.
+function extractContact(text, { headerFooterText = '' } = {}) {
+    const body = text || '';
+    const margins = headerFooterText || '';
+    const combined = margins ? `${body}\n${margins}` : body;
+    const header = getHeaderLines(body);
+    const found = {};
+
+    const emailSpan = findPersonalData(combined, 'email')
+        .find(span => /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(span.value));
+    if (emailSpan) found.email = emailSpan.value;
+
+    const phones = findPersonalData(combined, 'phone').map(span => normalizePhone(span.value));
+    const phone = phones.find(candidate => candidate.valid) || phones[0] || null;
+    if (phone) found.phone = phone.raw;
+
+    const { profiles, links, invalidLinks } = findLinks(combined, [...header, ...margins.split('\n')]);
+    ['linkedin', 'github', 'portfolio'].forEach(field => {
+        if (profiles[field]) found[field] = profiles[field].raw;
+    });
+
+    const location = findLocation(header) || findLocation(margins.split('\n'), { skipName: false });
+
+    const contact = {
+        email: emailSpan ? emailSpan.value.toLowerCase() : null,
+        phone: phone ? { raw: phone.raw, normalized: phone.normalized, valid: phone.valid } : null,
+        location,
+        linkedin: profiles.linkedin ? { username: profiles.linkedin.username, url: profiles.linkedin.url } : null,
+        github: profiles.github ? { username: profiles.github.username, url: profiles.github.url } : null,
+        portfolio: profiles.portfolio ? profiles.portfolio.url : null,
+        links
+    };
+
+    const marginOnlyFields = Object.keys(found).filter(field => isOnlyInMargins(found[field], body, margins));
+    contact.warnings = buildWarnings(contact, marginOnlyFields, invalidLinks);
+
+    return contact;
+}
+
+// Lines above the first section heading, where contact details normally live
+function getHeaderLines(text) {
+    const lines = [];
+    for (const line of text.split('\n')) {
+        if (detectSectionHeading(line)) break;
+        if (line.trim()) lines.push(line.trim());
+        if (lines.length >= HEADER_LINES) break;
+    }
+    return lines;
+}
+
+// ======================
+// Phone numbers
+// ======================
+function normalizePhone(raw) {
+    const value = raw.trim();
+    const digits = value.replace(/\D/g, '');
+    let normalized;
+
+    if (value.startsWith('+')) {
+        normalized = `+${digits}`;
+    } else if (digits.startsWith('00')) {
+        normalized = `+${digits.slice(2)}`;
+    } else if (DEFAULT_COUNTRY_CODE === '1') {
+        normalized = digits.length === 11 && digits.startsWith('1') ? `+${digits}` : `+1${digits}`;
+    } else {
+        // National numbers drop their trunk prefix ("030 …" in Germany) once the country code is added
+        normalized = `+${DEFAULT_COUNTRY_CODE}${digits.replace(/^0/, '')}`;
+    }
+
+    // E.164 allows at most 15 digits; North American numbers are always 1 + 10 digits
+    const valid = /^\+[1-9]\d{7,14}$/.test(normalized) &&
+        (!normalized.startsWith('+1') || normalized.length === 12);
+
+    return { raw: value, normalized: valid ? normalized : null, valid };
+}
+
+// ======================
+// Links and profiles
+// ======================
+function findLinks(text, headerLines) {
+    // Header links come first so the portfolio is the candidate's own site, not one cited in a bullet
+    const candidates = [
+        ...headerLines.flatMap(line => [...(line.match(LINK_PATTERN) || []), ...(line.match(BARE_DOMAIN_PATTERN) || [])])
+            .map(value => ({ value, inHeader: true })),
+        ...(text.match(LINK_PATTERN) || []).map(value => ({ value, inHeader: false }))
+    ];
+
+    const profiles = {};
+    const links = [];
+    const invalidLinks = [];
+
+    candidates.forEach(({ value, inHeader }) => {
+        const raw = value.replace(/[.,;:!?)]+$/, '');
+        const url = parseLink(raw);
+        if (!url) {
+            if (!invalidLinks.includes(raw)) invalidLinks.push(raw);
+            return;
+        }
+
+        const profile = classifyLink(url);
+        if (links.includes(profile.url)) return;
+        links.push(profile.url);
+
+        if (!profiles[profile.type] && (profile.type !== 'portfolio' || inHeader)) {
+            profiles[profile.type] = { ...profile, raw };
+        }
+    });
+
+    return { profiles, links, invalidLinks };
+}
+
+function parseLink(raw) {
+    let url;
+    try {
+        url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    } catch (error) {
+        return null;
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol) || !HOSTNAME_PATTERN.test(url.hostname)) {
+        return null;
+    }
+    url.hash = '';
+    return url;
+}
+
+// Profile URLs are rebuilt in one canonical form so they can be compared and linked
+function classifyLink(url) {
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    if (host === 'linkedin.com' || host.endsWith('.linkedin.com')) {
+        if (['in', 'pub'].includes(segments[0]) && segments[1]) {
+            const username = decodeURIComponent(segments[1]).toLowerCase();
+            return { type: 'linkedin', username, url: `https://www.linkedin.com/in/${encodeURIComponent(username)}` };
+        }
+    }
+
+    if (host === 'github.com' && segments[0] &&
+        GITHUB_USERNAME.test(segments[0]) && !GITHUB_RESERVED_PATHS.includes(segments[0].toLowerCase())) {
+        return { type: 'github', username: segments[0], url: `https://github.com/${segments[0]}` };
+    }
+
+    const isSocial = SOCIAL_HOSTS.some(social => host === social || host.endsWith(`.${social}`));
+    return {
+        type: isSocial ? 'other' : 'portfolio',
+        url: url.href.replace(/\/$/, '')
+    };
+}
+
+// ======================
+// Location
+// ======================
+function findLocation(lines, { skipName = true } = {}) {
+    for (const [lineIndex, line] of lines.entries()) {
+        const segments = line.split(/\s*[|•·]\s*|\t+|\s{3,}/);
+
+        for (const [segmentIndex, segment] of segments.entries()) {
+            // The very first segment of the resume is the candidate's name
+            if (skipName && lineIndex === 0 && segmentIndex === 0) continue;
+
+            const location = parseLocation(segment.trim());
+            if (location) return location;
+        }
+    }
+    return null;
+}
+
+function parseLocation(segment) {
+    const labelled = LOCATION_LABEL.test(segment);
+    const value = segment.replace(LOCATION_LABEL, '').trim();
+    if (!value || value.length > 60 || /@|https?:|www\./i.test(value)) return null;
+
+    const match = value.match(CITY_REGION);
+    if (match) {
+        return { text: value, city: match[1], region: match[2] };
+    }
+    if (labelled) {
+        const [city, ...rest] = value.split(',').map(part => part.trim());
+        return { text: value, city, region: rest.join(', ') || null };
+    }
+    return null;
+}
+
+// ======================
+// Warnings
+// ======================
+// Text-based PDFs repeat header/footer text in the body, so a value counts as body text only
+// when it appears there more often than in the margins
+function isOnlyInMargins(value, body, margins) {
+    if (!margins) return false;
+    const inMargins = countOccurrences(margins, value);
+    return inMargins > 0 && countOccurrences(body, value) <= inMargins;
+}
+
+function countOccurrences(text, value) {
+    return text.split(value).length - 1;
+}
+
+function buildWarnings(contact, marginOnlyFields, invalidLinks) {
+    const warnings = [];
+
+    if (!contact.email) {
+        warnings.push({ code: 'missing_email', severity: 'high', message: 'No email address found' });
+    }
+    if (!contact.phone) {
+        warnings.push({ code: 'missing_phone', severity: 'medium', message: 'No phone number found' });
+    } else if (!contact.phone.valid) {
+        warnings.push({
+            code: 'invalid_phone',
+            severity: 'medium',
+            message: `"${contact.phone.raw}" does not look like a complete phone number; include the country code`
+        });
+    }
+    if (!contact.linkedin) {
+        warnings.push({ code: 'missing_linkedin', severity: 'low', message: 'No LinkedIn profile URL found' });
+    }
+    if (!contact.location) {
+        warnings.push({ code: 'missing_location', severity: 'low', message: 'No location found near the top of the resume' });
+    }
+    if (marginOnlyFields.length > 0) {
+        warnings.push({
+            code: 'contact_in_header_footer',
+            severity: 'medium',
+            message: `Only found in the page header or footer, which many ATS ignore: ${marginOnlyFields.join(', ')}`,
+            fields: marginOnlyFields
+        });
+    }
+    if (invalidLinks.length > 0) {
+        warnings.push({
+            code: 'invalid_link',
+            severity: 'low',
+            message: `Could not read as web addresses: ${invalidLinks.slice(0, 5).join(', ')}`
+        });
+    }
+
+    return warnings;
+}
+
+// ======================
+// JSON Resume
+// ======================
+function contactToBasics(contact) {
+    if (!contact) return {};
+
+    const profiles = [
+        contact.linkedin && contact.linkedin.url && { network: 'LinkedIn', username: contact.linkedin.username, url: contact.linkedin.url },
+        contact.github && contact.github.url && { network: 'GitHub', username: contact.github.username, url: contact.github.url }
+    ].filter(Boolean);
+
+    const basics = {};
+    if (contact.email) basics.email = contact.email;
+    if (contact.phone && contact.phone.raw) basics.phone = contact.phone.normalized || contact.phone.raw;
+    if (contact.portfolio) basics.url = contact.portfolio;
+    if (contact.location && contact.location.city) {
+        basics.location = { city: contact.location.city, region: contact.location.region || undefined };
+    }
+    if (profiles.length > 0) basics.profiles = profiles;
+    return basics;
+}
+
+module.exports = {
+    extractContact,
+    normalizePhone,
+    contactToBasics
+};
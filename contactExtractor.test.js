@@ -0,0 +1,79 @@
+const { extractContact, normalizePhone, contactToBasics } = require('./contactExtractor');
+
+const RESUME = [
+    'Jane Doe | Austin, TX | jane.doe@example.com',
+    '(512) 555-0142 | linkedin.com/in/JaneDoe | github.com/janedoe | janedoe.dev',
+    '',
+    'Experience',
+    'Built the billing API, see https://blog.example.org/billing for details'
+].join('\n');
+
+describe('normalizePhone', () => {
+    test.each([
+        ['(512) 555-0142', '+15125550142', true],
+        ['+49 30 1234567', '+49301234567', true],
+        ['0044 20 7946 0958', '+442079460958', true],
+        ['555-0142', null, false]
+    ])('%s', (raw, normalized, valid) => {
+        expect(normalizePhone(raw)).toEqual({ raw, normalized, valid });
+    });
+});
+
+describe('extractContact', () => {
+    test('reads email, phone, location and profiles from the header', () => {
+        const contact = extractContact(RESUME);
+
+        expect(contact).toMatchObject({
+            email: 'jane.doe@example.com',
+            phone: { normalized: '+15125550142', valid: true },
+            location: { city: 'Austin', region: 'TX' },
+            linkedin: { username: 'janedoe', url: 'https://www.linkedin.com/in/janedoe' },
+            github: { username: 'janedoe', url: 'https://github.com/janedoe' },
+            portfolio: 'https://janedoe.dev'
+        });
+        expect(contact.links).toContain('https://blog.example.org/billing');
+        expect(contact.warnings).toEqual([]);
+    });
+
+    test('does not take a link from the body as the portfolio', () => {
+        const contact = extractContact('Jane Doe\njane@example.com\n\nExperience\nSee https://blog.example.org/post');
+
+        expect(contact.portfolio).toBeNull();
+        expect(contact.links).toEqual(['https://blog.example.org/post']);
+    });
+
+    test('warns about missing details', () => {
+        const codes = extractContact('Jane Doe\n\nExperience\nWrote code').warnings.map(warning => warning.code);
+
+        expect(codes).toEqual(['missing_email', 'missing_phone', 'missing_linkedin', 'missing_location']);
+    });
+
+    test('flags details that only appear in the page header or footer', () => {
+        const contact = extractContact('Jane Doe | Austin, TX\n\nExperience\nWrote code', {
+            headerFooterText: 'jane@example.com | linkedin.com/in/janedoe'
+        });
+        const warning = contact.warnings.find(entry => entry.code === 'contact_in_header_footer');
+
+        expect(contact.email).toBe('jane@example.com');
+        expect(warning.fields).toEqual(['email', 'linkedin']);
+    });
+});
+
+describe('contactToBasics', () => {
+    test('maps the contact onto JSON Resume basics', () => {
+        expect(contactToBasics(extractContact(RESUME))).toEqual({
+            email: 'jane.doe@example.com',
+            phone: '+15125550142',
+            url: 'https://janedoe.dev',
+            location: { city: 'Austin', region: 'TX' },
+            profiles: [
+                { network: 'LinkedIn', username: 'janedoe', url: 'https://www.linkedin.com/in/janedoe' },
+                { network: 'GitHub', username: 'janedoe', url: 'https://github.com/janedoe' }
+            ]
+        });
+    });
+
+    test('returns nothing without a contact', () => {
+        expect(contactToBasics(null)).toEqual({});
+    });
+});
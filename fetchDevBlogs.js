@@ -1,8 +1,10 @@
 const axios = require('axios');
 const { redisGet, redisSet } = require('./userDashboardCache');
 const { getSkillProgress } = require('./userDashboardCache');
+const { canonicalSkillName, getArticleTag, getSkillCategory, getRelatedSkills } = require('./skillTaxonomy');
 
 const MAX_ARTICLES_PER_SKILL = 3;
+const MAX_TAGS_PER_SKILL = 3; // the skill's own tag plus fallbacks
 const CACHE_EXPIRATION = 21600; // 6 hours
 const MIN_READING_TIME = 3; // minutes
 const MAX_READING_TIME = 30; // minutes
@@ -72,15 +74,18 @@ async function fetchDevBlogs(userId, skills) {
         // Get user's skill progress to prioritize skills with largest gaps
         const userSkills = await getSkillProgress(userId) || skills || [];
         
-        // Sort skills by importance (gap between current and target level)
+        // Sort skills by importance (gap between current and target level);
+        // synonyms share an article tag, so each tag is only fetched once
         const prioritizedSkills = userSkills
             .map(skill => ({
-                name: skill.name.toLowerCase(),
+                name: canonicalSkillName(skill.name),
+                tag: getArticleTag(skill.name),
                 gap: (skill.targetLevel || 50) - (skill.level || 0),
-                category: skill.category || 'other'
+                category: skill.category || getSkillCategory(skill.name)
             }))
             .filter(skill => skill.gap > 0)
             .sort((a, b) => b.gap - a.gap)
+            .filter((skill, index, sorted) => sorted.findIndex(other => other.tag === skill.tag) === index)
             .slice(0, 5); // Top 5 skills with largest gaps
         
         if (prioritizedSkills.length === 0) {
@@ -90,7 +95,7 @@ async function fetchDevBlogs(userId, skills) {
         // Check cache first for each skill
         const cachedArticles = await Promise.all(
             prioritizedSkills.map(skill => 
-                redisGet(`articles:${userId}:${skill.name}`)
+                redisGet(`articles:${userId}:${skill.tag}`)
                     .then(data => data ? JSON.parse(data) : null)
             )
         );
@@ -103,9 +108,9 @@ async function fetchDevBlogs(userId, skills) {
         // Fetch fresh articles for skills not in cache
         const freshArticles = await Promise.all(
             skillsToFetch.map(skill => 
-                fetchArticlesForSkill(skill.name)
+                fetchArticlesForSkill(skill)
                     .then(articles => ({
-                        skill: skill.name,
+                        skill: skill.tag,
                         category: skill.category,
                         articles: articles.slice(0, MAX_ARTICLES_PER_SKILL)
                     }))
@@ -129,7 +134,7 @@ async function fetchDevBlogs(userId, skills) {
         
         prioritizedSkills.forEach((skill, index) => {
             const articles = cachedArticles[index] || 
-                freshArticles.find(f => f.skill === skill.name)?.articles || [];
+                freshArticles.find(f => f.skill === skill.tag)?.articles || [];
             
             allArticles.push(...articles.map(article => ({
                 ...article,
@@ -167,7 +172,7 @@ function calculateRelevance(skill, article) {
     let relevance = skill.gap / 100;
     
     // Boost if article tag matches skill exactly
-    if (article.tag.toLowerCase() === skill.name.toLowerCase()) {
+    if (article.tag.toLowerCase() === skill.tag) {
         relevance += 0.3;
     }
     
@@ -188,18 +193,25 @@ function calculateRelevance(skill, article) {
 
 async function fetchArticlesForSkill(skill) {
     try {
-        // Fetch from all sources in parallel
-        const results = await Promise.all(
-            SOURCES.map(source => fetchFromSource(source, skill))
-        );
+        // Niche skills often have no tagged articles; fall back to their parent or related skills
+        const tags = [skill.tag, ...getRelatedSkills(skill.name).map(related => getArticleTag(related.id))];
         
-        // Combine and deduplicate articles
-        const allArticles = results.flat();
-        const uniqueArticles = deduplicateArticles(allArticles);
+        for (const tag of [...new Set(tags)].slice(0, MAX_TAGS_PER_SKILL)) {
+            // Fetch from all sources in parallel
+            const results = await Promise.all(
+                SOURCES.map(source => fetchFromSource(source, tag))
+            );
+            
+            // Combine and deduplicate articles
+            const uniqueArticles = deduplicateArticles(results.flat());
+            if (uniqueArticles.length > 0) {
+                return uniqueArticles;
+            }
+        }
         
-        return uniqueArticles;
+        return [];
     } catch (error) {
-        console.error(`Error fetching articles for ${skill}:`, error.message);
+        console.error(`Error fetching articles for ${skill.name}:`, error.message);
         return [];
     }
 }
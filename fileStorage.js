@@ -0,0 +1,296 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Stored objects are AES-256-GCM envelopes: header, IV, auth tag, ciphertext
+const ENVELOPE_HEADER = Buffer.from('SFX1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const S3_TIMEOUT = 30000;
+
+function getStorageConfig() {
+    return {
+        driver: process.env.STORAGE_DRIVER || 'local',
+        localDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, 'storage'),
+        // 0 keeps originals forever
+        retentionDays: parseInt(process.env.RESUME_RETENTION_DAYS || '90'),
+        s3: {
+            endpoint: process.env.S3_ENDPOINT,
+            region: process.env.S3_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            // MinIO and most self-hosted servers only support path-style URLs
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+        }
+    };
+}
+
+const backends = {
+    local: createLocalBackend,
+    s3: createS3Backend
+};
+
+let activeBackend = null;
+
+function getBackend() {
+    if (!activeBackend) {
+        const config = getStorageConfig();
+        const factory = backends[config.driver];
+        if (!factory) {
+            throw new Error(`Unknown storage driver "${config.driver}"; use one of ${Object.keys(backends).join(', ')}`);
+        }
+        activeBackend = factory(config);
+    }
+    return activeBackend;
+}
+
+function registerBackend(name, factory) {
+    backends[name] = factory;
+    activeBackend = null;
+}
+
+// Encrypt and store an original upload; returns the key to read it back with
+async function saveOriginal(buffer, extension = '') {
+    const key = `resumes/${crypto.randomUUID()}${extension.toLowerCase()}`;
+    await getBackend().put(key, encrypt(buffer));
+    return key;
+}
+
+// Decrypted bytes, or null when the object no longer exists
+async function readOriginal(key) {
+    const stored = await getBackend().get(key);
+    return stored ? decrypt(stored) : null;
+}
+
+async function deleteOriginal(key) {
+    await getBackend().remove(key);
+}
+
+// Extractors read from disk, so analysis runs against a short-lived plaintext copy
+async function copyToTempFile(key) {
+    const buffer = await readOriginal(key);
+    if (!buffer) return null;
+
+    const tempPath = path.join(os.tmpdir(), `skillforgex-${crypto.randomUUID()}${path.extname(key)}`);
+    await fs.promises.writeFile(tempPath, buffer, { mode: 0o600 });
+    return tempPath;
+}
+
+function getRetentionCutoff(from = new Date()) {
+    const { retentionDays } = getStorageConfig();
+    if (!retentionDays || retentionDays <= 0) return null;
+    return new Date(from.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+}
+
+// ======================
+// Encryption at rest
+// ======================
+let encryptionKey = null;
+
+function getEncryptionKey() {
+    if (encryptionKey) return encryptionKey;
+
+    // No fallback: a key derived from another secret would tie stored resumes to it
+    const configured = process.env.STORAGE_ENCRYPTION_KEY;
+    if (!configured) {
+        throw new Error('STORAGE_ENCRYPTION_KEY is required to store resumes');
+    }
+
+    const key = /^[0-9a-f]{64}$/i.test(configured)
+        ? Buffer.from(configured, 'hex')
+        : Buffer.from(configured, 'base64');
+    if (key.length !== 32) {
+        throw new Error('STORAGE_ENCRYPTION_KEY must be 32 bytes, as 64 hex characters or base64');
+    }
+    encryptionKey = key;
+    return encryptionKey;
+}
+
+function encrypt(buffer) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    return Buffer.concat([ENVELOPE_HEADER, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function decrypt(envelope) {
+    if (!envelope.subarray(0, ENVELOPE_HEADER.length).equals(ENVELOPE_HEADER)) {
+        throw new Error('Stored file is not an encrypted SkillForgeX object');
+    }
+
+    const ivStart = ENVELOPE_HEADER.length;
+    const tagStart = ivStart + IV_LENGTH;
+    const dataStart = tagStart + TAG_LENGTH;
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), envelope.subarray(ivStart, tagStart));
+    decipher.setAuthTag(envelope.subarray(tagStart, dataStart));
+    return Buffer.concat([decipher.update(envelope.subarray(dataStart)), decipher.final()]);
+}
+
+// ======================
+// Local filesystem backend
+// ======================
+function createLocalBackend(config) {
+    const root = path.resolve(config.localDir);
+
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        put: async (key, buffer) => {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer, { mode: 0o600 });
+        },
+        get: async (key) => {
+            try {
+                return await fs.promises.readFile(resolveKey(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        remove: async (key) => {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+}
+
+// ======================
+// S3-compatible backend (AWS S3, MinIO, ...)
+// ======================
+function createS3Backend(config) {
+    const { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle } = config.s3;
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 storage driver');
+    }
+
+    const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const objectUrl = (key) => {
+        const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+        const url = new URL(base.href);
+        if (forcePathStyle) {
+            url.pathname = `${base.pathname.replace(/\/+$/, '')}/${bucket}/${encodedKey}`;
+        } else {
+            url.hostname = `${bucket}.${base.hostname}`;
+            url.pathname = `/${encodedKey}`;
+        }
+        return url;
+    };
+
+    const send = async (method, key, body) => {
+        const url = objectUrl(key);
+        const payload = body || Buffer.alloc(0);
+        const headers = signRequest({
+            method,
+            url,
+            headers: body ? { 'content-type': 'application/octet-stream' } : {},
+            payload,
+            region,
+            accessKeyId,
+            secretAccessKey
+        });
+
+        return axios({
+            method,
+            url: url.href,
+            headers,
+            data: body,
+            responseType: 'arraybuffer',
+            timeout: S3_TIMEOUT,
+            maxBodyLength: Infinity,
+            validateStatus: status => (status >= 200 && status < 300) || status === 404
+        });
+    };
+
+    return {
+        name: 's3',
+        put: async (key, buffer) => {
+            const response = await send('PUT', key, buffer);
+            if (response.status === 404) {
+                throw new Error(`S3 bucket "${bucket}" does not exist`);
+            }
+        },
+        get: async (key) => {
+            const response = await send('GET', key);
+            return response.status === 404 ? null : Buffer.from(response.data);
+        },
+        remove: async (key) => {
+            await send('DELETE', key);
+        }
+    };
+}
+
+// AWS Signature Version 4 for a single request; every header passed in is signed
+function signRequest({ method, url, headers, payload, region, accessKeyId, secretAccessKey, service = 's3', date = new Date() }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(payload);
+
+    const signedHeaders = {
+        ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+    const headerNames = Object.keys(signedHeaders).sort();
+
+    const canonicalQuery = [...url.searchParams.entries()]
+        .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+        .sort()
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery,
+        headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+        headerNames.join(';'),
+        payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = [dateStamp, region, service, 'aws4_request']
+        .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...requestHeaders } = signedHeaders;
+    return {
+        ...requestHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+    };
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+module.exports = {
+    getStorageConfig,
+    getEncryptionKey,
+    registerBackend,
+    saveOriginal,
+    readOriginal,
+    deleteOriginal,
+    copyToTempFile,
+    getRetentionCutoff,
+    signRequest
+};
@@ -0,0 +1,160 @@
+const pdf = require('pdf-parse');
+
+// Hard caps for untrusted uploads; sizes in bytes
+const FILE_LIMITS = {
+    maxPdfPages: parseInt(process.env.MAX_PDF_PAGES || '20'),
+    maxPdfBytes: parseInt(process.env.MAX_PDF_BYTES || String(10 * 1024 * 1024)),
+    maxZipEntries: parseInt(process.env.MAX_ZIP_ENTRIES || '500'),
+    maxZipUncompressedBytes: parseInt(process.env.MAX_ZIP_UNCOMPRESSED_BYTES || String(50 * 1024 * 1024)),
+    maxZipCompressionRatio: parseInt(process.env.MAX_ZIP_COMPRESSION_RATIO || '100'),
+    maxExtractedChars: parseInt(process.env.MAX_EXTRACTED_CHARS || '200000'),
+    extractionTimeoutMs: parseInt(process.env.EXTRACTION_TIMEOUT_MS || '30000')
+};
+
+// Error codes returned to clients, with the HTTP status each maps to
+const FILE_ERRORS = {
+    invalid_upload: 400,
+    unsupported_extension: 415,
+    file_too_large: 413,
+    empty_file: 400,
+    unrecognized_format: 415,
+    content_mismatch: 415,
+    zip_invalid: 422,
+    zip_too_many_entries: 422,
+    zip_too_large: 422,
+    zip_compression_ratio: 422,
+    pdf_invalid: 422,
+    pdf_encrypted: 422,
+    pdf_too_large: 413,
+    pdf_too_many_pages: 422,
+    extraction_timeout: 422,
+    no_text: 422,
+    text_too_long: 422
+};
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_EOCD_MIN_SIZE = 22;
+const ZIP_MAX_COMMENT = 0xffff;
+const ZIP64_MARKER = 0xffffffff;
+
+function fileError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = FILE_ERRORS[code] || 400;
+    if (details) error.details = details;
+    return error;
+}
+
+function isFileError(error) {
+    return !!error && Object.prototype.hasOwnProperty.call(FILE_ERRORS, error.code);
+}
+
+// Reject when the work takes too long; the underlying parser is left to finish in the background
+function withTimeout(promise, ms = FILE_LIMITS.extractionTimeoutMs, label = 'Text extraction') {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(
+            () => reject(fileError('extraction_timeout', `${label} took longer than ${Math.round(ms / 1000)} seconds`)),
+            ms
+        );
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Read the zip central directory without inflating anything, so a bomb is rejected before mammoth or JSZip touch it
+function inspectZip(buffer) {
+    const eocdOffset = findEndOfCentralDirectory(buffer);
+    if (eocdOffset < 0) {
+        throw fileError('zip_invalid', 'The document is not a valid zip package');
+    }
+
+    const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+    const directorySize = buffer.readUInt32LE(eocdOffset + 12);
+    const directoryOffset = buffer.readUInt32LE(eocdOffset + 16);
+
+    if (entryCount > FILE_LIMITS.maxZipEntries) {
+        throw fileError('zip_too_many_entries', `The document contains ${entryCount} parts (limit ${FILE_LIMITS.maxZipEntries})`);
+    }
+    if (directoryOffset === ZIP64_MARKER || directoryOffset + directorySize > buffer.length) {
+        throw fileError('zip_invalid', 'The document is not a valid zip package');
+    }
+
+    let offset = directoryOffset;
+    let totalUncompressed = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_SIGNATURE) {
+            throw fileError('zip_invalid', 'The document has a corrupt zip directory');
+        }
+
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const uncompressedSize = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // ZIP64 sizes only appear in archives far bigger than any resume
+        if (compressedSize === ZIP64_MARKER || uncompressedSize === ZIP64_MARKER) {
+            throw fileError('zip_too_large', 'The document uses ZIP64 entries, which are not accepted');
+        }
+        if (uncompressedSize > 0 && uncompressedSize / Math.max(compressedSize, 1) > FILE_LIMITS.maxZipCompressionRatio) {
+            throw fileError('zip_compression_ratio', `The document part "${name}" is compressed suspiciously well`, { entry: name });
+        }
+
+        totalUncompressed += uncompressedSize;
+        if (totalUncompressed > FILE_LIMITS.maxZipUncompressedBytes) {
+            throw fileError('zip_too_large', `The document expands to more than ${formatMegabytes(FILE_LIMITS.maxZipUncompressedBytes)}`);
+        }
+
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+
+    return { entryCount, uncompressedBytes: totalUncompressed };
+}
+
+async function inspectPdf(buffer) {
+    if (buffer.length > FILE_LIMITS.maxPdfBytes) {
+        throw fileError('pdf_too_large', `PDFs must be under ${formatMegabytes(FILE_LIMITS.maxPdfBytes)}`);
+    }
+
+    let pageCount;
+    try {
+        // Rendering the first page is enough to learn the page count
+        ({ numpages: pageCount } = await withTimeout(pdf(new Uint8Array(buffer), { max: 1 }), undefined, 'Reading the PDF'));
+    } catch (error) {
+        if (isFileError(error)) throw error;
+        if (error.name === 'PasswordException') {
+            throw fileError('pdf_encrypted', 'The PDF is password protected; upload an unlocked copy');
+        }
+        throw fileError('pdf_invalid', 'The PDF could not be read; it may be damaged');
+    }
+
+    if (pageCount > FILE_LIMITS.maxPdfPages) {
+        throw fileError('pdf_too_many_pages', `The PDF has ${pageCount} pages (limit ${FILE_LIMITS.maxPdfPages})`);
+    }
+
+    return { pageCount };
+}
+
+function findEndOfCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - ZIP_EOCD_MIN_SIZE - ZIP_MAX_COMMENT);
+    for (let offset = buffer.length - ZIP_EOCD_MIN_SIZE; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === ZIP_EOCD_SIGNATURE) {
+            return offset;
+        }
+    }
+    return -1;
+}
+
+function formatMegabytes(bytes) {
+    return `${Math.round(bytes / 1024 / 1024)}MB`;
+}
+
+module.exports = {
+    FILE_LIMITS,
+    FILE_ERRORS,
+    fileError,
+    isFileError,
+    withTimeout,
+    inspectZip,
+    inspectPdf
+};
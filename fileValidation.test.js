@@ -0,0 +1,116 @@
+const JSZip = require('jszip');
+const PDFDocument = require('pdfkit');
+const { FILE_LIMITS, fileError, isFileError, withTimeout, inspectZip, inspectPdf } = require('./fileValidation');
+
+function buildZip(files, compression = 'DEFLATE') {
+    const zip = new JSZip();
+    Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+    return zip.generateAsync({ type: 'nodebuffer', compression });
+}
+
+function buildPdf(pages) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument();
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        for (let page = 1; page <= pages; page++) {
+            if (page > 1) doc.addPage();
+            doc.text(`Page ${page}`);
+        }
+        doc.end();
+    });
+}
+
+// Run with one limit lowered, then put it back
+async function withLimit(name, value, fn) {
+    const original = FILE_LIMITS[name];
+    FILE_LIMITS[name] = value;
+    try {
+        return await fn();
+    } finally {
+        FILE_LIMITS[name] = original;
+    }
+}
+
+async function codeOf(fn) {
+    try {
+        await fn();
+    } catch (error) {
+        return error.code;
+    }
+    return null;
+}
+
+describe('fileError', () => {
+    test('carries a code and the HTTP status for it', () => {
+        const error = fileError('pdf_too_large', 'Too big', { bytes: 1 });
+
+        expect(error).toMatchObject({ message: 'Too big', code: 'pdf_too_large', status: 413, details: { bytes: 1 } });
+        expect(isFileError(error)).toBe(true);
+        expect(isFileError(new Error('boom'))).toBe(false);
+    });
+});
+
+describe('withTimeout', () => {
+    test('passes through work that finishes in time', async () => {
+        await expect(withTimeout(Promise.resolve('done'), 50)).resolves.toBe('done');
+    });
+
+    test('rejects slow work with extraction_timeout', async () => {
+        const slow = new Promise(resolve => setTimeout(resolve, 200));
+        await expect(withTimeout(slow, 10, 'Reading')).rejects.toMatchObject({ code: 'extraction_timeout' });
+    });
+});
+
+describe('inspectZip', () => {
+    test('accepts an ordinary document package', async () => {
+        const buffer = await buildZip({ mimetype: 'application/vnd.oasis.opendocument.text', 'content.xml': '<office:document-content/>' });
+
+        expect(inspectZip(buffer)).toMatchObject({ entryCount: 2 });
+    });
+
+    test('rejects data that is not a zip', async () => {
+        expect(await codeOf(() => inspectZip(Buffer.from('not a zip at all, just some text padding')))).toBe('zip_invalid');
+    });
+
+    test('rejects packages with too many parts', async () => {
+        const buffer = await buildZip({ a: '1', b: '2', c: '3' });
+
+        expect(await withLimit('maxZipEntries', 2, () => codeOf(() => inspectZip(buffer)))).toBe('zip_too_many_entries');
+    });
+
+    test('rejects parts that are compressed suspiciously well', async () => {
+        const buffer = await buildZip({ 'word/document.xml': '0'.repeat(1024 * 1024) });
+
+        expect(await codeOf(() => inspectZip(buffer))).toBe('zip_compression_ratio');
+    });
+
+    test('rejects packages that expand past the size limit', async () => {
+        const buffer = await buildZip({ 'word/document.xml': 'x'.repeat(4096) }, 'STORE');
+
+        expect(await withLimit('maxZipUncompressedBytes', 1024, () => codeOf(() => inspectZip(buffer)))).toBe('zip_too_large');
+    });
+});
+
+describe('inspectPdf', () => {
+    test('counts the pages of a valid PDF', async () => {
+        expect(await inspectPdf(await buildPdf(2))).toEqual({ pageCount: 2 });
+    });
+
+    test('rejects PDFs with too many pages', async () => {
+        const buffer = await buildPdf(3);
+
+        expect(await withLimit('maxPdfPages', 2, () => codeOf(() => inspectPdf(buffer)))).toBe('pdf_too_many_pages');
+    });
+
+    test('rejects PDFs over the byte limit before parsing', async () => {
+        const buffer = await buildPdf(1);
+
+        expect(await withLimit('maxPdfBytes', 10, () => codeOf(() => inspectPdf(buffer)))).toBe('pdf_too_large');
+    });
+
+    test('rejects damaged PDFs', async () => {
+        expect(await codeOf(() => inspectPdf(Buffer.from('%PDF-1.4\nnot really a pdf')))).toBe('pdf_invalid');
+    });
+});
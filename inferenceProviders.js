@@ -0,0 +1,346 @@
+const axios = require('axios');
+const natural = require('natural');
+const { getRedactionPolicy, redactText, restoreEntities, logRedaction } = require('./piiRedactor');
+const { findSkillMentions } = require('./skillTaxonomy');
+const { chunkText } = require('./textChunker');
+const { detectLanguage, getLanguage } = require('./languageSupport');
+
+const HUGGINGFACE_BASE_URL = 'https://api-inference.huggingface.co/models';
+
+// Model tasks, how to reshape each provider's raw output into one format, and how to
+// combine the results of a long input sent in chunks (both default models take 512 tokens)
+const TASKS = {
+    sentiment: {
+        defaultModel: 'j-hartmann/emotion-english-distilroberta-base',
+        timeout: 10000,
+        chunk: { maxChars: 1500, overlapChars: 0 },
+        normalize: normalizeClassification,
+        aggregate: aggregateClassification
+    },
+    ner: {
+        defaultModel: 'dslim/bert-base-NER',
+        timeout: 15000,
+        chunk: { maxChars: 1200, overlapChars: 200 },
+        normalize: normalizeTokenClassification,
+        aggregate: aggregateTokenClassification,
+        restore: restoreEntities
+    }
+};
+
+const providers = {
+    huggingface: createHuggingFaceProvider,
+    selfhosted: createSelfHostedProvider,
+    local: createLocalProvider
+};
+
+// Per-task settings, e.g. NER_PROVIDER=local or SENTIMENT_INFERENCE_URL=http://models:8080
+function getTaskConfig(task) {
+    const prefix = task.toUpperCase();
+    return {
+        provider: process.env[`${prefix}_PROVIDER`] ||
+            process.env.INFERENCE_PROVIDER ||
+            (process.env.HUGGINGFACE_API_KEY ? 'huggingface' : 'local'),
+        model: process.env[`${prefix}_MODEL`] || TASKS[task].defaultModel,
+        baseUrl: process.env[`${prefix}_INFERENCE_URL`] || process.env.INFERENCE_BASE_URL,
+        apiKey: process.env.INFERENCE_API_KEY,
+        chunkChars: parseInt(process.env[`${prefix}_CHUNK_CHARS`]) || TASKS[task].chunk.maxChars
+    };
+}
+
+function registerProvider(name, factory) {
+    providers[name] = factory;
+}
+
+function getProvider(task, overrides = {}) {
+    if (!TASKS[task]) {
+        throw new Error(`Unknown inference task: ${task}`);
+    }
+
+    const config = { ...getTaskConfig(task), ...overrides };
+    const factory = providers[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown inference provider "${config.provider}" for task ${task}`);
+    }
+
+    return { provider: factory(config), config };
+}
+
+// Run a model task on the configured provider; overrides.provider forces a specific backend.
+// Text bound for a remote provider is redacted first and the audit log records what was sent.
+async function runInference(task, inputs, overrides = {}) {
+    const { provider, config } = getProvider(task, overrides);
+
+    if (!provider.remote) {
+        return {
+            provider: provider.name,
+            model: config.model,
+            output: await runChunks(task, provider, config, inputs, false)
+        };
+    }
+
+    const policy = getRedactionPolicy();
+    const redaction = redactText(inputs, policy);
+    await logRedaction({ task, provider: provider.name, model: config.model, policy, redaction });
+
+    const output = await runChunks(task, provider, config, redaction.text, true);
+    return {
+        provider: provider.name,
+        model: config.model,
+        output: TASKS[task].restore ? TASKS[task].restore(output, redaction) : output
+    };
+}
+
+// Remote models truncate long inputs, so those are sent chunk by chunk and the results combined.
+// Chunks go one at a time to stay under hosted rate limits.
+async function runChunks(task, provider, config, text, chunked) {
+    const chunks = chunked && typeof text === 'string'
+        ? chunkText(text, { ...TASKS[task].chunk, maxChars: config.chunkChars })
+        : [{ text, start: 0 }];
+
+    const results = [];
+    for (const chunk of chunks) {
+        results.push({
+            chunk,
+            output: TASKS[task].normalize(await provider.run(task, config.model, chunk.text))
+        });
+    }
+
+    return TASKS[task].aggregate(results, text);
+}
+
+// ======================
+// Remote providers
+// ======================
+function createHuggingFaceProvider(config) {
+    return {
+        name: 'huggingface',
+        remote: true,
+        run: (task, model, inputs) => postInference(
+            `${HUGGINGFACE_BASE_URL}/${model}`,
+            process.env.HUGGINGFACE_API_KEY,
+            task,
+            inputs
+        )
+    };
+}
+
+// Any server that speaks the Hugging Face inference API; "{model}" in the URL is substituted
+function createSelfHostedProvider(config) {
+    if (!config.baseUrl) {
+        throw new Error('INFERENCE_BASE_URL is required for the self-hosted provider');
+    }
+
+    const baseUrl = config.baseUrl.replace(/\/+$/, '');
+    return {
+        name: 'selfhosted',
+        remote: true,
+        run: (task, model, inputs) => postInference(
+            baseUrl.includes('{model}') ? baseUrl.replace('{model}', model) : `${baseUrl}/${model}`,
+            config.apiKey,
+            task,
+            inputs
+        )
+    };
+}
+
+async function postInference(url, apiKey, task, inputs) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await axios.post(url, { inputs }, { headers, timeout: TASKS[task].timeout });
+    if (!response.data) {
+        throw new Error(`No data received from ${url}`);
+    }
+    return response.data;
+}
+
+// ======================
+// Local rule-based provider
+// ======================
+const WORD = '[A-Z][\\w&.-]*';
+const LOCAL_ENTITY_PATTERNS = [
+    { entity: 'B-ORG', pattern: new RegExp(`\\b(?:University|College|Institute|School|Academy) of(?:[ \\t]+${WORD}){1,4}|${WORD}(?:[ \\t]+${WORD}){0,3}[ \\t]+(?:University|College|Institute)\\b`, 'g') },
+    { entity: 'B-ORG', pattern: new RegExp(`(?<=(?:\\bat|@)[ \\t]+)${WORD}(?:[ \\t]+${WORD}){0,3}`, 'g') },
+    { entity: 'B-ORG', pattern: new RegExp(`${WORD}(?:[ \\t]+${WORD}){0,3}[ \\t]+(?:Inc|LLC|Ltd|Corp|Corporation|GmbH|Technologies|Labs|Systems)\\b\\.?`, 'g') },
+    { entity: 'B-CERT', pattern: new RegExp(`\\bCertified(?:[ \\t]+${WORD}){1,5}|${WORD}(?:[ \\t]+${WORD}){0,4}[ \\t]+Certified(?:[ \\t]+${WORD}){0,4}`, 'g') }
+];
+
+const SENTIMENT_THRESHOLD = 0.05;
+
+function createLocalProvider() {
+    return {
+        name: 'local',
+        run: async (task, model, inputs) => {
+            if (task === 'sentiment') return localSentiment(inputs);
+            if (task === 'ner') return localEntities(inputs);
+            throw new Error(`The local provider does not support task ${task}`);
+        }
+    };
+}
+
+// Stemming the lexicon is slow, so each language's analyzer is built once
+const sentimentAnalyzers = new Map();
+
+function getSentimentAnalyzer(code) {
+    if (!sentimentAnalyzers.has(code)) {
+        const { stemmer, sentiment } = getLanguage(code);
+        sentimentAnalyzers.set(code, new natural.SentimentAnalyzer(sentiment.language, stemmer, sentiment.vocabulary));
+    }
+    return sentimentAnalyzers.get(code);
+}
+
+// Lexicon average in the resume's language mapped onto the emotion labels the remote model returns
+function localSentiment(text) {
+    const { language } = detectLanguage(text);
+    const profile = getLanguage(language);
+    if (!profile.sentiment) {
+        return [{ label: 'neutral', score: 1 }];
+    }
+
+    const tokens = profile.createTokenizer().tokenize(text);
+    const average = (getSentimentAnalyzer(language).getSentiment(tokens) || 0) * profile.sentiment.scale;
+
+    if (Math.abs(average) < SENTIMENT_THRESHOLD) {
+        return [{ label: 'neutral', score: 1 }];
+    }
+
+    const score = Math.round(Math.min(0.5 + Math.abs(average), 1) * 1000) / 1000;
+    return [
+        { label: average > 0 ? 'joy' : 'sadness', score },
+        { label: 'neutral', score: Math.round((1 - score) * 1000) / 1000 }
+    ];
+}
+
+// Skill taxonomy and pattern matches in the token-classification shape the NER models return
+function localEntities(text) {
+    const entities = findSkillMentions(text)
+        .map(({ word, start, end }) => ({ entity: 'B-TECH', word, score: 1, start, end }));
+
+    LOCAL_ENTITY_PATTERNS.forEach(({ entity, pattern }) => {
+        for (const match of text.matchAll(pattern)) {
+            entities.push({ entity, word: match[0].trim(), score: 1, start: match.index, end: match.index + match[0].length });
+        }
+    });
+
+    return entities.sort((a, b) => a.start - b.start);
+}
+
+// ======================
+// Output normalization
+// ======================
+// Text classification comes back as [{label, score}] or [[{label, score}]] depending on the server
+function normalizeClassification(output) {
+    const results = Array.isArray(output) ? output.flat() : [output];
+    return results
+        .filter(result => result && result.label)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Per-label scores averaged across chunks, weighted by how much text each chunk covered
+function aggregateClassification(results) {
+    if (results.length === 1) return results[0].output;
+
+    const totalLength = results.reduce((sum, { chunk }) => sum + chunk.text.length, 0);
+    const scores = new Map();
+    results.forEach(({ chunk, output }) => {
+        output.forEach(({ label, score }) => {
+            scores.set(label, (scores.get(label) || 0) + score * chunk.text.length / totalLength);
+        });
+    });
+
+    return [...scores.entries()]
+        .map(([label, score]) => ({ label, score: Math.round(score * 1000) / 1000 }))
+        .sort((a, b) => b.score - a.score);
+}
+
+// Shift chunk offsets back onto the full text, drop tokens seen twice in an overlap, then merge spans
+function aggregateTokenClassification(results, text) {
+    const tokens = results.flatMap(({ chunk, output }) => output.map(entity => (
+        hasOffsets(entity) ? { ...entity, start: entity.start + chunk.start, end: entity.end + chunk.start } : entity
+    )));
+
+    if (results.length > 1 && tokens.every(hasOffsets)) {
+        const unique = new Map();
+        tokens.forEach(token => {
+            const key = `${token.start}:${token.end}`;
+            if (!unique.has(key) || unique.get(key).score < token.score) unique.set(key, token);
+        });
+        return mergeEntitySpans([...unique.values()].sort((a, b) => a.start - b.start), text);
+    }
+
+    return mergeEntitySpans(tokens, text);
+}
+
+// Join "##" subwords and I- tokens onto the span before them, so "Amazon Web Services"
+// comes out as one entity; a span's confidence is the average of its tokens
+function mergeEntitySpans(tokens, text) {
+    const spans = [];
+
+    tokens.forEach(token => {
+        const tag = token.entity || '';
+        const type = tag.replace(/^[BI]-/, '');
+        const subword = token.word.startsWith('##');
+        const current = spans[spans.length - 1];
+
+        const continues = current && (subword || (tag.startsWith('I-') && current.type === type)) &&
+            isAdjacent(current, token, subword, text);
+
+        if (!continues) {
+            spans.push({
+                ...token,
+                type,
+                word: subword ? token.word.slice(2) : token.word,
+                scores: [token.score]
+            });
+            return;
+        }
+
+        current.scores.push(token.score);
+        if (hasOffsets(current) && hasOffsets(token) && typeof text === 'string') {
+            current.end = token.end;
+            current.word = text.slice(current.start, current.end);
+        } else {
+            current.word += subword ? token.word.slice(2) : ` ${token.word}`;
+        }
+    });
+
+    return spans.map(({ type, scores, index, ...span }) => ({
+        ...span,
+        entity: `B-${type}`,
+        entity_group: type,
+        score: Math.round(scores.reduce((sum, score) => sum + (score || 0), 0) / scores.length * 10000) / 10000
+    }));
+}
+
+// Subwords must touch the previous token; words may be separated by whitespace only
+function isAdjacent(span, token, subword, text) {
+    if (!hasOffsets(span) || !hasOffsets(token)) return true;
+    if (subword) return token.start === span.end;
+    return token.start >= span.end && (typeof text !== 'string' || !text.slice(span.end, token.start).trim());
+}
+
+function hasOffsets(entity) {
+    return typeof entity.start === 'number' && typeof entity.end === 'number';
+}
+
+// Aggregated pipelines use entity_group instead of entity
+function normalizeTokenClassification(output) {
+    if (!Array.isArray(output)) return [];
+
+    return output
+        .filter(entity => entity && entity.word)
+        .map(entity => ({
+            ...entity,
+            entity: entity.entity || (entity.entity_group ? `B-${entity.entity_group}` : undefined)
+        }));
+}
+
+module.exports = {
+    TASKS,
+    runInference,
+    getTaskConfig,
+    mergeEntitySpans,
+    registerProvider
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inference-audit-'));
+process.env.PII_AUDIT_LOG = path.join(auditDir, 'audit.log');
+
+const { runInference, mergeEntitySpans, registerProvider } = require('./inferenceProviders');
+
+afterAll(() => {
+    fs.rmSync(auditDir, { recursive: true, force: true });
+});
+
+describe('mergeEntitySpans', () => {
+    test('joins I- tokens onto the span before them and averages the scores', () => {
+        const text = 'Worked at Amazon Web Services in Seattle';
+        const spans = mergeEntitySpans([
+            { entity: 'B-ORG', word: 'Amazon', score: 0.9, start: 10, end: 16 },
+            { entity: 'I-ORG', word: 'Web', score: 0.8, start: 17, end: 20 },
+            { entity: 'I-ORG', word: 'Services', score: 0.7, start: 21, end: 29 },
+            { entity: 'B-LOC', word: 'Seattle', score: 0.95, start: 33, end: 40 }
+        ], text);
+
+        expect(spans).toEqual([
+            { entity: 'B-ORG', entity_group: 'ORG', word: 'Amazon Web Services', score: 0.8, start: 10, end: 29 },
+            { entity: 'B-LOC', entity_group: 'LOC', word: 'Seattle', score: 0.95, start: 33, end: 40 }
+        ]);
+    });
+
+    test('glues "##" subwords onto the previous token', () => {
+        const text = 'Used Kubernetes daily';
+        const [span] = mergeEntitySpans([
+            { entity: 'B-MISC', word: 'Ku', score: 1, start: 5, end: 7 },
+            { entity: 'I-MISC', word: '##ber', score: 1, start: 7, end: 10 },
+            { entity: 'I-MISC', word: '##netes', score: 1, start: 10, end: 15 }
+        ], text);
+
+        expect(span).toMatchObject({ word: 'Kubernetes', start: 5, end: 15 });
+    });
+
+    test('keeps tokens apart when text other than whitespace separates them', () => {
+        const text = 'Acme, Initech';
+        const spans = mergeEntitySpans([
+            { entity: 'B-ORG', word: 'Acme', score: 1, start: 0, end: 4 },
+            { entity: 'I-ORG', word: 'Initech', score: 1, start: 6, end: 13 }
+        ], text);
+
+        expect(spans.map(span => span.word)).toEqual(['Acme', 'Initech']);
+    });
+
+    test('does not join I- tokens of a different type', () => {
+        const spans = mergeEntitySpans([
+            { entity: 'B-ORG', word: 'Acme', score: 1 },
+            { entity: 'I-LOC', word: 'Berlin', score: 1 }
+        ]);
+
+        expect(spans.map(span => span.entity_group)).toEqual(['ORG', 'LOC']);
+    });
+
+    test('joins words without offsets with a space', () => {
+        const [span] = mergeEntitySpans([
+            { entity: 'B-ORG', word: 'Acme', score: 1 },
+            { entity: 'I-ORG', word: 'Corp', score: 1 }
+        ]);
+
+        expect(span.word).toBe('Acme Corp');
+    });
+});
+
+describe('chunked remote inference', () => {
+    const calls = [];
+
+    beforeAll(() => {
+        process.env.PII_REDACTION = 'off';
+        registerProvider('fake', () => ({
+            name: 'fake',
+            remote: true,
+            run: async (task, model, inputs) => {
+                calls.push(inputs);
+                if (task === 'sentiment') {
+                    return [[{ label: inputs.includes('Sadly') ? 'sadness' : 'joy', score: 1 }]];
+                }
+                // Tag every occurrence of "Acme" with offsets into this chunk
+                return [...inputs.matchAll(/Acme/g)].map(match => ({
+                    entity: 'B-ORG', word: 'Acme', score: 0.9, start: match.index, end: match.index + 4
+                }));
+            }
+        }));
+    });
+
+    afterAll(() => {
+        delete process.env.PII_REDACTION;
+    });
+
+    beforeEach(() => {
+        calls.length = 0;
+    });
+
+    test('shifts entity offsets onto the full text and drops duplicates from overlaps', async () => {
+        const text = `${'Filler sentence here. '.repeat(3)}Joined Acme in 2020. ${'More filler text. '.repeat(3)}Left Acme later.`;
+        const { output } = await runInference('ner', text, { provider: 'fake', chunkChars: 80 });
+
+        expect(calls.length).toBeGreaterThan(1);
+        expect(output.map(entity => text.slice(entity.start, entity.end))).toEqual(['Acme', 'Acme']);
+        expect(output.map(entity => entity.start)).toEqual([text.indexOf('Acme'), text.lastIndexOf('Acme')]);
+    });
+
+    test('weights sentiment by how much text each chunk covered', async () => {
+        const text = `${'Happy to ship. '.repeat(6)}\nSadly it broke.`;
+        const { output } = await runInference('sentiment', text, { provider: 'fake', chunkChars: 90 });
+
+        expect(calls).toHaveLength(2);
+        expect(output[0].label).toBe('joy');
+        expect(output[0].score + output[1].score).toBeCloseTo(1, 2);
+    });
+});
+
+describe('local sentiment', () => {
+    test('scores text with the lexicon of its language', async () => {
+        const german = 'Die Teams und die Kunden arbeiten mit der Plattform, die wir für den Betrieb entwickelt haben.';
+        const { output } = await runInference('sentiment', german, { provider: 'local' });
+
+        expect(output[0].label).toBe('neutral');
+    });
+
+    test('still reads English sentiment', async () => {
+        const { output } = await runInference('sentiment', 'Excellent results and a great, happy team.', { provider: 'local' });
+
+        expect(output[0].label).toBe('joy');
+    });
+});
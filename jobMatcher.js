@@ -0,0 +1,105 @@
+const { extractEntities } = require('./nerProcessor');
+const { extractKeywords } = require('./processResume');
+const { DEFAULT_LANGUAGE, detectLanguage, getLanguage } = require('./languageSupport');
+const { skillKey } = require('./skillTaxonomy');
+
+const MAX_JOB_KEYWORDS = 30;
+const SKILL_WEIGHT = 0.6;
+const KEYWORD_WEIGHT = 0.4;
+
+// Boilerplate that appears in most postings and says nothing about the role
+const JOB_POSTING_FILLER = new Set([
+    'ability', 'build', 'candidate', 'company', 'including', 'join', 'looking',
+    'must', 'need', 'needs', 'plus', 'preferred', 'required', 'requirements',
+    'responsibilities', 'role', 'skills', 'strong', 'team', 'will', 'work',
+    'years', 'experience'
+]);
+
+async function matchJobDescription(jobText, analysisResult) {
+    if (!jobText || typeof jobText !== 'string' || jobText.trim() === '') {
+        throw new Error('Job description text is required');
+    }
+
+    // Run the same extraction logic used on resumes
+    const jobEntities = await extractEntities(jobText);
+    const jobKeywords = extractKeywords(jobText, detectLanguage(jobText).language)
+        .filter(keyword => !JOB_POSTING_FILLER.has(keyword))
+        .slice(0, MAX_JOB_KEYWORDS);
+
+    const resumeSkills = new Set(
+        (analysisResult.entities?.skills || []).map(skillKey)
+    );
+    // Compare stems in the resume's language so "managed" matches "management"
+    const { stemmer } = getLanguage(analysisResult.language || DEFAULT_LANGUAGE);
+    const stem = (word) => stemmer.stem(normalize(word));
+    const resumeVocabulary = buildVocabulary(analysisResult, stem);
+
+    const matchedSkills = jobEntities.skills.filter(skill => resumeSkills.has(skillKey(skill)));
+    const missingSkills = jobEntities.skills.filter(skill => !resumeSkills.has(skillKey(skill)));
+
+    const matchedKeywords = jobKeywords.filter(keyword => resumeVocabulary.has(stem(keyword)));
+    const missingKeywords = jobKeywords.filter(keyword => !resumeVocabulary.has(stem(keyword)));
+
+    const skillCoverage = ratio(matchedSkills.length, jobEntities.skills.length);
+    const keywordCoverage = ratio(matchedKeywords.length, jobKeywords.length);
+
+    // Without skills in the posting, keyword coverage carries the whole score
+    const score = jobEntities.skills.length > 0
+        ? skillCoverage * SKILL_WEIGHT + keywordCoverage * KEYWORD_WEIGHT
+        : keywordCoverage;
+
+    return {
+        score: Math.round(score * 100),
+        matchedSkills,
+        missingSkills,
+        keywordCoverage: {
+            percent: Math.round(keywordCoverage * 100),
+            matched: matchedKeywords,
+            missing: missingKeywords
+        },
+        improvements: buildImprovements(missingSkills, missingKeywords)
+    };
+}
+
+// Stems of every keyword in the resume. Analyses stored before keywordStems existed
+// only have the top keywords and phrases, so those are stemmed in as well.
+function buildVocabulary(analysisResult, stem) {
+    const vocabulary = new Set(analysisResult.keywordStems || []);
+
+    [...(analysisResult.keywords || []), ...(analysisResult.importantPhrases || []), ...(analysisResult.entities?.skills || [])]
+        .forEach(phrase => {
+            normalize(phrase).split(/\s+/).filter(Boolean).forEach(word => vocabulary.add(stem(word)));
+        });
+
+    return vocabulary;
+}
+
+function buildImprovements(missingSkills, missingKeywords) {
+    const improvements = [];
+
+    if (missingSkills.length > 0) {
+        improvements.push(`Include missing skills: ${formatList(missingSkills)}`);
+    }
+
+    if (missingKeywords.length > 0) {
+        improvements.push(`Include missing keywords: ${formatList(missingKeywords)}`);
+    }
+
+    return improvements;
+}
+
+function formatList(items) {
+    return items.slice(0, 5).map(item => `'${item}'`).join(', ');
+}
+
+function normalize(text) {
+    return String(text).toLowerCase().trim();
+}
+
+function ratio(part, total) {
+    return total > 0 ? part / total : 0;
+}
+
+module.exports = {
+    matchJobDescription
+};
@@ -0,0 +1,86 @@
+jest.mock('./nerProcessor', () => ({ extractEntities: jest.fn() }));
+jest.mock('./userDashboardCache', () => ({ setDashboard: jest.fn() }));
+
+const { extractEntities } = require('./nerProcessor');
+const { extractKeywords, extractKeywordStems } = require('./processResume');
+const { matchJobDescription } = require('./jobMatcher');
+
+const FREQUENT_WORDS = [
+    'billing', 'invoices', 'reporting', 'analytics', 'customers', 'revenue', 'pipelines', 'releases',
+    'migrations', 'databases', 'caching', 'queues', 'testing', 'reviews', 'mentoring', 'hiring',
+    'budgets', 'roadmaps', 'vendors', 'contracts', 'security', 'audits'
+];
+
+const RESUME = [
+    'Managed a platform team building payment services in Python.',
+    'Designed Kubernetes deployments and monitoring dashboards.',
+    // Repeated, so these fill the top 20 keywords ahead of the lines above
+    ...FREQUENT_WORDS.map(word => `${word} ${word}`)
+].join('\n');
+
+// What processResume stores for the resume above
+function analysisFor(text, extra = {}) {
+    return {
+        keywords: extractKeywords(text).slice(0, 20),
+        keywordStems: extractKeywordStems(text),
+        importantPhrases: [],
+        entities: { skills: ['Python', 'Kubernetes'] },
+        language: 'en',
+        ...extra
+    };
+}
+
+beforeEach(() => {
+    extractEntities.mockResolvedValue({ skills: ['Python', 'Go'] });
+});
+
+describe('matchJobDescription', () => {
+    test('splits the posting skills into matched and missing', async () => {
+        const match = await matchJobDescription('Python and Go developer', analysisFor(RESUME));
+
+        expect(match.matchedSkills).toEqual(['Python']);
+        expect(match.missingSkills).toEqual(['Go']);
+        expect(match.improvements[0]).toBe("Include missing skills: 'Go'");
+    });
+
+    test('finds keywords the resume has below its top 20', async () => {
+        const analysis = analysisFor(RESUME);
+        const match = await matchJobDescription('Experience with monitoring dashboards is a plus.', analysis);
+
+        expect(analysis.keywords).not.toContain('monitoring');
+        expect(match.keywordCoverage.matched).toEqual(expect.arrayContaining(['monitoring', 'dashboards']));
+        expect(match.keywordCoverage.missing).toEqual([]);
+    });
+
+    test('matches other forms of the same word', async () => {
+        const match = await matchJobDescription('Payment platform management and deployment.', analysisFor(RESUME));
+
+        expect(match.keywordCoverage.matched).toEqual(expect.arrayContaining(['management', 'deployment', 'payment', 'platform']));
+        expect(match.keywordCoverage.percent).toBe(100);
+    });
+
+    test('still reports keywords the resume does not have', async () => {
+        const match = await matchJobDescription('Terraform and observability tooling.', analysisFor(RESUME));
+
+        expect(match.keywordCoverage.missing).toEqual(expect.arrayContaining(['terraform', 'observability']));
+        expect(match.improvements).toContainEqual(expect.stringMatching(/^Include missing keywords: .*'terraform'/));
+    });
+
+    test('stems the top keywords of analyses stored without keywordStems', async () => {
+        const analysis = analysisFor('Managed payment services.', { keywordStems: undefined });
+        const match = await matchJobDescription('Payment service management', analysis);
+
+        expect(match.keywordCoverage.missing).toEqual([]);
+    });
+
+    test('scores on keywords alone when the posting names no skills', async () => {
+        extractEntities.mockResolvedValue({ skills: [] });
+        const match = await matchJobDescription('Payment platform management.', analysisFor(RESUME));
+
+        expect(match.score).toBe(100);
+    });
+
+    test('requires job description text', async () => {
+        await expect(matchJobDescription('  ', analysisFor(RESUME))).rejects.toThrow('Job description text is required');
+    });
+});
@@ -0,0 +1,116 @@
+const natural = require('natural');
+
+const DEFAULT_LANGUAGE = 'en';
+const MIN_DETECTION_RATIO = 0.04; // share of tokens that must be function words of the winning language
+
+// natural only exports the English list at the top level
+const stopwordsFor = code => require(`natural/lib/natural/util/stopwords_${code}`).words;
+
+const GERMAN_STOPWORDS = [
+    'aber', 'alle', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bist',
+    'da', 'damit', 'das', 'dass', 'dem', 'den', 'der', 'des', 'die', 'dies', 'diese', 'dieser',
+    'du', 'durch', 'ein', 'eine', 'einem', 'einen', 'einer', 'eines', 'er', 'es', 'für', 'hat',
+    'hatte', 'ich', 'ihr', 'im', 'in', 'ist', 'ja', 'kann', 'mit', 'nach', 'nicht', 'noch', 'nur',
+    'oder', 'sehr', 'sich', 'sie', 'sind', 'so', 'über', 'um', 'und', 'uns', 'unter', 'vom', 'von',
+    'vor', 'war', 'wie', 'wir', 'wird', 'wurde', 'zu', 'zum', 'zur', 'zwischen'
+];
+
+// Only languages with localized messages, section headings and date words are listed.
+// Readability formulas adapted to each language's word and syllable lengths.
+// asl = average sentence length in words, asw = average syllables per word.
+// Sentiment lexicons score -5..5 (AFINN) or -1..1 (pattern); scale puts them on the AFINN range.
+const LANGUAGES = {
+    en: {
+        name: 'English',
+        detectionWords: ['the', 'and', 'of', 'to', 'in', 'with', 'for', 'is', 'on', 'as', 'by', 'at'],
+        stopwords: natural.stopwords,
+        stemmer: natural.PorterStemmer,
+        createTokenizer: () => new natural.WordTokenizer(),
+        posLexicon: 'EN',
+        sentiment: { language: 'English', vocabulary: 'afinn', scale: 1 },
+        readability: { formula: 'flesch', score: (asl, asw) => 206.835 - 1.015 * asl - 84.6 * asw }
+    },
+    de: {
+        name: 'Deutsch',
+        detectionWords: ['und', 'der', 'die', 'das', 'mit', 'für', 'von', 'ist', 'im', 'zu', 'den', 'bei'],
+        stopwords: GERMAN_STOPWORDS,
+        stemmer: natural.PorterStemmerDe,
+        createTokenizer: () => new natural.AggressiveTokenizerDe(),
+        sentiment: { language: 'German', vocabulary: 'pattern', scale: 5 },
+        readability: { formula: 'amstad', score: (asl, asw) => 180 - asl - 58.5 * asw }
+    },
+    fr: {
+        name: 'Français',
+        detectionWords: ['le', 'la', 'les', 'et', 'des', 'du', 'pour', 'avec', 'dans', 'est', 'une', 'sur'],
+        stopwords: stopwordsFor('fr'),
+        stemmer: natural.PorterStemmerFr,
+        createTokenizer: () => new natural.AggressiveTokenizerFr(),
+        sentiment: { language: 'French', vocabulary: 'pattern', scale: 5 },
+        readability: { formula: 'kandel-moles', score: (asl, asw) => 207 - 1.015 * asl - 73.6 * asw }
+    },
+    es: {
+        name: 'Español',
+        detectionWords: ['el', 'la', 'los', 'las', 'y', 'de', 'del', 'para', 'con', 'en', 'una', 'por'],
+        stopwords: stopwordsFor('es'),
+        stemmer: natural.PorterStemmerEs,
+        createTokenizer: () => new natural.AggressiveTokenizerEs(),
+        sentiment: { language: 'Spanish', vocabulary: 'afinn', scale: 1 },
+        // Fernández Huerta works per 100 words
+        readability: { formula: 'fernandez-huerta', score: (asl, asw) => 206.84 - 60 * asw - 102 / asl }
+    }
+};
+
+// Pick the language whose common function words make up the largest share of the text
+function detectLanguage(text) {
+    const tokens = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+    if (tokens.length === 0) {
+        return { language: DEFAULT_LANGUAGE, confidence: 0 };
+    }
+
+    const ranked = Object.entries(LANGUAGES)
+        .map(([code, language]) => {
+            const words = new Set(language.detectionWords);
+            return { code, hits: tokens.filter(token => words.has(token)).length };
+        })
+        .sort((a, b) => b.hits - a.hits);
+
+    const [best, runnerUp] = ranked;
+    if (best.hits / tokens.length < MIN_DETECTION_RATIO) {
+        return { language: DEFAULT_LANGUAGE, confidence: 0 };
+    }
+
+    return {
+        language: best.code,
+        confidence: Math.round((best.hits - runnerUp.hits) / best.hits * 100) / 100
+    };
+}
+
+function getLanguage(code) {
+    return LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+function countSyllables(word, code) {
+    if (code === DEFAULT_LANGUAGE) {
+        const lowerWord = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (lowerWord.length <= 3) return 1;
+
+        const groups = lowerWord
+            .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+            .replace(/^y/, '')
+            .match(/[aeiouy]{1,2}/g);
+
+        return groups ? groups.length : 1;
+    }
+
+    // Vowel groups are a close enough syllable count for the Romance and Germanic languages here
+    const groups = word.toLowerCase().match(/[aeiouyàáâãäåæèéêëìíîïòóôõöøœùúûü]+/g);
+    return groups ? groups.length : 1;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    detectLanguage,
+    getLanguage,
+    countSyllables
+};
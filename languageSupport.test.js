@@ -0,0 +1,48 @@
+const { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage, getLanguage, countSyllables } = require('./languageSupport');
+const { MESSAGES, translate } = require('./locales');
+
+describe('detectLanguage', () => {
+    test.each([
+        ['en', 'Led the migration of the billing platform to Kubernetes and cut costs for the team.'],
+        ['de', 'Ich habe die Migration der Plattform zu Kubernetes geleitet und die Kosten für das Team gesenkt.'],
+        ['fr', 'J\'ai dirigé la migration de la plateforme vers Kubernetes et réduit les coûts pour une équipe.'],
+        ['es', 'Dirigí la migración de la plataforma a Kubernetes y reduje los costes para el equipo.']
+    ])('%s', (language, text) => {
+        expect(detectLanguage(text).language).toBe(language);
+    });
+
+    test('falls back to English without enough function words', () => {
+        expect(detectLanguage('Kubernetes Docker Terraform AWS')).toEqual({ language: DEFAULT_LANGUAGE, confidence: 0 });
+        expect(detectLanguage('')).toEqual({ language: DEFAULT_LANGUAGE, confidence: 0 });
+    });
+});
+
+describe('language profiles', () => {
+    test('every advertised language has messages and a sentiment lexicon', () => {
+        Object.entries(LANGUAGES).forEach(([code, profile]) => {
+            expect(MESSAGES[code]).toBeDefined();
+            expect(Object.keys(MESSAGES[code]).sort()).toEqual(Object.keys(MESSAGES.en).sort());
+            expect(profile.sentiment).toEqual(expect.objectContaining({ language: expect.any(String), scale: expect.any(Number) }));
+        });
+    });
+
+    test('unknown codes get the English profile', () => {
+        expect(getLanguage('xx')).toBe(LANGUAGES.en);
+    });
+
+    test('counts syllables per language', () => {
+        expect(countSyllables('engineering', 'en')).toBe(4);
+        expect(countSyllables('Entwicklung', 'de')).toBe(3);
+    });
+});
+
+describe('translate', () => {
+    test('fills in parameters', () => {
+        expect(translate('fr', 'bullets_too_long', { count: 2, max: 30 })).toBe('Réduisez 2 puce(s) à moins de 30 mots');
+    });
+
+    test('falls back to English for unknown languages and keys', () => {
+        expect(translate('xx', 'minor_formatting')).toBe('Minor formatting suggestions');
+        expect(translate('de', 'no_such_message')).toBe('no_such_message');
+    });
+});
@@ -0,0 +1,120 @@
+const { DEFAULT_LANGUAGE } = require('./languageSupport');
+
+// Analysis messages by language; anything missing falls back to English
+const MESSAGES = {
+    en: {
+        tone_negative: 'Consider more positive and professional language',
+        more_skills: 'Add more technical skills to stand out',
+        company_names: 'Include company names for better credibility',
+        shorter_sentences: 'Shorten long sentences for better readability',
+        simpler_language: 'Simplify language to make resume more accessible',
+        ats_formatting: 'Simplify formatting so applicant tracking systems can parse it',
+        minor_formatting: 'Minor formatting suggestions',
+        required_skills: 'Add skills required for {rubric} roles: {skills}',
+        bullets_no_metric: 'Quantify results in {count} bullet(s) with numbers, percentages or amounts',
+        bullets_weak_opener: 'Start {count} bullet(s) with a strong action verb instead of duty phrases like "responsible for"',
+        bullets_passive_voice: 'Rewrite {count} bullet(s) in active voice',
+        bullets_repeated_verb: 'Vary your action verbs; {count} bullet(s) reuse the same opener',
+        bullets_first_person: 'Remove first-person pronouns from {count} bullet(s)',
+        bullets_too_long: 'Trim {count} bullet(s) to under {max} words',
+        contact_missing_email: 'Add an email address so recruiters can reach you',
+        contact_missing_phone: 'Add a phone number to your contact details',
+        contact_invalid_phone: 'Write your phone number in full, including the country code',
+        strong_skills: 'Strong technical skills ({count} skills identified)',
+        company_experience: 'Professional experience at {count} companies',
+        education_background: 'Strong educational background ({count} institutions)',
+        rich_keywords: 'Rich in relevant keywords',
+        well_articulated: 'Well-articulated professional experience',
+        clear_timeline: 'Clear work experience timeline ({count} dated roles)',
+        well_structured: 'Well-structured resume'
+    },
+    de: {
+        tone_negative: 'Verwenden Sie eine positivere, professionellere Sprache',
+        more_skills: 'Ergänzen Sie weitere Fachkenntnisse, um hervorzustechen',
+        company_names: 'Nennen Sie die Namen Ihrer Arbeitgeber für mehr Glaubwürdigkeit',
+        shorter_sentences: 'Kürzen Sie lange Sätze für bessere Lesbarkeit',
+        simpler_language: 'Vereinfachen Sie die Sprache, damit der Lebenslauf leichter lesbar ist',
+        ats_formatting: 'Vereinfachen Sie das Layout, damit Bewerbermanagementsysteme es auslesen können',
+        minor_formatting: 'Kleinere Formatierungsvorschläge',
+        required_skills: 'Ergänzen Sie für {rubric}-Stellen geforderte Kenntnisse: {skills}',
+        bullets_no_metric: 'Belegen Sie Ergebnisse in {count} Stichpunkt(en) mit Zahlen, Prozenten oder Beträgen',
+        bullets_weak_opener: 'Beginnen Sie {count} Stichpunkt(e) mit einem starken Verb statt mit Aufgabenbeschreibungen',
+        bullets_passive_voice: 'Formulieren Sie {count} Stichpunkt(e) im Aktiv',
+        bullets_repeated_verb: 'Variieren Sie die Verben; {count} Stichpunkt(e) beginnen gleich',
+        bullets_first_person: 'Entfernen Sie Personalpronomen aus {count} Stichpunkt(en)',
+        bullets_too_long: 'Kürzen Sie {count} Stichpunkt(e) auf unter {max} Wörter',
+        contact_missing_email: 'Geben Sie eine E-Mail-Adresse an, damit Personalverantwortliche Sie erreichen können',
+        contact_missing_phone: 'Ergänzen Sie Ihre Kontaktdaten um eine Telefonnummer',
+        contact_invalid_phone: 'Geben Sie Ihre Telefonnummer vollständig mit Ländervorwahl an',
+        strong_skills: 'Starke Fachkenntnisse ({count} Kenntnisse erkannt)',
+        company_experience: 'Berufserfahrung bei {count} Unternehmen',
+        education_background: 'Solide Ausbildung ({count} Einrichtungen)',
+        rich_keywords: 'Viele relevante Schlüsselbegriffe',
+        well_articulated: 'Gut formulierte Berufserfahrung',
+        clear_timeline: 'Klarer beruflicher Werdegang ({count} datierte Stationen)',
+        well_structured: 'Gut strukturierter Lebenslauf'
+    },
+    fr: {
+        tone_negative: 'Adoptez un ton plus positif et professionnel',
+        more_skills: 'Ajoutez davantage de compétences techniques pour vous démarquer',
+        company_names: 'Indiquez le nom des entreprises pour plus de crédibilité',
+        shorter_sentences: 'Raccourcissez les phrases longues pour une meilleure lisibilité',
+        simpler_language: 'Simplifiez le langage pour rendre le CV plus accessible',
+        ats_formatting: 'Simplifiez la mise en page pour que les logiciels de recrutement puissent la lire',
+        minor_formatting: 'Suggestions de mise en forme mineures',
+        required_skills: 'Ajoutez les compétences requises pour les postes {rubric} : {skills}',
+        bullets_no_metric: 'Chiffrez les résultats de {count} puce(s) avec des nombres, pourcentages ou montants',
+        bullets_weak_opener: 'Commencez {count} puce(s) par un verbe d\'action plutôt que par une description de tâche',
+        bullets_passive_voice: 'Reformulez {count} puce(s) à la voix active',
+        bullets_repeated_verb: 'Variez vos verbes d\'action ; {count} puce(s) commencent de la même façon',
+        bullets_first_person: 'Supprimez les pronoms à la première personne de {count} puce(s)',
+        bullets_too_long: 'Réduisez {count} puce(s) à moins de {max} mots',
+        contact_missing_email: 'Ajoutez une adresse e-mail pour que les recruteurs puissent vous contacter',
+        contact_missing_phone: 'Ajoutez un numéro de téléphone à vos coordonnées',
+        contact_invalid_phone: 'Indiquez votre numéro de téléphone complet, avec l\'indicatif du pays',
+        strong_skills: 'Solides compétences techniques ({count} compétences identifiées)',
+        company_experience: 'Expérience professionnelle dans {count} entreprises',
+        education_background: 'Solide parcours académique ({count} établissements)',
+        rich_keywords: 'Riche en mots-clés pertinents',
+        well_articulated: 'Expérience professionnelle bien décrite',
+        clear_timeline: 'Parcours professionnel clair ({count} postes datés)',
+        well_structured: 'CV bien structuré'
+    },
+    es: {
+        tone_negative: 'Usa un lenguaje más positivo y profesional',
+        more_skills: 'Añade más habilidades técnicas para destacar',
+        company_names: 'Incluye los nombres de las empresas para dar más credibilidad',
+        shorter_sentences: 'Acorta las frases largas para mejorar la legibilidad',
+        simpler_language: 'Simplifica el lenguaje para que el currículum sea más accesible',
+        ats_formatting: 'Simplifica el formato para que los sistemas de selección puedan leerlo',
+        minor_formatting: 'Sugerencias menores de formato',
+        required_skills: 'Añade las habilidades requeridas para puestos de {rubric}: {skills}',
+        bullets_no_metric: 'Cuantifica los resultados en {count} viñeta(s) con cifras, porcentajes o importes',
+        bullets_weak_opener: 'Empieza {count} viñeta(s) con un verbo de acción en lugar de describir tareas',
+        bullets_passive_voice: 'Reescribe {count} viñeta(s) en voz activa',
+        bullets_repeated_verb: 'Varía los verbos de acción; {count} viñeta(s) empiezan igual',
+        bullets_first_person: 'Elimina los pronombres en primera persona de {count} viñeta(s)',
+        bullets_too_long: 'Reduce {count} viñeta(s) a menos de {max} palabras',
+        contact_missing_email: 'Añade una dirección de correo para que los reclutadores puedan contactarte',
+        contact_missing_phone: 'Añade un número de teléfono a tus datos de contacto',
+        contact_invalid_phone: 'Escribe tu número de teléfono completo, con el prefijo del país',
+        strong_skills: 'Sólidas habilidades técnicas ({count} habilidades identificadas)',
+        company_experience: 'Experiencia profesional en {count} empresas',
+        education_background: 'Sólida formación académica ({count} instituciones)',
+        rich_keywords: 'Rico en palabras clave relevantes',
+        well_articulated: 'Experiencia profesional bien redactada',
+        clear_timeline: 'Trayectoria profesional clara ({count} puestos con fechas)',
+        well_structured: 'Currículum bien estructurado'
+    }
+};
+
+function translate(language, key, params = {}) {
+    const catalog = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+    const template = catalog[key] || MESSAGES[DEFAULT_LANGUAGE][key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+module.exports = {
+    MESSAGES,
+    translate
+};
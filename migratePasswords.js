@@ -0,0 +1,38 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12');
+
+// One-off migration: hash any passwords still stored in plain text.
+// Users who log in before this runs are upgraded automatically by the login route.
+async function migratePasswords() {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skillforgex', {
+        serverSelectionTimeoutMS: 5000
+    });
+
+    const users = mongoose.connection.collection('users');
+    const cursor = users.find(
+        { password: { $not: /^\$2[aby]\$\d{2}\$/ } },
+        { projection: { password: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const user of cursor) {
+        const hash = await bcrypt.hash(user.password, BCRYPT_ROUNDS);
+        await users.updateOne(
+            { _id: user._id, password: user.password },
+            { $set: { password: hash } }
+        );
+        migrated++;
+    }
+
+    console.log(`Migrated ${migrated} plain-text password(s)`);
+}
+
+migratePasswords()
+    .catch(err => {
+        console.error('Password migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
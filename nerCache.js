@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { redisClient } = require('./redisClient');
+
+const CACHE_EXPIRATION = 86400; // 24 hours
+// Bump whenever nerProcessor's processNERResults changes shape or meaning so cached entities are not reused
+const NER_CACHE_VERSION = 2;
+const CACHE_PREFIX = 'ner:cache';
+const STATS_KEYS = {
+    hits: 'ner:stats:hits',
+    misses: 'ner:stats:misses'
+};
+
+// ner:cache:v<version>:<provider>:<model>:<sha256 of the text>
+function getCacheKey(provider, model, text) {
+    const digest = crypto.createHash('sha256').update(text).digest('hex');
+    return `${CACHE_PREFIX}:v${NER_CACHE_VERSION}:${provider}:${model}:${digest}`;
+}
+
+// Cached entities, or null on a miss; unreadable entries are dropped
+async function getCachedEntities(cacheKey) {
+    const cached = await redisClient.get(cacheKey);
+    if (!cached) return null;
+
+    try {
+        return JSON.parse(cached);
+    } catch (parseError) {
+        console.error('Error parsing cached data:', parseError);
+        await redisClient.del(cacheKey);
+        return null;
+    }
+}
+
+async function cacheEntities(cacheKey, entities) {
+    await redisClient.set(cacheKey, JSON.stringify(entities), { EX: CACHE_EXPIRATION });
+}
+
+// Counters are best-effort; a failed increment must not fail the extraction
+async function recordCacheResult(result) {
+    try {
+        await redisClient.incr(STATS_KEYS[result]);
+    } catch (error) {
+        console.error('NER cache stats error:', error.message);
+    }
+}
+
+async function getCacheStats(current = {}) {
+    const [hits, misses] = (await redisClient.mGet([STATS_KEYS.hits, STATS_KEYS.misses])).map(value => parseInt(value) || 0);
+    const lookups = hits + misses;
+
+    return {
+        hits,
+        misses,
+        hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null,
+        entries: (await scanKeys(`${CACHE_PREFIX}:*`)).length,
+        current: { version: NER_CACHE_VERSION, ...current }
+    };
+}
+
+// "2" or "v2" as a version number string, undefined when not given, null when invalid
+function parseCacheVersion(value) {
+    if (value === undefined) return undefined;
+    const version = String(value).replace(/^v/i, '');
+    return /^\d+$/.test(version) ? version : null;
+}
+
+// SCAN pattern for one model and/or post-processing version; omitted filters match everything
+function getPurgePattern({ model, version } = {}) {
+    return [
+        CACHE_PREFIX,
+        version !== undefined ? `v${escapeKeyPattern(String(version))}` : '*',
+        '*',
+        model ? escapeKeyPattern(model) : '*',
+        '*'
+    ].join(':');
+}
+
+// Delete cached entities matching getPurgePattern
+async function purgeCache(filters = {}) {
+    const pattern = getPurgePattern(filters);
+    const keys = await scanKeys(pattern);
+    if (keys.length > 0) {
+        await redisClient.del(keys);
+    }
+    return { deleted: keys.length, pattern };
+}
+
+// SCAN walks the keyspace in batches instead of blocking Redis the way KEYS does
+async function scanKeys(pattern) {
+    const keys = [];
+    for await (const key of redisClient.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+        keys.push(key);
+    }
+    return keys;
+}
+
+function escapeKeyPattern(value) {
+    return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    NER_CACHE_VERSION,
+    getCacheKey,
+    getCachedEntities,
+    cacheEntities,
+    recordCacheResult,
+    getCacheStats,
+    parseCacheVersion,
+    getPurgePattern,
+    purgeCache
+};
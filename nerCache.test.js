@@ -0,0 +1,163 @@
+jest.mock('./redisClient', () => {
+    const store = new Map();
+
+    // Redis glob: * and ? wildcards, backslash escapes the next character
+    const globToRegExp = (pattern) => new RegExp(`^${pattern.replace(/\\(.)|([*?])|([^\\*?]+)/g, (match, escaped, wildcard, literal) => {
+        if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (wildcard) return wildcard === '*' ? '[^]*' : '[^]';
+        return literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })}$`);
+
+    return {
+        store,
+        redisClient: {
+            get: jest.fn(async (key) => store.get(key) ?? null),
+            set: jest.fn(async (key, value) => {
+                store.set(key, value);
+                return 'OK';
+            }),
+            del: jest.fn(async (keys) => [].concat(keys).filter(key => store.delete(key)).length),
+            incr: jest.fn(async (key) => {
+                const value = (parseInt(store.get(key)) || 0) + 1;
+                store.set(key, String(value));
+                return value;
+            }),
+            mGet: jest.fn(async (keys) => keys.map(key => store.get(key) ?? null)),
+            scanIterator: jest.fn(async function* ({ MATCH }) {
+                const matcher = globToRegExp(MATCH);
+                yield* [...store.keys()].filter(key => matcher.test(key));
+            })
+        }
+    };
+});
+
+const { store, redisClient } = require('./redisClient');
+const nerCache = require('./nerCache');
+
+const TEXT = 'Senior Engineer at Acme Corp';
+
+beforeEach(() => {
+    store.clear();
+    jest.clearAllMocks();
+});
+
+describe('getCacheKey', () => {
+    test('is versioned and separates providers and models', () => {
+        const key = nerCache.getCacheKey('huggingface', 'dslim/bert-base-NER', TEXT);
+
+        expect(key).toMatch(new RegExp(`^ner:cache:v${nerCache.NER_CACHE_VERSION}:huggingface:dslim/bert-base-NER:[0-9a-f]{64}$`));
+        expect(nerCache.getCacheKey('huggingface', 'dslim/bert-large-NER', TEXT)).not.toBe(key);
+        expect(nerCache.getCacheKey('local', 'dslim/bert-base-NER', TEXT)).not.toBe(key);
+        expect(nerCache.getCacheKey('huggingface', 'dslim/bert-base-NER', `${TEXT}.`)).not.toBe(key);
+        expect(nerCache.getCacheKey('huggingface', 'dslim/bert-base-NER', TEXT)).toBe(key);
+    });
+
+    test('does not store the resume text in the key', () => {
+        expect(nerCache.getCacheKey('local', 'rules', TEXT)).not.toContain('Acme');
+    });
+});
+
+describe('cached entities', () => {
+    const key = nerCache.getCacheKey('local', 'rules', TEXT);
+
+    test('round-trip with an expiry', async () => {
+        await nerCache.cacheEntities(key, { skills: ['Python'] });
+
+        expect(redisClient.set).toHaveBeenCalledWith(key, '{"skills":["Python"]}', { EX: 86400 });
+        expect(await nerCache.getCachedEntities(key)).toEqual({ skills: ['Python'] });
+    });
+
+    test('read as a miss when missing or unreadable, dropping the bad entry', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        store.set(key, '{not json');
+
+        expect(await nerCache.getCachedEntities(key)).toBeNull();
+        expect(store.has(key)).toBe(false);
+        expect(await nerCache.getCachedEntities(key)).toBeNull();
+        console.error.mockRestore();
+    });
+});
+
+describe('getCacheStats', () => {
+    test('reports hits, misses, hit rate and entries', async () => {
+        await nerCache.recordCacheResult('hits');
+        await nerCache.recordCacheResult('hits');
+        await nerCache.recordCacheResult('misses');
+        await nerCache.cacheEntities(nerCache.getCacheKey('local', 'rules', TEXT), {});
+
+        expect(await nerCache.getCacheStats({ provider: 'local', model: 'rules' })).toEqual({
+            hits: 2,
+            misses: 1,
+            hitRate: 0.667,
+            entries: 1,
+            current: { version: nerCache.NER_CACHE_VERSION, provider: 'local', model: 'rules' }
+        });
+    });
+
+    test('has no hit rate before the first lookup', async () => {
+        expect(await nerCache.getCacheStats()).toMatchObject({ hits: 0, misses: 0, hitRate: null, entries: 0 });
+    });
+
+    test('does not fail extraction when a counter cannot be written', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        redisClient.incr.mockRejectedValueOnce(new Error('READONLY'));
+
+        await expect(nerCache.recordCacheResult('hits')).resolves.toBeUndefined();
+        console.error.mockRestore();
+    });
+});
+
+describe('parseCacheVersion', () => {
+    test.each([
+        [undefined, undefined],
+        ['2', '2'],
+        ['v3', '3'],
+        ['V3', '3'],
+        ['*', null],
+        ['2*', null],
+        ['', null]
+    ])('%p', (value, version) => {
+        expect(nerCache.parseCacheVersion(value)).toBe(version);
+    });
+});
+
+describe('purgeCache', () => {
+    const bert = nerCache.getCacheKey('huggingface', 'dslim/bert-base-NER', TEXT);
+    const local = nerCache.getCacheKey('local', 'rules', TEXT);
+    const oldVersion = bert.replace(`:v${nerCache.NER_CACHE_VERSION}:`, ':v1:');
+
+    beforeEach(() => {
+        [bert, local, oldVersion].forEach(key => store.set(key, '{}'));
+        store.set('ner:stats:hits', '5');
+        store.set('dashboard:user-1', '{}');
+        store.set('refresh:abc', '{}');
+    });
+
+    const remaining = () => [...store.keys()].sort();
+
+    test('removes every cached entity but nothing else', async () => {
+        const result = await nerCache.purgeCache();
+
+        expect(result).toEqual({ deleted: 3, pattern: 'ner:cache:*:*:*:*' });
+        expect(remaining()).toEqual(['dashboard:user-1', 'ner:stats:hits', 'refresh:abc']);
+    });
+
+    test('filters by post-processing version', async () => {
+        expect(await nerCache.purgeCache({ version: '1' })).toEqual({ deleted: 1, pattern: 'ner:cache:v1:*:*:*' });
+        expect(store.has(oldVersion)).toBe(false);
+        expect(store.has(bert)).toBe(true);
+    });
+
+    test('filters by model', async () => {
+        expect((await nerCache.purgeCache({ model: 'dslim/bert-base-NER' })).deleted).toBe(2);
+        expect(store.has(local)).toBe(true);
+    });
+
+    test('escapes glob characters in the filters', async () => {
+        expect(nerCache.getPurgePattern({ model: 'team*[x]?\\', version: '2' })).toBe('ner:cache:v2:*:team\\*\\[x\\]\\?\\\\:*');
+
+        const result = await nerCache.purgeCache({ model: '*' });
+        expect(result.deleted).toBe(0);
+        expect(remaining()).toHaveLength(6);
+    });
+});
@@ -1,24 +1,7 @@
-const axios = require('axios');
 const natural = require('natural');
-const { promisify } = require('util');
-const redis = require('redis');
-const { createClient } = redis;
-
-// Initialize Redis client
-const redisClient = createClient({
-    host: process.env.REDIS_HOST || 'localhost',
-    port: process.env.REDIS_PORT || 6379
-});
-
-redisClient.on('error', (err) => console.error('Redis error:', err));
-redisClient.on('connect', () => console.log('Connected to Redis'));
-
-const redisGet = promisify(redisClient.get).bind(redisClient);
-const redisSet = promisify(redisClient.set).bind(redisClient);
-const redisDel = promisify(redisClient.del).bind(redisClient);
-
-const NER_MODEL = process.env.NER_MODEL || 'dslim/bert-base-NER';
-const CACHE_EXPIRATION = 86400; // 24 hours
+const { runInference, getTaskConfig } = require('./inferenceProviders');
+const { canonicalizeSkills } = require('./skillTaxonomy');
+const nerCache = require('./nerCache');
 
 async function extractEntities(resumeText) {
     try {
@@ -26,46 +9,24 @@ async function extractEntities(resumeText) {
             throw new Error('Invalid resume text provided');
         }
 
-        // Check cache first
-        const cacheKey = `ner:${hashText(resumeText)}`;
-        const cached = await redisGet(cacheKey);
+        // Check cache first; providers and models disagree, so each gets its own entry
+        const { provider, model } = getTaskConfig('ner');
+        const cacheKey = nerCache.getCacheKey(provider, model, resumeText);
+        const cached = await nerCache.getCachedEntities(cacheKey);
         
         if (cached) {
-            try {
-                return JSON.parse(cached);
-            } catch (parseError) {
-                console.error('Error parsing cached data:', parseError);
-                await redisDel(cacheKey);
-            }
+            await nerCache.recordCacheResult('hits');
+            return cached;
         }
+        await nerCache.recordCacheResult('misses');
         
-        // Call Hugging Face API if not in cache
-        const response = await axios.post(
-            `https://api-inference.huggingface.co/models/${NER_MODEL}`,
-            { inputs: resumeText },
-            { 
-                headers: { 
-                    'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 15000
-            }
-        );
-        
-        if (!response.data) {
-            throw new Error('No data received from Hugging Face API');
-        }
-
-        const entities = processNERResults(response.data);
+        // Run the configured NER provider if not in cache
+        const { output } = await runInference('ner', resumeText);
+        const entities = processNERResults(output);
         
         // Cache the results
         try {
-            await redisSet(
-                cacheKey,
-                JSON.stringify(entities),
-                'EX',
-                CACHE_EXPIRATION
-            );
+            await nerCache.cacheEntities(cacheKey, entities);
         } catch (cacheError) {
             console.error('Redis cache error:', cacheError);
         }
@@ -96,14 +57,14 @@ function processNERResults(entities) {
         const text = cleanEntityText(entity.word);
         if (!text) return;
 
-        switch(entity.entity) {
-            case 'B-TECH': 
-            case 'I-TECH':
-                if (text.length > 1) result.skills.push(text);
+        // runInference has already merged B-/I- tokens and ## subwords into whole spans
+        switch (entity.entity_group || entity.entity.replace(/^[BI]-/, '')) {
+            case 'TECH':
+                // Keep punctuation so "C++" and "Node.js" can be resolved to their canonical skill
+                result.skills.push(entity.word.replace(/^##/, '').trim());
                 break;
                 
-            case 'B-ORG': 
-            case 'I-ORG':
+            case 'ORG':
                 if (isEducationalInstitution(text)) {
                     result.education.push(text);
                 } else {
@@ -111,27 +72,25 @@ function processNERResults(entities) {
                 }
                 break;
                 
-            case 'B-PER': 
-            case 'I-PER':
+            case 'PER':
                 if (isLikelyTitle(text)) {
                     result.titles.push(text);
                 }
                 break;
                 
-            case 'B-EDU': 
-            case 'I-EDU':
+            case 'EDU':
                 result.education.push(text);
                 break;
                 
-            case 'B-CERT': 
-            case 'I-CERT':
+            case 'CERT':
                 result.certifications.push(text);
                 break;
         }
     });
     
-    // Deduplicate and clean results
-    Object.keys(result).forEach(key => {
+    // Deduplicate and clean results; skills collapse synonyms onto canonical names
+    result.skills = canonicalizeSkills(result.skills.filter(skill => skill.length > 1 || /[+#]/.test(skill)));
+    Object.keys(result).filter(key => key !== 'skills').forEach(key => {
         result[key] = [...new Set(result[key]
             .filter(item => item && typeof item === 'string')
             .map(cleanEntityText)
@@ -166,7 +125,8 @@ function isLikelyTitle(text) {
     );
 }
 
-function fallbackEntityExtraction(text) {
+// Rule-based extraction when the configured provider fails
+async function fallbackEntityExtraction(text) {
     if (!text || typeof text !== 'string') {
         return {
             skills: [],
@@ -177,57 +137,19 @@ function fallbackEntityExtraction(text) {
         };
     }
 
-    // Simple regex fallback when API fails
-    const techKeywords = ['javascript', 'react', 'node', 'python', 'java', 'html', 'css'];
-    const companies = extractByPattern(text, /at\s+([A-Z][a-zA-Z]+)/g);
-    const education = extractByPattern(text, /(university|college)\s+of\s+([A-Z][a-zA-Z]+)/gi);
-    
-    return {
-        skills: techKeywords.filter(skill => 
-            text.toLowerCase().includes(skill)),
-        companies: companies,
-        titles: [],
-        education: education,
-        certifications: []
-    };
+    const { output } = await runInference('ner', text, { provider: 'local' });
+    return processNERResults(output);
 }
 
-function extractByPattern(text, pattern) {
-    const matches = [];
-    let match;
-    try {
-        while ((match = pattern.exec(text)) !== null) {
-            if (match[1] || match[0]) {
-                matches.push((match[1] || match[0]).trim());
-            }
-        }
-    } catch (e) {
-        console.error('Pattern extraction error:', e);
-    }
-    return [...new Set(matches.filter(m => m))];
+// Stats for the admin route, with the provider and model new entries are cached under
+async function getCacheStats() {
+    const { provider, model } = getTaskConfig('ner');
+    return nerCache.getCacheStats({ provider, model });
 }
 
-function hashText(text) {
-    if (!text) return 'empty';
-    let hash = 0;
-    for (let i = 0; i < text.length; i++) {
-        const char = text.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash |= 0; // Convert to 32bit integer
-    }
-    return hash.toString(16);
-}
-
-// Connect to Redis when module loads
-(async () => {
-    try {
-        await redisClient.connect();
-    } catch (err) {
-        console.error('Redis connection error:', err);
-    }
-})();
-
 module.exports = { 
+    NER_CACHE_VERSION: nerCache.NER_CACHE_VERSION,
     extractEntities,
-    redisClient
+    getCacheStats,
+    purgeCache: nerCache.purgeCache
 };
\ No newline at end of file
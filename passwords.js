@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12');
+
+function isPasswordHash(value) {
+    return typeof value === 'string' && /^\$2[aby]\$\d{2}\$/.test(value);
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function safeCompare(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// Check a login attempt against a user document. Legacy plain-text passwords are upgraded to a
+// hash with updateOne, as in migratePasswords.js: save() would run validators and hooks added
+// since, and a document failing one of those must still be able to sign in.
+async function verifyPassword(user, candidate) {
+    if (isPasswordHash(user.password)) {
+        return bcrypt.compare(candidate, user.password);
+    }
+
+    const matches = safeCompare(candidate, user.password);
+    if (matches) {
+        try {
+            const hash = await hashPassword(candidate);
+            await user.constructor.updateOne(
+                { _id: user._id, password: user.password },
+                { $set: { password: hash } }
+            );
+            user.password = hash;
+        } catch (error) {
+            // The password was right; the upgrade is retried on the next login
+            console.error('Password upgrade error:', error);
+        }
+    }
+    return matches;
+}
+
+module.exports = {
+    BCRYPT_ROUNDS,
+    isPasswordHash,
+    hashPassword,
+    verifyPassword
+};
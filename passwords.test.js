@@ -0,0 +1,69 @@
+process.env.BCRYPT_ROUNDS = '4';
+
+const bcrypt = require('bcryptjs');
+const { isPasswordHash, hashPassword, verifyPassword } = require('./passwords');
+
+// Stands in for a mongoose User document; updateOne is the model's static
+class FakeUser {
+    constructor(fields) {
+        Object.assign(this, { _id: 'user-1' }, fields);
+        this.save = jest.fn();
+    }
+}
+FakeUser.updateOne = jest.fn(async () => ({ modifiedCount: 1 }));
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('hashPassword', () => {
+    test('produces a bcrypt hash with the configured rounds', async () => {
+        const hash = await hashPassword('hunter22');
+
+        expect(isPasswordHash(hash)).toBe(true);
+        expect(bcrypt.getRounds(hash)).toBe(4);
+        expect(isPasswordHash('hunter22')).toBe(false);
+        expect(isPasswordHash(undefined)).toBe(false);
+    });
+});
+
+describe('verifyPassword', () => {
+    test('checks hashed passwords without writing anything', async () => {
+        const user = new FakeUser({ password: await hashPassword('hunter22') });
+
+        expect(await verifyPassword(user, 'hunter22')).toBe(true);
+        expect(await verifyPassword(user, 'hunter23')).toBe(false);
+        expect(FakeUser.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('upgrades a legacy plain-text password in place', async () => {
+        const user = new FakeUser({ password: 'hunter22' });
+
+        expect(await verifyPassword(user, 'hunter22')).toBe(true);
+
+        expect(user.save).not.toHaveBeenCalled();
+        expect(FakeUser.updateOne).toHaveBeenCalledTimes(1);
+        const [filter, update] = FakeUser.updateOne.mock.calls[0];
+        expect(filter).toEqual({ _id: 'user-1', password: 'hunter22' });
+        expect(await bcrypt.compare('hunter22', update.$set.password)).toBe(true);
+        expect(user.password).toBe(update.$set.password);
+    });
+
+    test('leaves a legacy password alone when the attempt is wrong', async () => {
+        const user = new FakeUser({ password: 'hunter22' });
+
+        expect(await verifyPassword(user, 'hunter2')).toBe(false);
+        expect(FakeUser.updateOne).not.toHaveBeenCalled();
+        expect(user.password).toBe('hunter22');
+    });
+
+    test('still signs the user in when the upgrade cannot be written', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        FakeUser.updateOne.mockRejectedValueOnce(new Error('not primary'));
+        const user = new FakeUser({ password: 'hunter22' });
+
+        expect(await verifyPassword(user, 'hunter22')).toBe(true);
+        expect(user.password).toBe('hunter22');
+        console.error.mockRestore();
+    });
+});
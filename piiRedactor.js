@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+const PII_AUDIT_LOG = process.env.PII_AUDIT_LOG || path.join(__dirname, 'logs', 'pii-audit.log');
+const DEFAULT_REDACTION_TYPES = ['name', 'email', 'phone', 'url', 'address', 'national_id', 'date_of_birth'];
+const MIN_PHONE_DIGITS = 9;
+const MAX_PHONE_DIGITS = 15;
+
+// Detectors return [{ start, end, value }] spans of personal data in the original text
+const DETECTORS = {
+    email: text => matchAll(text, /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g),
+    // Digit runs shorter than a phone number are dates or years ("2019-2021")
+    phone: text => matchAll(text, /(?:\+?\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}/g)
+        .filter(span => {
+            const digits = span.value.replace(/\D/g, '').length;
+            return digits >= MIN_PHONE_DIGITS && digits <= MAX_PHONE_DIGITS;
+        }),
+    url: text => matchAll(text, /\bhttps?:\/\/[^\s)>\]]+|\b(?:www\.)?(?:linkedin\.com|github\.com|gitlab\.com)\/[^\s)>\]]+/gi),
+    address: text => matchAll(text, /\b\d{1,5}(?:[ \t]+[A-Z][a-z]+){1,3}[ \t]+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl)\b\.?/g),
+    national_id: text => matchAll(text, /\b\d{3}-\d{2}-\d{4}\b/g),
+    date_of_birth: text => matchAll(text, /\b(?:DOB|D\.O\.B\.|Date of Birth)[:\s]+[^\n]+/gi),
+    name: detectCandidateName
+};
+
+function getRedactionPolicy() {
+    const configuredTypes = process.env.PII_REDACTION_TYPES
+        ? process.env.PII_REDACTION_TYPES.split(',').map(type => type.trim()).filter(type => DETECTORS[type])
+        : DEFAULT_REDACTION_TYPES;
+
+    return {
+        enabled: process.env.PII_REDACTION !== 'off',
+        types: configuredTypes
+    };
+}
+
+// Replace personal data with numbered placeholders; the same value always gets the same placeholder
+function redactText(text, policy = getRedactionPolicy()) {
+    if (!policy.enabled || typeof text !== 'string') {
+        return { text, replacements: [] };
+    }
+
+    const spans = policy.types
+        .flatMap(type => DETECTORS[type](text).map(span => ({ ...span, type })))
+        .sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+    const placeholders = new Map();
+    const counters = {};
+    const replacements = [];
+    let redacted = '';
+    let cursor = 0;
+
+    spans.forEach(span => {
+        if (span.start < cursor) return; // overlaps a longer or earlier match
+
+        const key = `${span.type}:${span.value}`;
+        if (!placeholders.has(key)) {
+            counters[span.type] = (counters[span.type] || 0) + 1;
+            placeholders.set(key, `[${span.type.toUpperCase()}_${counters[span.type]}]`);
+        }
+        const placeholder = placeholders.get(key);
+
+        redacted += text.slice(cursor, span.start);
+        replacements.push({
+            type: span.type,
+            value: span.value,
+            placeholder,
+            start: span.start,
+            end: span.end,
+            redactedStart: redacted.length,
+            redactedEnd: redacted.length + placeholder.length
+        });
+        redacted += placeholder;
+        cursor = span.end;
+    });
+    redacted += text.slice(cursor);
+
+    return { text: redacted, originalText: text, replacements };
+}
+
+// Spans of one kind of personal data, for callers that need the values rather than a redacted copy
+function findPersonalData(text, type) {
+    return DETECTORS[type] ? DETECTORS[type](text) : [];
+}
+
+// Map entity offsets back onto the original text and put personal values back in place of placeholders
+function restoreEntities(entities, redaction) {
+    if (!redaction || redaction.replacements.length === 0) return entities;
+
+    return entities.map(entity => {
+        if (typeof entity.start === 'number' && typeof entity.end === 'number') {
+            const start = toOriginalOffset(entity.start, redaction.replacements, 'start');
+            const end = toOriginalOffset(entity.end, redaction.replacements, 'end');
+            const touchesPlaceholder = redaction.replacements.some(replacement =>
+                entity.start < replacement.redactedEnd && entity.end > replacement.redactedStart
+            );
+
+            return {
+                ...entity,
+                start,
+                end,
+                word: touchesPlaceholder ? redaction.originalText.slice(start, end) : entity.word
+            };
+        }
+
+        return { ...entity, word: restoreText(entity.word, redaction) };
+    });
+}
+
+function restoreText(text, redaction) {
+    return redaction.replacements.reduce(
+        (restored, replacement) => restored.split(replacement.placeholder).join(replacement.value),
+        text
+    );
+}
+
+function toOriginalOffset(offset, replacements, edge) {
+    let delta = 0;
+    for (const replacement of replacements) {
+        if (offset >= replacement.redactedEnd) {
+            delta = replacement.end - replacement.redactedEnd;
+        } else if (offset > replacement.redactedStart) {
+            // Inside a placeholder: snap to the edge of the original value
+            return edge === 'start' ? replacement.start : replacement.end;
+        } else {
+            break;
+        }
+    }
+    return offset + delta;
+}
+
+// Audit trail of what left the system: counts per type, never the values themselves
+async function logRedaction({ task, provider, model, policy, redaction }) {
+    const counts = redaction.replacements.reduce((totals, replacement) => {
+        totals[replacement.type] = (totals[replacement.type] || 0) + 1;
+        return totals;
+    }, {});
+
+    const entry = {
+        timestamp: new Date().toISOString(),
+        task,
+        provider,
+        model,
+        redactionEnabled: policy.enabled,
+        redactionTypes: policy.types,
+        redactedCounts: counts,
+        charactersSent: typeof redaction.text === 'string' ? redaction.text.length : 0
+    };
+
+    try {
+        await fs.promises.mkdir(path.dirname(PII_AUDIT_LOG), { recursive: true });
+        await fs.promises.appendFile(PII_AUDIT_LOG, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+        console.error('PII audit log write failed:', error.message, JSON.stringify(entry));
+    }
+}
+
+// ======================
+// Detectors
+// ======================
+function matchAll(text, pattern) {
+    return [...text.matchAll(pattern)].map(match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        value: match[0]
+    }));
+}
+
+// Resumes open with the candidate's name; redact it wherever it appears
+function detectCandidateName(text) {
+    const firstLine = text.split('\n').map(line => line.trim()).find(Boolean) || '';
+    if (!/^[A-Z][a-zA-Z'’-]+(?:\s+[A-Z][a-zA-Z'’.-]*){1,3}$/.test(firstLine)) {
+        return [];
+    }
+
+    const escaped = firstLine.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return matchAll(text, new RegExp(`\\b${escaped}\\b`, 'g'));
+}
+
+module.exports = {
+    getRedactionPolicy,
+    redactText,
+    findPersonalData,
+    restoreEntities,
+    restoreText,
+    logRedaction
+};
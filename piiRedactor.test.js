@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pii-audit-'));
+process.env.PII_AUDIT_LOG = path.join(auditDir, 'audit.log');
+
+const { getRedactionPolicy, redactText, findPersonalData, restoreEntities, restoreText, logRedaction } = require('./piiRedactor');
+
+const RESUME = `Jane Doe
+jane.doe@example.com | +1 415 555 0100 | https://linkedin.com/in/janedoe
+1200 Market Street
+Jane Doe led the 2019-2021 migration at Acme.`;
+
+const ALL_TYPES = { enabled: true, types: ['name', 'email', 'phone', 'url', 'address', 'national_id', 'date_of_birth'] };
+
+afterAll(() => {
+    fs.rmSync(auditDir, { recursive: true, force: true });
+});
+
+describe('redactText', () => {
+    test('replaces each kind of personal data with a placeholder', () => {
+        const { text } = redactText(RESUME, ALL_TYPES);
+
+        expect(text).toBe(`[NAME_1]
+[EMAIL_1] | [PHONE_1] | [URL_1]
+[ADDRESS_1]
+[NAME_1] led the 2019-2021 migration at Acme.`);
+    });
+
+    test('keeps year ranges and short numbers', () => {
+        expect(findPersonalData('Led 2019-2021 work for 12 clients', 'phone')).toEqual([]);
+    });
+
+    test('only redacts the configured types', () => {
+        const { text, replacements } = redactText(RESUME, { enabled: true, types: ['email'] });
+
+        expect(text).toContain('Jane Doe');
+        expect(replacements.map(replacement => replacement.type)).toEqual(['email']);
+    });
+
+    test('passes text through when redaction is off', () => {
+        expect(redactText(RESUME, { enabled: false, types: ALL_TYPES.types })).toEqual({ text: RESUME, replacements: [] });
+    });
+
+    test('redacts national ids and dates of birth', () => {
+        const { text } = redactText('SSN 123-45-6789\nDate of Birth: 1 May 1990', ALL_TYPES);
+
+        expect(text).not.toContain('123-45-6789');
+        expect(text).toMatch(/\n\[DATE_OF_BIRTH_1\]$/);
+    });
+});
+
+describe('restoring model output', () => {
+    const redaction = redactText(RESUME, ALL_TYPES);
+
+    test('maps entity offsets back onto the original text', () => {
+        const start = redaction.text.indexOf('Acme');
+        const [entity] = restoreEntities([{ entity: 'B-ORG', word: 'Acme', start, end: start + 4 }], redaction);
+
+        expect(RESUME.slice(entity.start, entity.end)).toBe('Acme');
+    });
+
+    test('puts the original value back for entities on a placeholder', () => {
+        const start = redaction.text.lastIndexOf('[NAME_1]');
+        const [entity] = restoreEntities([{ entity: 'B-PER', word: '[NAME_1]', start, end: start + 8 }], redaction);
+
+        expect(entity.word).toBe('Jane Doe');
+    });
+
+    test('restores placeholders in free text', () => {
+        expect(restoreText('Contact [EMAIL_1]', redaction)).toBe('Contact jane.doe@example.com');
+    });
+});
+
+describe('configuration and audit log', () => {
+    afterEach(() => {
+        delete process.env.PII_REDACTION;
+        delete process.env.PII_REDACTION_TYPES;
+    });
+
+    test('reads the policy from the environment and ignores unknown types', () => {
+        process.env.PII_REDACTION_TYPES = 'email, phone, shoe_size';
+
+        expect(getRedactionPolicy()).toEqual({ enabled: true, types: ['email', 'phone'] });
+
+        process.env.PII_REDACTION = 'off';
+        expect(getRedactionPolicy().enabled).toBe(false);
+    });
+
+    test('logs counts per type but never the values', async () => {
+        const policy = { enabled: true, types: ['email'] };
+        await logRedaction({ task: 'ner', provider: 'huggingface', model: 'test', policy, redaction: redactText(RESUME, policy) });
+
+        const log = fs.readFileSync(process.env.PII_AUDIT_LOG, 'utf8');
+        expect(JSON.parse(log)).toMatchObject({ task: 'ner', redactedCounts: { email: 1 } });
+        expect(log).not.toContain('jane.doe@example.com');
+    });
+});
@@ -1,16 +1,20 @@
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
 const natural = require('natural');
-const { promisify } = require('util');
-const readFile = promisify(fs.readFile);
-const pdf = require('pdf-parse');
-const mammoth = require('mammoth');
 const { extractEntities } = require('./nerProcessor');
-const { setDashboard, setSkillProgress } = require('./userDashboardCache');
+const { runInference } = require('./inferenceProviders');
+const { checkAtsCompatibility } = require('./atsChecker');
+const { extractContact } = require('./contactExtractor');
+const { recognizeCertifications, getExpiryWarnings } = require('./certificationCatalog');
+const { extractText } = require('./textExtractors');
+const { withTimeout } = require('./fileValidation');
+const { parseResumeSections, buildTimeline, calculateSkillExperience } = require('./resumeParser');
+const { estimateSkillLevel } = require('./skillEstimator');
+const { canAnalyzeBullets, analyzeBullets, summarizeBulletIssues } = require('./bulletAnalyzer');
+const { DEFAULT_RUBRIC, getConfiguredRubrics, scoreWithRubric } = require('./scoringRubrics');
+const { DEFAULT_LANGUAGE, detectLanguage, getLanguage, countSyllables } = require('./languageSupport');
+const { translate } = require('./locales');
+const { canonicalizeSkills, getSkillCategory } = require('./skillTaxonomy');
+const { setDashboard } = require('./userDashboardCache');
 
-const HUGGINGFACE_API_KEY = process.env.HUGGINGFACE_API_KEY;
-const SENTIMENT_MODEL = process.env.SENTIMENT_MODEL || 'j-hartmann/emotion-english-distilroberta-base';
 const SKILL_LEVEL_THRESHOLDS = {
     beginner: 30,
     intermediate: 60,
@@ -18,33 +22,71 @@ const SKILL_LEVEL_THRESHOLDS = {
     expert: 95
 };
 
-module.exports = async function processResume(filePath, fileType, userId) {
+// Bump whenever extraction, models or scoring change so earlier results of the same file are not reused
+const ENGINE_VERSION = '2.7.0';
+
+// Progress reported for each pipeline stage (percent complete on entry)
+const ANALYSIS_STAGES = {
+    extracting: 10,
+    ner: 30,
+    sentiment: 50,
+    scoring: 70,
+    saving: 90
+};
+
+module.exports = async function processResume(filePath, fileType, userId, onProgress = async () => {}, options = {}) {
     try {
         // 1. Extract text from resume based on file type
+        await onProgress('extracting');
         const resumeText = await extractTextFromFile(filePath, fileType);
+        const { language, confidence: languageConfidence } = detectLanguage(resumeText);
+        const { headerFooterText, ...ats } = await withTimeout(checkAtsCompatibility(filePath, fileType, resumeText), undefined, 'The ATS layout check');
+        const contact = extractContact(resumeText, { headerFooterText });
+        
+        // 2. Run the AI models, reporting each stage as it starts
+        await onProgress('ner');
+        const entities = await extractEntities(resumeText);
+        
+        await onProgress('sentiment');
+        const sentimentAnalysis = await analyzeSentiment(resumeText);
         
-        // 2. Analyze with multiple AI services in parallel
-        const [sentimentAnalysis, entities, readability] = await Promise.all([
-            analyzeSentiment(resumeText),
-            extractEntities(resumeText),
-            calculateReadability(resumeText)
-        ]);
+        await onProgress('scoring');
+        const readability = calculateReadability(resumeText, language);
         
-        // 3. Extract keywords and important phrases
-        const keywords = extractKeywords(resumeText);
-        const importantPhrases = extractImportantPhrases(resumeText);
+        // 3. Extract keywords, important phrases and resume sections
+        const keywords = extractKeywords(resumeText, language);
+        const importantPhrases = extractImportantPhrases(resumeText, language);
+        const sections = parseResumeSections(resumeText);
+        const timeline = buildTimeline(sections);
+        const bulletFeedback = analyzeBullets(sections, language);
+        const allSkills = canonicalizeSkills([...entities.skills, ...sections.skills]);
+        const certifications = recognizeCertifications(resumeText, sections);
+        entities.certifications = mergeCertificationNames(certifications, entities.certifications);
+        const skillExperience = calculateSkillExperience(sections, allSkills);
         
-        // 4. Calculate overall score
-        const score = calculateScore(sentimentAnalysis, entities, readability, keywords.length);
+        // 4. Score against the chosen rubric profile
+        const rubric = options.rubric || getConfiguredRubrics().find(profile => profile.key === DEFAULT_RUBRIC);
+        const { score, breakdown: scoreBreakdown } = scoreWithRubric(rubric, {
+            sentiment: sentimentAnalysis,
+            entities,
+            readability,
+            keywordCount: keywords.length,
+            skills: allSkills,
+            sections,
+            timeline,
+            bulletFeedback,
+            bulletsAssessed: canAnalyzeBullets(language),
+            ats
+        });
         
         // 5. Identify strengths and improvements
-        const strengths = findStrengths(entities, keywords, importantPhrases);
-        const improvements = findImprovements(sentimentAnalysis, entities, readability);
+        const strengths = findStrengths(entities, keywords, importantPhrases, timeline, language);
+        const improvements = findImprovements(sentimentAnalysis, entities, readability, ats, bulletFeedback, scoreBreakdown, contact, language);
         
-        // 6. Generate skill assessment
-        const skillAssessment = assessSkills(entities.skills);
+        // 6. Generate skill assessment for NER skills and the skills section alike
+        const skillAssessment = assessSkills(allSkills, sections, resumeText);
         
-        // 7. Update dashboard and skill progress in cache
+        // 7. Update dashboard in cache
         const dashboardData = {
             score: Math.round(score),
             strengths,
@@ -54,36 +96,54 @@ module.exports = async function processResume(filePath, fileType, userId) {
             sentiment: sentimentAnalysis,
             readability,
             entities,
+            certificationAlerts: getExpiryWarnings(certifications),
             lastUpdated: new Date().toISOString()
         };
         
-        await setDashboard(userId, dashboardData);
-        await setSkillProgress(userId, skillAssessment);
+        // Skills are cached by the caller once they are merged into the user's saved skills
+        try {
+            await setDashboard(userId, dashboardData);
+        } catch (cacheError) {
+            // The cache is a convenience; the caller persists the analysis itself
+            console.error('Dashboard cache update failed:', cacheError.message);
+        }
         
         // 8. Return comprehensive analysis
         return {
             ...dashboardData,
-            skillAssessment
+            skillAssessment,
+            ats,
+            contact,
+            certifications,
+            sections,
+            timeline,
+            skillExperience,
+            bulletFeedback,
+            scoreBreakdown,
+            keywordStems: extractKeywordStems(resumeText, language),
+            language,
+            languageConfidence
         };
     } catch (error) {
         console.error('Resume processing failed:', error);
-        return fallbackAnalysis();
+        throw error;
     }
 };
 
+// Catalog names first; NER spans the catalog doesn't know are kept as written unless they
+// are a fragment of a name already found ("AWS Certified Developer" of "... - Associate")
+function mergeCertificationNames(certifications, nerCertifications = []) {
+    const names = certifications.map(certification => certification.name);
+    const unrecognized = nerCertifications.filter(name =>
+        recognizeCertifications(name).length === 0 &&
+        !names.some(known => known.toLowerCase().includes(name.toLowerCase()))
+    );
+    return [...new Set([...names, ...unrecognized])];
+}
+
 async function extractTextFromFile(filePath, fileType) {
     try {
-        if (fileType === 'application/pdf') {
-            const dataBuffer = await readFile(filePath);
-            const data = await pdf(dataBuffer);
-            return data.text;
-        } else if (fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-            const result = await mammoth.extractRawText({ path: filePath });
-            return result.value;
-        } else if (fileType === 'text/plain') {
-            return readFile(filePath, 'utf8');
-        }
-        throw new Error('Unsupported file type');
+        return await extractText(filePath, fileType);
     } catch (error) {
         console.error('Text extraction error:', error);
         throw error;
@@ -92,91 +152,121 @@ async function extractTextFromFile(filePath, fileType) {
 
 async function analyzeSentiment(text) {
     try {
-        const response = await axios.post(
-            `https://api-inference.huggingface.co/models/${SENTIMENT_MODEL}`,
-            { inputs: text },
-            { 
-                headers: { 
-                    'Authorization': `Bearer ${HUGGINGFACE_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000
-            }
-        );
-        
-        // Process sentiment results
-        const results = Array.isArray(response.data) ? response.data : [response.data];
-        const primarySentiment = results[0] || { label: 'neutral', score: 1 };
-        
-        return {
-            label: primarySentiment.label,
-            score: primarySentiment.score,
-            allResults: results
-        };
+        return toSentiment(await runInference('sentiment', text));
     } catch (error) {
-        console.error('Sentiment analysis failed:', error.message);
-        return { label: 'neutral', score: 1, allResults: [] };
+        console.error('Sentiment analysis failed, using local provider:', error.message);
+        try {
+            return toSentiment(await runInference('sentiment', text, { provider: 'local' }));
+        } catch (localError) {
+            return { label: 'neutral', score: 1, allResults: [] };
+        }
     }
 }
 
-function calculateReadability(text) {
+function toSentiment({ output }) {
+    const primarySentiment = output[0] || { label: 'neutral', score: 1 };
+    return {
+        label: primarySentiment.label,
+        score: primarySentiment.score,
+        allResults: output
+    };
+}
+
+function calculateReadability(text, language = DEFAULT_LANGUAGE) {
+    const profile = getLanguage(language);
     const tokenizer = new natural.SentenceTokenizer();
     const sentences = tokenizer.tokenize(text);
-    const words = natural.WordTokenizer().tokenize(text);
+    const words = profile.createTokenizer().tokenize(text);
     
-    // Calculate various readability metrics
-    const flesch = natural.FleschKincaidReability.textStatistics(text);
+    // Reading ease uses the language's Flesch adaptation; Flesch-Kincaid grade is English-only
+    const sentenceCount = Math.max(sentences.length, 1);
+    const wordCount = Math.max(words.length, 1);
+    const syllableCounts = words.map(word => countSyllables(word, language));
+    const syllables = syllableCounts.reduce((sum, count) => sum + count, 0);
+    const avgSentenceLength = words.length / sentenceCount;
+    const avgSyllablesPerWord = syllables / wordCount;
     
     return {
         sentenceCount: sentences.length,
         wordCount: words.length,
-        avgSentenceLength: words.length / Math.max(sentences.length, 1),
-        avgWordLength: words.join('').length / Math.max(words.length, 1),
-        fleschScore: flesch.fleschKincaidReadability,
-        fleschGradeLevel: flesch.fleschKincaidGradeLevel,
-        difficultWords: flesch.difficultWords
+        avgSentenceLength,
+        avgWordLength: words.join('').length / wordCount,
+        fleschScore: profile.readability.score(Math.max(avgSentenceLength, 1), avgSyllablesPerWord),
+        fleschGradeLevel: language === DEFAULT_LANGUAGE
+            ? 0.39 * avgSentenceLength + 11.8 * avgSyllablesPerWord - 15.59
+            : null,
+        formula: profile.readability.formula,
+        difficultWords: syllableCounts.filter(count => count >= 3).length
     };
 }
 
-function extractKeywords(text) {
-    const tokenizer = new natural.WordTokenizer();
-    const words = tokenizer.tokenize(text.toLowerCase());
-    const stopwords = new Set(natural.stopwords);
-    
-    // Filter out stopwords and short words
-    const filteredWords = words.filter(word => 
+// Words worth keeping as keywords: no stopwords, short words or numbers
+function keywordWords(text, profile) {
+    const words = profile.createTokenizer().tokenize(text.toLowerCase());
+    const stopwords = new Set(profile.stopwords);
+    return words.filter(word => 
         word.length > 3 && !stopwords.has(word) && !/\d/.test(word)
     );
+}
+
+// Keywords are grouped by stem and reported in the first spelling seen
+function extractKeywords(text, language = DEFAULT_LANGUAGE) {
+    const profile = getLanguage(language);
     
-    // Count word frequencies
-    const wordFreq = {};
-    filteredWords.forEach(word => {
-        wordFreq[word] = (wordFreq[word] || 0) + 1;
+    // Count frequencies per stem
+    const stemFreq = {};
+    const surfaceForms = {};
+    keywordWords(text, profile).forEach(word => {
+        const stem = profile.stemmer.stem(word);
+        stemFreq[stem] = (stemFreq[stem] || 0) + 1;
+        if (!surfaceForms[stem]) surfaceForms[stem] = word;
     });
     
     // Sort by frequency and take top keywords
-    return Object.entries(wordFreq)
+    return Object.entries(stemFreq)
         .sort((a, b) => b[1] - a[1])
-        .map(entry => entry[0]);
+        .map(([stem]) => surfaceForms[stem]);
 }
 
-function extractImportantPhrases(text) {
-    const nounInflector = new natural.NounInflector();
-    const tokenizer = new natural.WordTokenizer();
-    const words = tokenizer.tokenize(text);
-    const stopwords = new Set(natural.stopwords);
+// Every distinct keyword stem, so job matching is not limited to the top keywords
+function extractKeywordStems(text, language = DEFAULT_LANGUAGE) {
+    const profile = getLanguage(language);
+    return [...new Set(keywordWords(text, profile).map(word => profile.stemmer.stem(word)))];
+}
+
+function extractImportantPhrases(text, language = DEFAULT_LANGUAGE) {
+    const profile = getLanguage(language);
+    const tokenizer = profile.createTokenizer();
+    const stopwords = new Set(profile.stopwords);
+    
+    const phrases = profile.posLexicon
+        ? extractNounPhrases(tokenizer.tokenize(text), stopwords, profile.posLexicon)
+        : text.split('\n').flatMap(line => extractContentPhrases(tokenizer.tokenize(line), stopwords));
     
-    // Extract noun phrases
+    // Count phrase frequencies
+    const phraseFreq = {};
+    phrases.forEach(phrase => {
+        phraseFreq[phrase] = (phraseFreq[phrase] || 0) + 1;
+    });
+    
+    // Sort by frequency and return top phrases
+    return Object.entries(phraseFreq)
+        .sort((a, b) => b[1] - a[1])
+        .map(entry => entry[0]);
+}
+
+// Runs of nouns, for languages natural has a Brill tagger for
+function extractNounPhrases(words, stopwords, lexicon) {
     const posTagger = new natural.BrillPOSTagger(
-        natural.baseline,
-        natural.rules
+        new natural.Lexicon(lexicon, 'NN', 'NNP'),
+        new natural.RuleSet(lexicon)
     );
     
-    const taggedWords = posTagger.tag(words);
+    const { taggedWords } = posTagger.tag(words);
     const phrases = [];
     let currentPhrase = [];
     
-    taggedWords.forEach(([word, tag]) => {
+    taggedWords.forEach(({ token: word, tag }) => {
         if (tag.startsWith('NN') && !stopwords.has(word.toLowerCase())) {
             currentPhrase.push(word);
         } else if (currentPhrase.length > 0) {
@@ -190,155 +280,127 @@ function extractImportantPhrases(text) {
         phrases.push(currentPhrase.join(' '));
     }
     
-    // Count phrase frequencies
-    const phraseFreq = {};
-    phrases.forEach(phrase => {
-        phraseFreq[phrase] = (phraseFreq[phrase] || 0) + 1;
-    });
-    
-    // Sort by frequency and return top phrases
-    return Object.entries(phraseFreq)
-        .sort((a, b) => b[1] - a[1])
-        .map(entry => entry[0]);
+    return phrases;
 }
 
-function calculateScore(sentiment, entities, readability, keywordCount) {
-    let score = 70; // Base score
-    
-    // Positive sentiment boosts score
-    if (sentiment.label === 'joy' && sentiment.score > 0.7) score += 10;
-    
-    // Good readability boosts score
-    if (readability.fleschScore > 60) score += 5;
-    if (readability.avgSentenceLength < 20) score += 5;
-    
-    // More skills and entities boost score
-    score += Math.min(entities.skills.length * 2, 20);
-    score += Math.min(entities.companies.length * 1, 10);
+// Without a tagger, runs of two or more content words stand in for noun phrases
+function extractContentPhrases(words, stopwords) {
+    const phrases = [];
+    let currentPhrase = [];
     
-    // More keywords boost score
-    score += Math.min(keywordCount * 0.5, 10);
+    [...words, ''].forEach(word => {
+        if (word.length > 3 && !stopwords.has(word.toLowerCase()) && !/\d/.test(word)) {
+            currentPhrase.push(word);
+            return;
+        }
+        if (currentPhrase.length >= 2) {
+            phrases.push(currentPhrase.slice(0, 4).join(' '));
+        }
+        currentPhrase = [];
+    });
     
-    return Math.min(Math.max(score, 0), 100);
+    return phrases;
 }
 
-function assessSkills(skills) {
+function assessSkills(skills, sections, resumeText) {
     return skills.map(skill => {
-        const level = calculateSkillLevel(skill);
+        const { level, explanation, evidence } = calculateSkillLevel(skill, sections, resumeText);
         return {
             name: skill,
             level,
             targetLevel: level < 80 ? level + 20 : 100, // Aim for 20% improvement
             category: getSkillCategory(skill),
+            explanation,
+            evidence,
             lastPracticed: new Date().toISOString(),
             progress: 0
         };
     });
 }
 
-function calculateSkillLevel(skillName) {
-    // This is a simplified version - in a real app you'd use more sophisticated analysis
-    const baseLevel = Math.min(Math.floor(Math.random() * 30) + 50, 90); // Random between 50-80
-    const bonus = skillName.length % 20; // Add some variation based on skill name
-    return Math.min(baseLevel + bonus, 100);
-}
-
-function getSkillCategory(skillName) {
-    const categories = {
-        programming: ['javascript', 'python', 'java', 'c++', 'typescript', 'go', 'rust'],
-        frontend: ['react', 'angular', 'vue', 'html', 'css', 'sass'],
-        backend: ['node', 'express', 'django', 'flask', 'spring', 'laravel'],
-        database: ['mysql', 'postgresql', 'mongodb', 'redis', 'sqlite'],
-        devops: ['docker', 'kubernetes', 'aws', 'azure', 'gcp', 'terraform'],
-        soft: ['communication', 'leadership', 'teamwork', 'problem solving']
-    };
-    
-    const lowerSkill = skillName.toLowerCase();
-    
-    for (const [category, skills] of Object.entries(categories)) {
-        if (skills.some(s => lowerSkill.includes(s))) {
-            return category;
-        }
-    }
-    
-    return 'other';
+// Deterministic level from resume evidence: years, recency, mentions, placement and seniority
+function calculateSkillLevel(skillName, sections, resumeText) {
+    return estimateSkillLevel(skillName, sections, resumeText);
 }
 
-function findStrengths(entities, keywords, phrases) {
+function findStrengths(entities, keywords, phrases, timeline, language = DEFAULT_LANGUAGE) {
     const strengths = [];
     
     if (entities.skills.length > 5) {
-        strengths.push(`Strong technical skills (${entities.skills.length} skills identified)`);
+        strengths.push(translate(language, 'strong_skills', { count: entities.skills.length }));
     }
     
     if (entities.companies.length > 0) {
-        strengths.push(`Professional experience at ${entities.companies.length} companies`);
+        strengths.push(translate(language, 'company_experience', { count: entities.companies.length }));
     }
     
     if (entities.education.length > 0) {
-        strengths.push(`Strong educational background (${entities.education.length} institutions)`);
+        strengths.push(translate(language, 'education_background', { count: entities.education.length }));
     }
     
     if (keywords.length > 10) {
-        strengths.push('Rich in relevant keywords');
+        strengths.push(translate(language, 'rich_keywords'));
     }
     
     if (phrases.length > 5) {
-        strengths.push('Well-articulated professional experience');
+        strengths.push(translate(language, 'well_articulated'));
+    }
+    
+    if (timeline.length >= 2) {
+        strengths.push(translate(language, 'clear_timeline', { count: timeline.length }));
     }
     
-    return strengths.length > 0 ? strengths : ['Well-structured resume'];
+    return strengths.length > 0 ? strengths : [translate(language, 'well_structured')];
 }
 
-function findImprovements(sentiment, entities, readability) {
+function findImprovements(sentiment, entities, readability, ats, bulletFeedback = [], scoreBreakdown = null, contact = null, language = DEFAULT_LANGUAGE) {
     const improvements = [];
     
+    // Low-severity contact gaps (no LinkedIn, no location) stay on the contact block only
+    if (contact) {
+        contact.warnings
+            .filter(warning => ['missing_email', 'missing_phone', 'invalid_phone'].includes(warning.code))
+            .forEach(warning => improvements.push(translate(language, `contact_${warning.code}`)));
+    }
+    
     if (sentiment.label === 'anger' || sentiment.label === 'sadness') {
-        improvements.push('Consider more positive and professional language');
+        improvements.push(translate(language, 'tone_negative'));
     }
     
     if (entities.skills.length < 3) {
-        improvements.push('Add more technical skills to stand out');
+        improvements.push(translate(language, 'more_skills'));
     }
     
     if (entities.companies.length === 0) {
-        improvements.push('Include company names for better credibility');
+        improvements.push(translate(language, 'company_names'));
     }
     
     if (readability.avgSentenceLength > 25) {
-        improvements.push('Shorten long sentences for better readability');
+        improvements.push(translate(language, 'shorter_sentences'));
     }
     
     if (readability.fleschScore < 60) {
-        improvements.push('Simplify language to make resume more accessible');
+        improvements.push(translate(language, 'simpler_language'));
+    }
+    
+    if (ats && !ats.compatible) {
+        improvements.push(translate(language, 'ats_formatting'));
     }
     
-    return improvements.length > 0 ? improvements : ['Minor formatting suggestions'];
+    improvements.push(...summarizeBulletIssues(bulletFeedback, language));
+    
+    if (scoreBreakdown && scoreBreakdown.missingRequiredSkills.length > 0) {
+        improvements.push(translate(language, 'required_skills', {
+            rubric: scoreBreakdown.rubric.name,
+            skills: scoreBreakdown.missingRequiredSkills.join(', ')
+        }));
+    }
+    
+    return improvements.length > 0 ? improvements : [translate(language, 'minor_formatting')];
 }
 
-function fallbackAnalysis() {
-    return {
-        score: 70,
-        strengths: ['Basic structure is good'],
-        improvements: ['Could not perform full analysis - try again later'],
-        keywords: [],
-        importantPhrases: [],
-        sentiment: { label: 'neutral', score: 1, allResults: [] },
-        readability: {
-            sentenceCount: 0,
-            wordCount: 0,
-            avgSentenceLength: 0,
-            avgWordLength: 0,
-            fleschScore: 0,
-            fleschGradeLevel: 0,
-            difficultWords: 0
-        },
-        entities: {
-            skills: [],
-            companies: [],
-            titles: [],
-            education: []
-        },
-        skillAssessment: []
-    };
-}
\ No newline at end of file
+module.exports.ENGINE_VERSION = ENGINE_VERSION;
+module.exports.ANALYSIS_STAGES = ANALYSIS_STAGES;
+module.exports.extractTextFromFile = extractTextFromFile;
+module.exports.extractKeywords = extractKeywords;
+module.exports.extractKeywordStems = extractKeywordStems;
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./nerProcessor', () => ({ extractEntities: jest.fn() }));
+jest.mock('./userDashboardCache', () => ({ setDashboard: jest.fn() }));
+jest.mock('./inferenceProviders', () => ({
+    runInference: jest.fn(async () => ({ output: [{ label: 'neutral', score: 1 }] }))
+}));
+jest.mock('./atsChecker', () => ({
+    checkAtsCompatibility: jest.fn(async () => ({ score: 100, issues: [], headerFooterText: '' }))
+}));
+
+const { extractEntities } = require('./nerProcessor');
+const processResume = require('./processResume');
+
+const RESUME = [
+    'Jane Doe',
+    'jane@example.com',
+    '',
+    'Experience',
+    'Senior Engineer, Acme Corp',
+    'Jan 2019 - Present',
+    '- Built billing services in Python',
+    '',
+    'Skills',
+    'Python, Kubernetes, Terraform'
+].join('\n');
+
+let tempDir;
+let resumePath;
+
+beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-resume-'));
+    resumePath = path.join(tempDir, 'resume.txt');
+    fs.writeFileSync(resumePath, RESUME);
+});
+
+afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    extractEntities.mockResolvedValue({ skills: ['python'], companies: ['Acme Corp'], education: [], certifications: [] });
+});
+
+describe('skill assessment', () => {
+    test('covers skills listed only in the skills section, once each', async () => {
+        const { skillAssessment } = await processResume(resumePath, 'text/plain', 'user-1');
+        const names = skillAssessment.map(skill => skill.name);
+
+        expect(names).toEqual(['Python', 'Kubernetes', 'Terraform']);
+        skillAssessment.forEach(skill => {
+            expect(skill.level).toBeGreaterThan(0);
+            expect(skill.explanation).toEqual(expect.any(String));
+        });
+    });
+
+    test('rates a skill used in a role above one that is only listed', async () => {
+        const { skillAssessment } = await processResume(resumePath, 'text/plain', 'user-1');
+        const level = (name) => skillAssessment.find(skill => skill.name === name).level;
+
+        expect(level('Python')).toBeGreaterThan(level('Terraform'));
+    });
+});
@@ -1,5 +1,4 @@
 const redis = require('redis');
-const { promisify } = require('util');
 
 // Create Redis client with modern configuration
 const redisClient = redis.createClient({
@@ -16,12 +15,6 @@ const redisClient = redis.createClient({
     }
 });
 
-// Promisify Redis methods
-const redisGet = promisify(redisClient.get).bind(redisClient);
-const redisSet = promisify(redisClient.set).bind(redisClient);
-const redisDel = promisify(redisClient.del).bind(redisClient);
-const redisKeys = promisify(redisClient.keys).bind(redisClient);
-
 // Connect to Redis with error handling
 (async () => {
     try {
@@ -47,9 +40,5 @@ redisClient.on('reconnecting', () => {
 });
 
 module.exports = {
-    redisClient,
-    redisGet,
-    redisSet,
-    redisDel,
-    redisKeys
+    redisClient
 };
\ No newline at end of file
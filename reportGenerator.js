@@ -0,0 +1,291 @@
+const PDFDocument = require('pdfkit');
+
+const REPORT_FORMATS = {
+    pdf: 'application/pdf',
+    md: 'text/markdown; charset=utf-8',
+    html: 'text/html; charset=utf-8'
+};
+
+const ENTITY_LABELS = {
+    skills: 'Skills',
+    companies: 'Companies',
+    titles: 'Job Titles',
+    education: 'Education',
+    certifications: 'Certifications'
+};
+
+const PRIMARY_COLOR = '#6c63ff';
+
+async function renderReport(analysis, format) {
+    const report = buildReportModel(analysis);
+    const baseName = report.sourceName.replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_') || 'resume';
+
+    let body;
+    if (format === 'pdf') {
+        body = await renderPdf(report);
+    } else if (format === 'md') {
+        body = renderMarkdown(report);
+    } else if (format === 'html') {
+        body = renderHtml(report);
+    } else {
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+
+    return {
+        body,
+        contentType: REPORT_FORMATS[format],
+        filename: `${baseName}_analysis_report.${format}`
+    };
+}
+
+// Flatten a ResumeAnalysis document into the sections every format renders
+function buildReportModel(analysis) {
+    const result = analysis.analysisResult || {};
+    const readability = result.readability || {};
+    const entities = result.entities || {};
+
+    return {
+        sourceName: analysis.originalFilename || 'resume',
+        analyzedAt: new Date(analysis.createdAt || Date.now()).toISOString().split('T')[0],
+        score: Math.round(result.score || 0),
+        feedback: scoreFeedback(result.score || 0),
+        strengths: result.strengths || [],
+        improvements: result.improvements || [],
+        entities: Object.entries(ENTITY_LABELS)
+            .filter(([key]) => entities[key] && entities[key].length > 0)
+            .map(([key, label]) => ({ label, values: entities[key] })),
+        readability: [
+            { label: 'Words', value: readability.wordCount },
+            { label: 'Sentences', value: readability.sentenceCount },
+            { label: 'Avg. sentence length', value: formatNumber(readability.avgSentenceLength) },
+            { label: 'Flesch reading ease', value: formatNumber(readability.fleschScore) },
+            { label: 'Grade level', value: formatNumber(readability.fleschGradeLevel) },
+            { label: 'Difficult words', value: readability.difficultWords }
+        ].filter(row => row.value !== undefined && row.value !== null),
+        skills: (result.skillAssessment || []).map(skill => ({
+            name: skill.name,
+            category: skill.category || 'other',
+            level: skill.level,
+            targetLevel: skill.targetLevel,
+            explanation: skill.explanation || ''
+        })),
+        ats: analysis.ats && analysis.ats.issues ? analysis.ats : null
+    };
+}
+
+function scoreFeedback(score) {
+    if (score >= 90) return 'Excellent - Your resume is well-optimized!';
+    if (score >= 80) return 'Good - Your resume is above average but could be improved';
+    if (score >= 70) return 'Fair - Several areas need improvement';
+    return 'Needs Work - Significant improvements recommended';
+}
+
+function formatNumber(value) {
+    return typeof value === 'number' ? Math.round(value * 10) / 10 : value;
+}
+
+// ======================
+// Markdown
+// ======================
+function renderMarkdown(report) {
+    const lines = [
+        '# Resume Analysis Report',
+        '',
+        `**Resume:** ${report.sourceName}  `,
+        `**Analyzed:** ${report.analyzedAt}`,
+        '',
+        `## Overall Score: ${report.score}/100`,
+        '',
+        report.feedback,
+        '',
+        '## Strengths',
+        '',
+        ...report.strengths.map(item => `- ${item}`),
+        '',
+        '## Areas for Improvement',
+        '',
+        ...report.improvements.map(item => `- ${item}`),
+        ''
+    ];
+
+    if (report.ats) {
+        lines.push(`## ATS Compatibility: ${report.ats.score}/100`, '');
+        lines.push(...(report.ats.issues.length > 0
+            ? report.ats.issues.map(issue => `- **${issue.severity.toUpperCase()}** ${issue.message}`)
+            : ['No ATS issues found.']));
+        lines.push('');
+    }
+
+    if (report.entities.length > 0) {
+        lines.push('## Detected Entities', '');
+        report.entities.forEach(({ label, values }) => lines.push(`- **${label}:** ${values.join(', ')}`));
+        lines.push('');
+    }
+
+    lines.push('## Readability', '', '| Metric | Value |', '| --- | --- |');
+    report.readability.forEach(({ label, value }) => lines.push(`| ${label} | ${value} |`));
+    lines.push('');
+
+    if (report.skills.length > 0) {
+        lines.push('## Skill Assessment', '', '| Skill | Category | Level | Target | Evidence |', '| --- | --- | --- | --- | --- |');
+        report.skills.forEach(skill => {
+            lines.push(`| ${skill.name} | ${skill.category} | ${skill.level} | ${skill.targetLevel} | ${skill.explanation} |`);
+        });
+        lines.push('');
+    }
+
+    lines.push('---', '', '_Generated by SkillForgeX AI Career Assistant_', '');
+    return lines.join('\n');
+}
+
+// ======================
+// HTML
+// ======================
+function renderHtml(report) {
+    const list = items => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    const table = (headers, rows) => `
+        <table>
+            <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+
+    const atsSection = report.ats ? `
+        <h2>ATS Compatibility: ${report.ats.score}/100</h2>
+        ${report.ats.issues.length > 0
+            ? `<ul>${report.ats.issues.map(issue => `<li><span class="severity ${issue.severity}">${issue.severity}</span> ${escapeHtml(issue.message)}</li>`).join('')}</ul>`
+            : '<p>No ATS issues found.</p>'}` : '';
+
+    const entitySection = report.entities.length > 0 ? `
+        <h2>Detected Entities</h2>
+        <dl>${report.entities.map(({ label, values }) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(values.join(', '))}</dd>`).join('')}</dl>` : '';
+
+    const skillSection = report.skills.length > 0 ? `
+        <h2>Skill Assessment</h2>
+        ${table(['Skill', 'Category', 'Level', 'Target', 'Evidence'], report.skills.map(skill => [skill.name, skill.category, skill.level, skill.targetLevel, skill.explanation]))}` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Resume Analysis Report - ${escapeHtml(report.sourceName)}</title>
+    <style>
+        body { font-family: Arial, Helvetica, sans-serif; color: #333; max-width: 800px; margin: 40px auto; padding: 0 20px; }
+        h1 { color: ${PRIMARY_COLOR}; }
+        h2 { color: ${PRIMARY_COLOR}; border-bottom: 1px solid #eee; padding-bottom: 4px; }
+        .score { font-size: 2em; font-weight: bold; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+        th { background: #f5f4ff; }
+        dt { font-weight: bold; }
+        .severity { text-transform: uppercase; font-size: 0.8em; font-weight: bold; padding: 1px 6px; border-radius: 3px; color: #fff; }
+        .severity.high { background: #dc3545; }
+        .severity.medium { background: #fd7e14; }
+        .severity.low { background: #6c757d; }
+        footer { margin-top: 40px; color: #999; font-size: 0.8em; text-align: center; }
+    </style>
+</head>
+<body>
+    <h1>Resume Analysis Report</h1>
+    <p><strong>Resume:</strong> ${escapeHtml(report.sourceName)}<br><strong>Analyzed:</strong> ${report.analyzedAt}</p>
+    <h2>Overall Score</h2>
+    <p class="score">${report.score}/100</p>
+    <p>${escapeHtml(report.feedback)}</p>
+    <h2>Strengths</h2>
+    ${list(report.strengths)}
+    <h2>Areas for Improvement</h2>
+    ${list(report.improvements)}
+    ${atsSection}
+    ${entitySection}
+    <h2>Readability</h2>
+    ${table(['Metric', 'Value'], report.readability.map(({ label, value }) => [label, value]))}
+    ${skillSection}
+    <footer>Generated by SkillForgeX AI Career Assistant</footer>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ======================
+// PDF
+// ======================
+function renderPdf(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const heading = (text) => {
+            doc.moveDown(0.8)
+                .font('Helvetica-Bold').fontSize(14).fillColor(PRIMARY_COLOR).text(text)
+                .moveDown(0.3)
+                .font('Helvetica').fontSize(10).fillColor('#333333');
+        };
+        const bullets = (items) => items.forEach(item => doc.text(`•  ${item}`, { indent: 10 }));
+
+        doc.font('Helvetica-Bold').fontSize(20).fillColor(PRIMARY_COLOR).text('Resume Analysis Report');
+        doc.font('Helvetica').fontSize(10).fillColor('#666666')
+            .text(`Resume: ${report.sourceName}`)
+            .text(`Analyzed: ${report.analyzedAt}`);
+
+        heading('Overall Score');
+        doc.font('Helvetica-Bold').fontSize(24).text(`${report.score}/100`);
+        doc.font('Helvetica').fontSize(10).text(report.feedback);
+
+        heading('Strengths');
+        bullets(report.strengths);
+
+        heading('Areas for Improvement');
+        bullets(report.improvements);
+
+        if (report.ats) {
+            heading(`ATS Compatibility: ${report.ats.score}/100`);
+            bullets(report.ats.issues.length > 0
+                ? report.ats.issues.map(issue => `[${issue.severity.toUpperCase()}] ${issue.message}`)
+                : ['No ATS issues found.']);
+        }
+
+        if (report.entities.length > 0) {
+            heading('Detected Entities');
+            report.entities.forEach(({ label, values }) => {
+                doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+                    .font('Helvetica').text(values.join(', '));
+            });
+        }
+
+        heading('Readability');
+        report.readability.forEach(({ label, value }) => doc.text(`${label}: ${value}`));
+
+        if (report.skills.length > 0) {
+            heading('Skill Assessment');
+            report.skills.forEach(skill => {
+                doc.text(`${skill.name} (${skill.category}) - level ${skill.level}, target ${skill.targetLevel}`);
+                if (skill.explanation) {
+                    doc.fontSize(8).fillColor('#666666').text(skill.explanation, { indent: 10 })
+                        .fontSize(10).fillColor('#333333');
+                }
+            });
+        }
+
+        doc.moveDown(2).fontSize(8).fillColor('#999999')
+            .text('Generated by SkillForgeX AI Career Assistant', { align: 'center' });
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    renderReport
+};
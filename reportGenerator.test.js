@@ -0,0 +1,109 @@
+const pdf = require('pdf-parse');
+const { REPORT_FORMATS, renderReport } = require('./reportGenerator');
+
+const ANALYSIS = {
+    originalFilename: 'Jane Doe (2024).pdf',
+    createdAt: new Date('2024-05-15T10:00:00Z'),
+    analysisResult: {
+        score: 82.6,
+        strengths: ['Strong skill set with 8 technical skills'],
+        improvements: ['Add numbers to 2 bullet(s)'],
+        entities: {
+            skills: ['Python', 'Kubernetes'],
+            companies: ['Acme Corp'],
+            education: []
+        },
+        readability: {
+            wordCount: 412,
+            sentenceCount: 30,
+            avgSentenceLength: 13.733,
+            fleschScore: 54.21,
+            fleschGradeLevel: null,
+            difficultWords: 41
+        },
+        skillAssessment: [
+            { name: 'Python', category: 'programming', level: 80, targetLevel: 100, explanation: '5 years across 2 roles' },
+            { name: 'Kubernetes', level: 45, targetLevel: 65 }
+        ]
+    },
+    ats: {
+        score: 90,
+        issues: [{ code: 'images', severity: 'low', message: 'Found 1 image(s) <logo>' }]
+    }
+};
+
+async function pdfText(buffer) {
+    // pdf.js misreads pooled Node buffers, so hand it a standalone copy
+    const { text, numpages } = await pdf(new Uint8Array(buffer));
+    return { text, numpages };
+}
+
+describe('renderReport', () => {
+    test('renders a PDF with every section of the analysis', async () => {
+        const report = await renderReport(ANALYSIS, 'pdf');
+        const { text, numpages } = await pdfText(report.body);
+
+        expect(report.contentType).toBe(REPORT_FORMATS.pdf);
+        expect(report.filename).toBe('Jane_Doe_2024__analysis_report.pdf');
+        expect(Buffer.isBuffer(report.body)).toBe(true);
+        expect(report.body.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(numpages).toBeGreaterThanOrEqual(1);
+        [
+            'Resume Analysis Report',
+            'Analyzed: 2024-05-15',
+            '83/100',
+            'Good - Your resume is above average but could be improved',
+            'Strong skill set with 8 technical skills',
+            'Add numbers to 2 bullet(s)',
+            'ATS Compatibility: 90/100',
+            '[LOW] Found 1 image(s) <logo>',
+            'Companies: Acme Corp',
+            'Avg. sentence length: 13.7',
+            'Python (programming) - level 80, target 100',
+            'Kubernetes (other) - level 45, target 65'
+        ].forEach(line => expect(text).toContain(line));
+        expect(text).not.toContain('Grade level');
+        expect(text).not.toContain('Education:');
+    });
+
+    test('renders an analysis with none of the optional sections', async () => {
+        const report = await renderReport({ analysisResult: {} }, 'pdf');
+        const { text } = await pdfText(report.body);
+
+        expect(report.filename).toBe('resume_analysis_report.pdf');
+        expect(text).toContain('0/100');
+        expect(text).toContain('Needs Work - Significant improvements recommended');
+        ['ATS Compatibility', 'Detected Entities', 'Skill Assessment'].forEach(section => expect(text).not.toContain(section));
+    });
+
+    test('renders an analysis without a result at all', async () => {
+        for (const format of Object.keys(REPORT_FORMATS)) {
+            await expect(renderReport({ originalFilename: 'cv.docx', ats: {} }, format)).resolves.toMatchObject({
+                contentType: REPORT_FORMATS[format],
+                filename: `cv_analysis_report.${format}`
+            });
+        }
+    });
+
+    test('renders Markdown tables and lists', async () => {
+        const { body } = await renderReport(ANALYSIS, 'md');
+
+        expect(body).toContain('## Overall Score: 83/100');
+        expect(body).toContain('- **LOW** Found 1 image(s) <logo>');
+        expect(body).toContain('- **Skills:** Python, Kubernetes');
+        expect(body).toContain('| Flesch reading ease | 54.2 |');
+        expect(body).toContain('| Kubernetes | other | 45 | 65 |  |');
+    });
+
+    test('escapes analysis text in HTML', async () => {
+        const { body } = await renderReport(ANALYSIS, 'html');
+
+        expect(body).toContain('Found 1 image(s) &lt;logo&gt;');
+        expect(body).toContain('<title>Resume Analysis Report - Jane Doe (2024).pdf</title>');
+        expect(body).not.toContain('<logo>');
+    });
+
+    test('rejects unknown formats', async () => {
+        await expect(renderReport(ANALYSIS, 'docx')).rejects.toThrow('Unsupported report format: docx');
+    });
+});
@@ -0,0 +1,345 @@
+const { getSkillTerms } = require('./skillTaxonomy');
+
+// English headings plus common German, French and Spanish equivalents
+const SECTION_HEADINGS = {
+    summary: /^((professional |career )?(summary|profile|objective|about me)|profil|kurzprofil|über mich|résumé|à propos|perfil|resumen|sobre mí)$/i,
+    experience: /^((work |professional |relevant )?(experience|employment( history)?|work history|career history)|berufserfahrung|beruflicher werdegang|expérience( professionnelle)?s?|experiencia( profesional| laboral)?)$/i,
+    education: /^(education|academic background|academics|qualifications|ausbildung|bildung|studium|formation|éducation|educación|formación( académica)?)$/i,
+    skills: /^((technical |core |key )?skills|technologies|tech stack|competencies|skills (&|and) (tools|technologies)|kenntnisse|fähigkeiten|kompetenzen|compétences( techniques)?|habilidades|competencias|conocimientos)$/i,
+    projects: /^((personal |key |selected )?projects|projekte|projets|proyectos)$/i,
+    certifications: /^(certifications?|certificates|licenses( (&|and) certifications)?|zertifikate|zertifizierungen|certificaciones)$/i
+};
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE_PATTERN = `(?:${MONTH_PATTERN}\\.?\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+// Open-ended ranges in English, German, French and Spanish ("2019 – heute")
+const PRESENT_PATTERN = '(?:present|current|now|heute|aktuell|jetzt|aujourd[\'’]hui|actuel(?:lement)?|présent|actualidad|actualmente|presente)(?![\\p{L}])';
+const DATE_RANGE = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|to)\\s*(${DATE_PATTERN}|${PRESENT_PATTERN})`, 'iu');
+const SINGLE_DATE = new RegExp(`(${DATE_PATTERN})`, 'i');
+const BULLET_PATTERN = /^\s*(?:[•▪◦●‣*\-–]|\d+[.)])\s+/;
+
+const TITLE_KEYWORDS = [
+    'engineer', 'developer', 'manager', 'director', 'specialist', 'analyst',
+    'consultant', 'lead', 'architect', 'intern', 'designer', 'scientist',
+    'administrator', 'officer', 'coordinator', 'head', 'president', 'founder',
+    'programmer', 'technician', 'associate', 'assistant', 'researcher'
+];
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+function parseResumeSections(text) {
+    const sections = {
+        summary: '',
+        experience: [],
+        education: [],
+        skills: [],
+        projects: [],
+        certifications: []
+    };
+
+    const lines = splitSectionLines(text || '');
+
+    sections.summary = lines.summary.join(' ').replace(/\s+/g, ' ').trim();
+    sections.experience = parseExperience(lines.experience);
+    sections.education = parseEducation(lines.education);
+    sections.skills = parseSkillList(lines.skills);
+    sections.projects = parseProjects(lines.projects);
+    sections.certifications = parseCertifications(lines.certifications);
+
+    return sections;
+}
+
+function detectSectionHeading(line) {
+    const heading = line.trim().replace(/[:\s]+$/, '');
+    if (heading.length === 0 || heading.length > 40) return null;
+
+    const match = Object.entries(SECTION_HEADINGS).find(([, pattern]) => pattern.test(heading));
+    return match ? match[0] : null;
+}
+
+// Bucket lines under the most recent heading; text before any heading is the header/summary
+function splitSectionLines(text) {
+    const buckets = {
+        header: [],
+        summary: [],
+        experience: [],
+        education: [],
+        skills: [],
+        projects: [],
+        certifications: []
+    };
+    let current = 'header';
+
+    text.split(/\r?\n/).forEach(line => {
+        const section = detectSectionHeading(line);
+        if (section) {
+            current = section;
+        } else {
+            buckets[current].push(line);
+        }
+    });
+
+    return buckets;
+}
+
+// ======================
+// Experience
+// ======================
+function parseExperience(lines) {
+    return groupEntries(lines).map(entry => {
+        const { title, company } = splitTitleAndCompany(entry.headerLines);
+        return {
+            company,
+            title,
+            startDate: entry.startDate,
+            endDate: entry.endDate,
+            current: entry.current,
+            bullets: entry.bullets
+        };
+    });
+}
+
+// Split a section into entries: header lines (with a date range) followed by bullets
+function groupEntries(lines) {
+    const entries = [];
+    let current = null;
+
+    const startEntry = () => {
+        current = { headerLines: [], bullets: [], startDate: null, endDate: null, current: false };
+        entries.push(current);
+    };
+
+    lines.forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (BULLET_PATTERN.test(line)) {
+            if (!current) startEntry();
+            current.bullets.push(line.replace(BULLET_PATTERN, '').trim());
+            return;
+        }
+
+        const range = line.match(DATE_RANGE);
+        const startsNewEntry = !current ||
+            current.bullets.length > 0 ||
+            (range && current.startDate);
+
+        if (startsNewEntry && current && current.bullets.length > 0 && /^[a-z]/.test(line)) {
+            // Wrapped bullet text continues the previous bullet
+            current.bullets[current.bullets.length - 1] += ` ${line}`;
+            return;
+        }
+
+        if (startsNewEntry) startEntry();
+
+        if (range) {
+            current.startDate = normalizeDate(range[1]);
+            current.current = new RegExp(`^${PRESENT_PATTERN}`, 'iu').test(range[2]);
+            current.endDate = current.current ? null : normalizeDate(range[2]);
+        }
+
+        const header = line
+            .replace(DATE_RANGE, '')
+            .replace(/[\s|,–—-]*\(\s*\)\s*$/, '')
+            .replace(/^[\s|,–—-]+|[\s|,(–—-]+$/g, '')
+            .trim();
+        if (header) current.headerLines.push(header);
+    });
+
+    return entries.filter(entry => entry.headerLines.length > 0 || entry.bullets.length > 0);
+}
+
+function splitTitleAndCompany(headerLines) {
+    const parts = headerLines
+        .flatMap(line => line.split(/\s+(?:at|@)\s+|\s*[|–—]\s*|\s+-\s+|,\s+/i))
+        .map(part => part.trim())
+        .filter(Boolean);
+
+    const titleIndex = parts.findIndex(isLikelyTitle);
+    const title = titleIndex >= 0 ? parts[titleIndex] : null;
+    const company = parts.find((part, index) => index !== titleIndex) || null;
+
+    return { title, company };
+}
+
+function isLikelyTitle(text) {
+    const lowerText = text.toLowerCase();
+    return TITLE_KEYWORDS.some(keyword => new RegExp(`\\b${keyword}\\b`).test(lowerText));
+}
+
+// ======================
+// Other sections
+// ======================
+function parseEducation(lines) {
+    return groupEntries(lines).map(entry => {
+        const institution = entry.headerLines.find(line =>
+            /university|college|institute|school|academy/i.test(line)
+        ) || entry.headerLines[0] || null;
+        const degree = entry.headerLines.find(line => line !== institution) || null;
+
+        return {
+            institution,
+            degree,
+            startDate: entry.startDate,
+            endDate: entry.endDate,
+            details: entry.bullets
+        };
+    });
+}
+
+function parseSkillList(lines) {
+    const skills = lines
+        .map(line => line.replace(BULLET_PATTERN, '').replace(/^[^:]{1,30}:\s*/, ''))
+        .flatMap(line => line.split(/[,;|•·]/))
+        .map(skill => skill.trim())
+        .filter(skill => skill.length > 0 && skill.length <= 50);
+
+    return [...new Set(skills)];
+}
+
+function parseProjects(lines) {
+    return groupEntries(lines).map(entry => ({
+        name: entry.headerLines[0] || null,
+        description: entry.headerLines.slice(1).join(' ') || null,
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        highlights: entry.bullets
+    }));
+}
+
+function parseCertifications(lines) {
+    return lines
+        .map(line => line.replace(BULLET_PATTERN, '').trim())
+        .filter(Boolean)
+        .map(line => {
+            const date = line.match(SINGLE_DATE);
+            return {
+                name: line.replace(SINGLE_DATE, '').replace(/[\s|,()–—-]+$/, '').trim(),
+                date: date ? normalizeDate(date[1]) : null
+            };
+        });
+}
+
+// ======================
+// Dates and timeline
+// ======================
+function normalizeDate(value) {
+    const text = value.trim().toLowerCase();
+
+    const numeric = text.match(/^(\d{1,2})\/(\d{4})$/);
+    if (numeric) {
+        return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+    }
+
+    const named = text.match(/^([a-z]+)\.?\s+(\d{4})$/);
+    if (named && MONTHS[named[1].substring(0, 3)]) {
+        return `${named[2]}-${String(MONTHS[named[1].substring(0, 3)]).padStart(2, '0')}`;
+    }
+
+    return text.match(/\d{4}/) ? text.match(/\d{4}/)[0] : null;
+}
+
+function toMonthIndex(date, fallbackMonth) {
+    if (!date) return null;
+    const [year, month] = date.split('-').map(Number);
+    return year * 12 + (month || fallbackMonth) - 1;
+}
+
+function durationInMonths(entry, now = new Date()) {
+    const start = toMonthIndex(entry.startDate, 1);
+    const end = entry.current
+        ? now.getFullYear() * 12 + now.getMonth()
+        : toMonthIndex(entry.endDate, 12);
+
+    if (start === null || end === null || end < start) return 0;
+    return end - start + 1;
+}
+
+function buildTimeline(sections) {
+    return sections.experience
+        .filter(entry => entry.startDate)
+        .map(entry => ({
+            company: entry.company,
+            title: entry.title,
+            startDate: entry.startDate,
+            endDate: entry.endDate,
+            current: entry.current,
+            months: durationInMonths(entry)
+        }))
+        .sort((a, b) => toMonthIndex(b.startDate, 1) - toMonthIndex(a.startDate, 1));
+}
+
+// Years of experience per skill, summed across the roles that mention it
+function calculateSkillExperience(sections, skills) {
+    return skills.map(skill => {
+        const terms = getSkillTerms(skill).map(term => escapeRegExp(term.toLowerCase()));
+        const pattern = new RegExp(`(^|[^a-z0-9])(?:${terms.join('|')})($|[^a-z0-9])`);
+        const months = sections.experience
+            .filter(entry => pattern.test([...entry.bullets, entry.title || '', entry.company || ''].join(' ').toLowerCase()))
+            .reduce((sum, entry) => sum + durationInMonths(entry), 0);
+
+        return {
+            skill,
+            years: Math.round(months / 12 * 10) / 10
+        };
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ======================
+// JSON Resume export
+// ======================
+function toJsonResume(sections, basics = {}) {
+    return {
+        $schema: JSON_RESUME_SCHEMA,
+        basics: {
+            ...basics,
+            summary: sections.summary || undefined
+        },
+        work: sections.experience.map(entry => ({
+            name: entry.company || undefined,
+            position: entry.title || undefined,
+            startDate: entry.startDate || undefined,
+            endDate: entry.endDate || undefined,
+            highlights: entry.bullets
+        })),
+        education: sections.education.map(entry => ({
+            institution: entry.institution || undefined,
+            studyType: entry.degree || undefined,
+            startDate: entry.startDate || undefined,
+            endDate: entry.endDate || undefined,
+            courses: entry.details
+        })),
+        skills: sections.skills.map(name => ({ name })),
+        projects: sections.projects.map(project => ({
+            name: project.name || undefined,
+            description: project.description || undefined,
+            startDate: project.startDate || undefined,
+            endDate: project.endDate || undefined,
+            highlights: project.highlights
+        })),
+        certificates: sections.certifications.map(certification => ({
+            name: certification.name,
+            date: certification.date || undefined
+        }))
+    };
+}
+
+module.exports = {
+    DATE_PATTERN,
+    parseResumeSections,
+    detectSectionHeading,
+    normalizeDate,
+    buildTimeline,
+    calculateSkillExperience,
+    durationInMonths,
+    toJsonResume
+};
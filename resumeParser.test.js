@@ -0,0 +1,139 @@
+const {
+    parseResumeSections,
+    detectSectionHeading,
+    normalizeDate,
+    buildTimeline,
+    calculateSkillExperience,
+    durationInMonths,
+    toJsonResume
+} = require('./resumeParser');
+
+const RESUME = `Jane Doe
+jane@example.com
+
+Summary
+Backend engineer focused on APIs.
+
+Experience
+Senior Software Engineer at Acme Corp
+Jan 2020 - Present
+- Built a Node.js billing service
+- Led a team of 4
+Software Developer | Initech
+06/2017 - Dec 2019
+- Maintained Python data pipelines
+
+Education
+State University
+BSc Computer Science
+2013 - 2017
+
+Skills
+Languages: JavaScript, Python; SQL
+
+Certifications
+AWS Certified Developer (2021)`;
+
+describe('parseResumeSections', () => {
+    const sections = parseResumeSections(RESUME);
+
+    test('splits text under its headings', () => {
+        expect(sections.summary).toBe('Backend engineer focused on APIs.');
+        expect(sections.skills).toEqual(['JavaScript', 'Python', 'SQL']);
+        expect(sections.certifications).toEqual([{ name: 'AWS Certified Developer', date: '2021' }]);
+    });
+
+    test('groups experience into dated entries with bullets', () => {
+        expect(sections.experience).toEqual([
+            {
+                company: 'Acme Corp',
+                title: 'Senior Software Engineer',
+                startDate: '2020-01',
+                endDate: null,
+                current: true,
+                bullets: ['Built a Node.js billing service', 'Led a team of 4']
+            },
+            {
+                company: 'Initech',
+                title: 'Software Developer',
+                startDate: '2017-06',
+                endDate: '2019-12',
+                current: false,
+                bullets: ['Maintained Python data pipelines']
+            }
+        ]);
+    });
+
+    test('finds the institution and degree of an education entry', () => {
+        expect(sections.education[0]).toMatchObject({
+            institution: 'State University',
+            degree: 'BSc Computer Science',
+            startDate: '2013',
+            endDate: '2017'
+        });
+    });
+
+    test('reads open-ended ranges in other languages', () => {
+        const { experience } = parseResumeSections('Berufserfahrung\nEntwickler, Beispiel GmbH, 03/2019 – heute\n- Plattform gebaut');
+        expect(experience[0]).toMatchObject({ startDate: '2019-03', endDate: null, current: true });
+    });
+
+    test('handles empty input', () => {
+        expect(parseResumeSections('')).toMatchObject({ summary: '', experience: [], skills: [] });
+    });
+});
+
+describe('detectSectionHeading', () => {
+    test.each([
+        ['Work Experience', 'experience'],
+        ['SKILLS:', 'skills'],
+        ['Berufserfahrung', 'experience'],
+        ['Formación académica', 'education'],
+        ['Built a Node.js service', null]
+    ])('%s', (line, section) => {
+        expect(detectSectionHeading(line)).toBe(section);
+    });
+});
+
+describe('dates', () => {
+    test.each([
+        ['March 2021', '2021-03'],
+        ['sep. 2019', '2019-09'],
+        ['3/2018', '2018-03'],
+        ['2015', '2015']
+    ])('normalizeDate(%s)', (value, expected) => {
+        expect(normalizeDate(value)).toBe(expected);
+    });
+
+    test('counts both ends of a range and runs current roles to now', () => {
+        expect(durationInMonths({ startDate: '2020-01', endDate: '2020-12' })).toBe(12);
+        expect(durationInMonths({ startDate: '2019', endDate: '2019' })).toBe(12);
+        expect(durationInMonths({ startDate: '2020-01', current: true }, new Date(2021, 0, 15))).toBe(13);
+        expect(durationInMonths({ startDate: '2021-01', endDate: '2020-01' })).toBe(0);
+    });
+});
+
+describe('timeline and skill experience', () => {
+    const sections = parseResumeSections(RESUME);
+
+    test('orders roles newest first', () => {
+        expect(buildTimeline(sections).map(role => role.company)).toEqual(['Acme Corp', 'Initech']);
+    });
+
+    test('sums the months of roles that mention a skill', () => {
+        const [python] = calculateSkillExperience(sections, ['Python']);
+        expect(python).toEqual({ skill: 'Python', years: 2.6 });
+    });
+});
+
+describe('toJsonResume', () => {
+    test('maps sections onto the JSON Resume schema', () => {
+        const resume = toJsonResume(parseResumeSections(RESUME), { name: 'Jane Doe' });
+
+        expect(resume.basics).toEqual({ name: 'Jane Doe', summary: 'Backend engineer focused on APIs.' });
+        expect(resume.work[0]).toMatchObject({ name: 'Acme Corp', position: 'Senior Software Engineer', startDate: '2020-01' });
+        expect(resume.work[0].endDate).toBeUndefined();
+        expect(resume.skills).toEqual([{ name: 'JavaScript' }, { name: 'Python' }, { name: 'SQL' }]);
+        expect(resume.certificates).toEqual([{ name: 'AWS Certified Developer', date: '2021' }]);
+    });
+});
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const { skillKey } = require('./skillTaxonomy');
+
+const DEFAULT_RUBRIC = 'general';
+
+// Built-in profiles; SCORING_RUBRICS_FILE and the ScoringRubric collection can add or override them
+const BUILT_IN_RUBRICS = [
+    {
+        key: 'general',
+        name: 'General',
+        description: 'Balanced rubric for any technical role',
+        targetYears: 3,
+        targetSkillCount: 10,
+        criteria: [
+            { criterion: 'skills_breadth', weight: 25 },
+            { criterion: 'experience', weight: 15 },
+            { criterion: 'achievements', weight: 15 },
+            { criterion: 'ats', weight: 15 },
+            { criterion: 'keywords', weight: 10 },
+            { criterion: 'readability', weight: 10 },
+            { criterion: 'tone', weight: 10 }
+        ],
+        requiredSkills: [],
+        bonusSkills: []
+    },
+    {
+        key: 'frontend',
+        name: 'Frontend Engineer',
+        description: 'Browser, UI framework and styling skills',
+        targetYears: 3,
+        targetSkillCount: 8,
+        criteria: [
+            { criterion: 'required_skills', weight: 30 },
+            { criterion: 'bonus_skills', weight: 10 },
+            { criterion: 'achievements', weight: 20 },
+            { criterion: 'experience', weight: 15 },
+            { criterion: 'projects', weight: 10 },
+            { criterion: 'ats', weight: 10 },
+            { criterion: 'readability', weight: 5 }
+        ],
+        requiredSkills: ['JavaScript', 'HTML', 'CSS', 'React'],
+        bonusSkills: ['TypeScript', 'Vue', 'Angular', 'Sass', 'GraphQL', 'Webpack', 'Jest']
+    },
+    {
+        key: 'data',
+        name: 'Data Engineer / Scientist',
+        description: 'Data processing, analytics and machine learning',
+        targetYears: 3,
+        targetSkillCount: 8,
+        criteria: [
+            { criterion: 'required_skills', weight: 30 },
+            { criterion: 'bonus_skills', weight: 10 },
+            { criterion: 'achievements', weight: 25 },
+            { criterion: 'experience', weight: 15 },
+            { criterion: 'education', weight: 10 },
+            { criterion: 'ats', weight: 10 }
+        ],
+        requiredSkills: ['Python', 'SQL'],
+        bonusSkills: ['Pandas', 'Spark', 'TensorFlow', 'PyTorch', 'Machine Learning', 'Kafka', 'PostgreSQL']
+    },
+    {
+        key: 'devops',
+        name: 'DevOps / Platform Engineer',
+        description: 'Infrastructure, automation and cloud operations',
+        targetYears: 4,
+        targetSkillCount: 8,
+        criteria: [
+            { criterion: 'required_skills', weight: 30 },
+            { criterion: 'bonus_skills', weight: 15 },
+            { criterion: 'experience', weight: 20 },
+            { criterion: 'achievements', weight: 20 },
+            { criterion: 'ats', weight: 15 }
+        ],
+        requiredSkills: ['Docker', 'Kubernetes', 'Linux'],
+        bonusSkills: ['AWS', 'Azure', 'GCP', 'Terraform', 'Jenkins', 'Ansible', 'Prometheus']
+    },
+    {
+        key: 'junior',
+        name: 'Junior / Graduate',
+        description: 'Early-career candidates; projects and education count more than years',
+        targetYears: 1,
+        targetSkillCount: 6,
+        criteria: [
+            { criterion: 'projects', weight: 25 },
+            { criterion: 'education', weight: 20 },
+            { criterion: 'skills_breadth', weight: 20 },
+            { criterion: 'achievements', weight: 10 },
+            { criterion: 'readability', weight: 10 },
+            { criterion: 'ats', weight: 10 },
+            { criterion: 'experience', weight: 5 }
+        ],
+        requiredSkills: [],
+        bonusSkills: ['Git', 'JavaScript', 'Python', 'SQL']
+    }
+];
+
+const CRITERIA = {
+    skills_breadth: {
+        label: 'Breadth of skills',
+        evaluate: (signals, rubric) => {
+            const count = signals.skills.length;
+            return {
+                score: ratio(count, rubric.targetSkillCount || 10),
+                detail: `${count} skills detected (target ${rubric.targetSkillCount || 10})`
+            };
+        }
+    },
+    required_skills: {
+        label: 'Required skills',
+        evaluate: (signals, rubric) => {
+            const { matched, missing } = matchSkills(signals.skills, rubric.requiredSkills);
+            return {
+                score: rubric.requiredSkills.length > 0 ? ratio(matched.length, rubric.requiredSkills.length) : 100,
+                detail: missing.length > 0 ? `Missing: ${missing.join(', ')}` : 'All required skills present'
+            };
+        }
+    },
+    bonus_skills: {
+        label: 'Bonus skills',
+        evaluate: (signals, rubric) => {
+            const { matched } = matchSkills(signals.skills, rubric.bonusSkills);
+            // Half the bonus list is plenty for full marks
+            const target = Math.max(Math.ceil(rubric.bonusSkills.length / 2), 1);
+            return {
+                score: ratio(matched.length, target),
+                detail: matched.length > 0 ? `Has ${matched.join(', ')}` : 'None of the bonus skills found'
+            };
+        }
+    },
+    experience: {
+        label: 'Relevant experience',
+        evaluate: (signals, rubric) => {
+            const years = Math.round(signals.timeline.reduce((sum, role) => sum + role.months, 0) / 12 * 10) / 10;
+            return {
+                score: ratio(years, rubric.targetYears || 3),
+                detail: `${years} years of dated experience (target ${rubric.targetYears || 3})`
+            };
+        }
+    },
+    achievements: {
+        label: 'Quantified achievements',
+        evaluate: (signals) => {
+            // An empty bulletFeedback would otherwise read as every bullet being quantified
+            if (signals.bulletsAssessed === false) {
+                return { score: null, detail: 'Not assessed for this language' };
+            }
+            const total = signals.sections.experience.reduce((sum, entry) => sum + entry.bullets.length, 0) +
+                signals.sections.projects.reduce((sum, project) => sum + project.highlights.length, 0);
+            const unquantified = signals.bulletFeedback
+                .filter(bullet => bullet.issues.some(issue => issue.code === 'no_metric')).length;
+            return {
+                score: total > 0 ? ratio(total - unquantified, total) : 0,
+                detail: total > 0 ? `${total - unquantified} of ${total} bullets quantified` : 'No bullet points found'
+            };
+        }
+    },
+    ats: {
+        label: 'ATS compatibility',
+        evaluate: (signals) => ({
+            score: signals.ats ? signals.ats.score : 100,
+            detail: signals.ats ? `${signals.ats.issues.length} ATS issue(s)` : 'Not checked'
+        })
+    },
+    keywords: {
+        label: 'Keyword density',
+        evaluate: (signals) => ({
+            score: ratio(signals.keywordCount, 20),
+            detail: `${signals.keywordCount} keywords extracted`
+        })
+    },
+    readability: {
+        label: 'Readability',
+        evaluate: (signals) => {
+            const { fleschScore = 0, avgSentenceLength = 0 } = signals.readability;
+            const score = (fleschScore > 60 ? 50 : ratio(fleschScore, 60) / 2) +
+                (avgSentenceLength < 20 ? 50 : avgSentenceLength < 30 ? 25 : 0);
+            return {
+                score,
+                detail: `Flesch ${Math.round(fleschScore)}, ${Math.round(avgSentenceLength)} words per sentence`
+            };
+        }
+    },
+    tone: {
+        label: 'Professional tone',
+        evaluate: (signals) => {
+            const { label, score } = signals.sentiment;
+            if (label === 'joy' && score > 0.7) return { score: 100, detail: 'Confident, positive tone' };
+            if (label === 'anger' || label === 'sadness') return { score: 40, detail: `Tone reads as ${label}` };
+            return { score: 70, detail: 'Neutral tone' };
+        }
+    },
+    education: {
+        label: 'Education',
+        evaluate: (signals) => {
+            const count = Math.max(signals.sections.education.length, signals.entities.education.length);
+            return {
+                score: count > 0 ? 100 : 0,
+                detail: count > 0 ? `${count} education entr${count === 1 ? 'y' : 'ies'}` : 'No education section found'
+            };
+        }
+    },
+    projects: {
+        label: 'Projects',
+        evaluate: (signals) => {
+            const count = signals.sections.projects.length;
+            return {
+                score: ratio(count, 3),
+                detail: `${count} project(s) listed`
+            };
+        }
+    }
+};
+
+function loadConfiguredRubrics() {
+    if (!process.env.SCORING_RUBRICS_FILE) return [];
+
+    try {
+        return JSON.parse(fs.readFileSync(process.env.SCORING_RUBRICS_FILE, 'utf8'));
+    } catch (error) {
+        console.error('Failed to load scoring rubrics file:', error.message);
+        return [];
+    }
+}
+
+// Built-ins overlaid with file config; stored rubrics are overlaid by the caller
+function getConfiguredRubrics() {
+    const rubrics = new Map(BUILT_IN_RUBRICS.map(rubric => [rubric.key, rubric]));
+    loadConfiguredRubrics().forEach(rubric => {
+        if (!validateRubric(rubric)) rubrics.set(rubric.key, rubric);
+    });
+    return [...rubrics.values()];
+}
+
+// Returns an error message, or null when the rubric is usable
+function validateRubric(rubric) {
+    if (!rubric || typeof rubric.key !== 'string' || !/^[a-z0-9_-]{1,40}$/.test(rubric.key)) {
+        return 'Rubric key must be 1-40 lowercase letters, digits, dashes or underscores';
+    }
+    if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+        return 'Rubric needs at least one criterion';
+    }
+
+    const invalid = rubric.criteria.find(item =>
+        !CRITERIA[item.criterion] || typeof item.weight !== 'number' || item.weight <= 0
+    );
+    if (invalid) {
+        return `Invalid criterion "${invalid.criterion}"; use one of ${Object.keys(CRITERIA).join(', ')} with a positive weight`;
+    }
+
+    const skillLists = [rubric.requiredSkills, rubric.bonusSkills].filter(list => list !== undefined);
+    if (skillLists.some(list => !Array.isArray(list) || list.some(skill => typeof skill !== 'string'))) {
+        return 'requiredSkills and bonusSkills must be arrays of strings';
+    }
+
+    return null;
+}
+
+// Weighted average of each criterion's 0-100 score, with the per-criterion breakdown.
+// Criteria that could not be assessed (score null) are left out and the other weights re-normalised.
+function scoreWithRubric(rubric, signals) {
+    const profile = { requiredSkills: [], bonusSkills: [], ...rubric };
+    const results = profile.criteria.map(item => ({ item, ...CRITERIA[item.criterion].evaluate(signals, profile) }));
+    const totalWeight = results
+        .filter(result => result.score !== null)
+        .reduce((sum, result) => sum + result.item.weight, 0);
+
+    const criteria = results.map(({ item, score, detail }) => {
+        const rounded = score === null ? null : Math.round(Math.min(Math.max(score, 0), 100));
+        return {
+            criterion: item.criterion,
+            label: CRITERIA[item.criterion].label,
+            weight: item.weight,
+            score: rounded,
+            contribution: rounded === null ? 0 : Math.round(rounded * item.weight / totalWeight * 10) / 10,
+            detail
+        };
+    });
+
+    const required = matchSkills(signals.skills, profile.requiredSkills);
+    const weighted = criteria.reduce((sum, item) => sum + (item.score === null ? 0 : item.score * item.weight), 0);
+
+    return {
+        score: totalWeight > 0 ? Math.round(weighted / totalWeight) : 0,
+        breakdown: {
+            rubric: { key: profile.key, name: profile.name },
+            criteria,
+            missingRequiredSkills: required.missing
+        }
+    };
+}
+
+function matchSkills(skills, wanted) {
+    const have = new Set(skills.map(skillKey));
+    const matched = wanted.filter(skill => have.has(skillKey(skill)));
+    return {
+        matched,
+        missing: wanted.filter(skill => !matched.includes(skill))
+    };
+}
+
+function ratio(value, target) {
+    return target > 0 ? Math.min(value / target, 1) * 100 : 0;
+}
+
+module.exports = {
+    DEFAULT_RUBRIC,
+    CRITERIA,
+    getConfiguredRubrics,
+    validateRubric,
+    scoreWithRubric
+};
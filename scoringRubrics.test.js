@@ -0,0 +1,263 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_RUBRIC, CRITERIA, getConfiguredRubrics, validateRubric, scoreWithRubric } = require('./scoringRubrics');
+const { canAnalyzeBullets, analyzeBullets } = require('./bulletAnalyzer');
+
+function resumeSections(bullets = [], overrides = {}) {
+    return {
+        experience: [{ company: 'Acme', title: 'Engineer', bullets }],
+        projects: [],
+        education: [],
+        skills: [],
+        ...overrides
+    };
+}
+
+// Signals as processResume builds them, with bullet feedback for the given bullets and language
+function signalsFor(bullets = [], language = 'en', overrides = {}) {
+    const sections = resumeSections(bullets);
+    return {
+        sentiment: { label: 'neutral', score: 0.5 },
+        entities: { education: [] },
+        readability: { fleschScore: 70, avgSentenceLength: 12 },
+        keywordCount: 20,
+        skills: [],
+        sections,
+        timeline: [],
+        bulletFeedback: analyzeBullets(sections, language),
+        bulletsAssessed: canAnalyzeBullets(language),
+        ats: null,
+        ...overrides
+    };
+}
+
+// Score of a single criterion under a rubric that only has that one
+function evaluate(criterion, overrides = {}, rubric = {}) {
+    const { breakdown } = scoreWithRubric(
+        { key: 'test', name: 'Test', criteria: [{ criterion, weight: 1 }], ...rubric },
+        signalsFor([], 'en', overrides)
+    );
+    return breakdown.criteria[0];
+}
+
+describe('scoreWithRubric', () => {
+    const rubric = {
+        key: 'test',
+        name: 'Test',
+        criteria: [
+            { criterion: 'projects', weight: 1 },
+            { criterion: 'keywords', weight: 3 }
+        ]
+    };
+    const signals = signalsFor([], 'en', { sections: resumeSections([], { projects: [{ name: 'A', highlights: [] }] }) });
+
+    test('averages the criteria by weight and explains each one', () => {
+        const { score, breakdown } = scoreWithRubric(rubric, signals);
+
+        expect(score).toBe(83);
+        expect(breakdown.rubric).toEqual({ key: 'test', name: 'Test' });
+        expect(breakdown.criteria).toEqual([
+            { criterion: 'projects', label: 'Projects', weight: 1, score: 33, contribution: 8.3, detail: '1 project(s) listed' },
+            { criterion: 'keywords', label: 'Keyword density', weight: 3, score: 100, contribution: 75, detail: '20 keywords extracted' }
+        ]);
+    });
+
+    test('only cares about the ratio between weights', () => {
+        const scaled = { ...rubric, criteria: rubric.criteria.map(item => ({ ...item, weight: item.weight * 25 })) };
+
+        expect(scoreWithRubric(scaled, signals).score).toBe(scoreWithRubric(rubric, signals).score);
+    });
+
+    test('reports the required skills the resume lacks', () => {
+        const { breakdown } = scoreWithRubric(
+            { ...rubric, requiredSkills: ['Python', 'SQL'] },
+            signalsFor([], 'en', { skills: ['python'] })
+        );
+
+        expect(breakdown.missingRequiredSkills).toEqual(['SQL']);
+    });
+
+    test('scores every built-in rubric from 0 to 100', () => {
+        getConfiguredRubrics().forEach(profile => {
+            const { score } = scoreWithRubric(profile, signalsFor(['Built the billing API']));
+            expect(score).toBeGreaterThanOrEqual(0);
+            expect(score).toBeLessThanOrEqual(100);
+        });
+    });
+});
+
+describe('criteria', () => {
+    test('skills_breadth counts against the rubric target, 10 by default', () => {
+        const skills = ['Python', 'SQL', 'Go', 'Rust', 'Java'];
+
+        expect(evaluate('skills_breadth', { skills }).score).toBe(50);
+        expect(evaluate('skills_breadth', { skills }, { targetSkillCount: 4 }).score).toBe(100);
+    });
+
+    test('required_skills matches synonyms and gives full marks for an empty list', () => {
+        expect(evaluate('required_skills', { skills: ['nodejs'] }, { requiredSkills: ['Node.js', 'SQL'] }))
+            .toMatchObject({ score: 50, detail: 'Missing: SQL' });
+        expect(evaluate('required_skills', { skills: [] })).toMatchObject({ score: 100, detail: 'All required skills present' });
+    });
+
+    test('bonus_skills needs half the list for full marks', () => {
+        const bonusSkills = ['Go', 'Rust', 'Kafka', 'Spark'];
+
+        expect(evaluate('bonus_skills', { skills: ['Go', 'Rust'] }, { bonusSkills }).score).toBe(100);
+        expect(evaluate('bonus_skills', { skills: [] }, { bonusSkills }))
+            .toMatchObject({ score: 0, detail: 'None of the bonus skills found' });
+    });
+
+    test('experience adds up dated roles and caps at the target', () => {
+        const timeline = [{ months: 18 }, { months: 12 }];
+
+        expect(evaluate('experience', { timeline })).toMatchObject({ score: 83, detail: '2.5 years of dated experience (target 3)' });
+        expect(evaluate('experience', { timeline }, { targetYears: 2 }).score).toBe(100);
+    });
+
+    test('achievements counts project highlights and handles resumes without bullets', () => {
+        const sections = resumeSections(['Cut costs by 30%'], { projects: [{ name: 'A', highlights: ['Built a game'] }] });
+        const bulletFeedback = analyzeBullets(sections);
+
+        expect(evaluate('achievements', { sections, bulletFeedback })).toMatchObject({ score: 50, detail: '1 of 2 bullets quantified' });
+        expect(evaluate('achievements')).toMatchObject({ score: 0, detail: 'No bullet points found' });
+    });
+
+    test('ats uses the check result, or full marks when it did not run', () => {
+        expect(evaluate('ats', { ats: { score: 60, issues: [{}, {}] } })).toMatchObject({ score: 60, detail: '2 ATS issue(s)' });
+        expect(evaluate('ats')).toMatchObject({ score: 100, detail: 'Not checked' });
+    });
+
+    test('readability rewards easy text and short sentences, never below 0', () => {
+        expect(evaluate('readability', { readability: { fleschScore: 30, avgSentenceLength: 25 } }).score).toBe(50);
+        expect(evaluate('readability', { readability: { fleschScore: -50, avgSentenceLength: 40 } }).score).toBe(0);
+        expect(evaluate('readability', { readability: {} }).score).toBe(50);
+    });
+
+    test.each([
+        [{ label: 'joy', score: 0.9 }, 100],
+        [{ label: 'joy', score: 0.5 }, 70],
+        [{ label: 'anger', score: 0.9 }, 40],
+        [{ label: 'sadness', score: 0.6 }, 40],
+        [{ label: 'neutral', score: 1 }, 70]
+    ])('tone for %o is %i', (sentiment, score) => {
+        expect(evaluate('tone', { sentiment }).score).toBe(score);
+    });
+
+    test('education falls back to NER entities', () => {
+        expect(evaluate('education', { entities: { education: ['MIT', 'Stanford'] } }))
+            .toMatchObject({ score: 100, detail: '2 education entries' });
+        expect(evaluate('education')).toMatchObject({ score: 0, detail: 'No education section found' });
+    });
+});
+
+describe('achievements across languages', () => {
+    const rubric = {
+        key: 'test',
+        name: 'Test',
+        criteria: [
+            { criterion: 'achievements', weight: 25 },
+            { criterion: 'keywords', weight: 75 }
+        ]
+    };
+
+    test('scores English bullets by how many are quantified', () => {
+        const { score, breakdown } = scoreWithRubric(rubric, signalsFor(['Built the billing API', 'Led the team']));
+
+        expect(breakdown.criteria[0]).toMatchObject({ score: 0, detail: '0 of 2 bullets quantified' });
+        expect(score).toBe(75);
+    });
+
+    test('is left out of the total when the bullets could not be analyzed', () => {
+        const { score, breakdown } = scoreWithRubric(rubric, signalsFor(['Abrechnungs-API gebaut', 'Team geleitet'], 'de'));
+
+        expect(breakdown.criteria[0]).toMatchObject({ score: null, contribution: 0, detail: 'Not assessed for this language' });
+        expect(breakdown.criteria[1].contribution).toBe(100);
+        expect(score).toBe(100);
+    });
+});
+
+describe('validateRubric', () => {
+    const valid = { key: 'backend', name: 'Backend', criteria: [{ criterion: 'experience', weight: 2 }] };
+
+    test('accepts a usable rubric', () => {
+        expect(validateRubric(valid)).toBeNull();
+        expect(validateRubric({ ...valid, requiredSkills: ['Go'], bonusSkills: [] })).toBeNull();
+    });
+
+    test.each([
+        [null, /^Rubric key must be/],
+        [{ ...valid, key: 'Back End' }, /^Rubric key must be/],
+        [{ ...valid, criteria: [] }, 'Rubric needs at least one criterion'],
+        [{ ...valid, criteria: [{ criterion: 'charisma', weight: 1 }] }, /^Invalid criterion "charisma"/],
+        [{ ...valid, criteria: [{ criterion: 'experience', weight: 0 }] }, /^Invalid criterion "experience"/],
+        [{ ...valid, criteria: [{ criterion: 'experience', weight: '5' }] }, /^Invalid criterion "experience"/],
+        [{ ...valid, requiredSkills: 'Go' }, 'requiredSkills and bonusSkills must be arrays of strings'],
+        [{ ...valid, bonusSkills: [42] }, 'requiredSkills and bonusSkills must be arrays of strings']
+    ])('rejects %o', (rubric, error) => {
+        expect(validateRubric(rubric)).toEqual(expect.stringMatching(error));
+    });
+
+    test('lists every known criterion in the error', () => {
+        const error = validateRubric({ ...valid, criteria: [{ criterion: 'charisma', weight: 1 }] });
+
+        Object.keys(CRITERIA).forEach(criterion => expect(error).toContain(criterion));
+    });
+});
+
+describe('getConfiguredRubrics', () => {
+    let tempDir;
+
+    beforeAll(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-rubrics-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        delete process.env.SCORING_RUBRICS_FILE;
+        jest.restoreAllMocks();
+    });
+
+    function useFile(rubrics) {
+        const file = path.join(tempDir, 'rubrics.json');
+        fs.writeFileSync(file, typeof rubrics === 'string' ? rubrics : JSON.stringify(rubrics));
+        process.env.SCORING_RUBRICS_FILE = file;
+    }
+
+    test('has the built-in rubrics, including the default, all valid', () => {
+        const rubrics = getConfiguredRubrics();
+
+        expect(rubrics.map(rubric => rubric.key)).toEqual(['general', 'frontend', 'data', 'devops', 'junior']);
+        expect(rubrics.find(rubric => rubric.key === DEFAULT_RUBRIC)).toBeDefined();
+        rubrics.forEach(rubric => expect(validateRubric(rubric)).toBeNull());
+    });
+
+    test('adds and overrides rubrics from the file and skips invalid ones', () => {
+        useFile([
+            { key: 'general', name: 'House style', criteria: [{ criterion: 'ats', weight: 1 }] },
+            { key: 'backend', name: 'Backend', criteria: [{ criterion: 'experience', weight: 1 }] },
+            { key: 'broken', name: 'Broken', criteria: [{ criterion: 'charisma', weight: 1 }] }
+        ]);
+        const rubrics = getConfiguredRubrics();
+
+        expect(rubrics.find(rubric => rubric.key === 'general').name).toBe('House style');
+        expect(rubrics.map(rubric => rubric.key)).toContain('backend');
+        expect(rubrics.map(rubric => rubric.key)).not.toContain('broken');
+    });
+
+    test('falls back to the built-ins when the file cannot be read', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        useFile('{ not json');
+
+        expect(getConfiguredRubrics()).toHaveLength(5);
+        expect(console.error).toHaveBeenCalled();
+    });
+
+    test('has nothing under an unknown key', () => {
+        expect(getConfiguredRubrics().find(rubric => rubric.key === 'astronaut')).toBeUndefined();
+    });
+});
@@ -2,6 +2,7 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { createBullBoard } = require('@bull-board/api');
 const { BullAdapter } = require('@bull-board/api/bullAdapter');
 const { ExpressAdapter } = require('@bull-board/express');
@@ -9,6 +10,7 @@ const Bull = require('bull');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const rateLimit = require('express-rate-limit');
@@ -16,17 +18,50 @@ const helmet = require('helmet');
 const cors = require('cors');
 const morgan = require('morgan');
 const natural = require('natural');
-const pdf = require('pdf-parse');
-const mammoth = require('mammoth');
 
 // Import Redis client
-const { redisClient, redisGet, redisSet, redisDel } = require('./redisClient');
+const { redisClient } = require('./redisClient');
+const {
+    JWT_SECRET,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    issueStreamTicket,
+    redeemStreamTicket
+} = require('./authTokens');
+const { isPasswordHash, hashPassword, verifyPassword } = require('./passwords');
 const dashboardCache = require('./userDashboardCache');
+const processResume = require('./processResume');
+const nerProcessor = require('./nerProcessor');
+const { parseCacheVersion } = require('./nerCache');
+const { matchJobDescription } = require('./jobMatcher');
+const { toJsonResume } = require('./resumeParser');
+const { contactToBasics } = require('./contactExtractor');
+const { getExpiryWarnings } = require('./certificationCatalog');
+const { REPORT_FORMATS, renderReport } = require('./reportGenerator');
+const { diffAnalyses, summarizeAnalysis } = require('./analysisDiff');
+const { detectFileType, validateFile, getSupportedExtensions, getSupportedLabels } = require('./textExtractors');
+const { fileError, isFileError } = require('./fileValidation');
+const { DEFAULT_RUBRIC, getConfiguredRubrics, validateRubric } = require('./scoringRubrics');
+const fileStorage = require('./fileStorage');
+const skillTaxonomy = require('./skillTaxonomy');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Auth configuration
+const RESUME_RESULT_TTL = 86400; // 24 hours
+const SSE_HEARTBEAT_INTERVAL = 15000; // 15 seconds
+
+// Uploads cannot be stored without the storage key, so refuse to start rather than fail per upload
+try {
+    fileStorage.getEncryptionKey();
+} catch (error) {
+    console.error('Storage configuration error:', error.message);
+    process.exit(1);
+}
+
 // ======================
 // Middleware Setup
 // ======================
@@ -37,6 +72,8 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Stream tickets travel in the query string; keep them out of the request log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:ticket|token)=)[^&]*/gi, '$1[redacted]'));
 app.use(morgan('dev'));
 
 // Rate limiting
@@ -59,7 +96,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skillforg
 
 const db = mongoose.connection;
 db.on('error', console.error.bind(console, 'MongoDB connection error:'));
-db.on('connected', () => console.log('Connected to MongoDB'));
+db.on('connected', () => {
+    console.log('Connected to MongoDB');
+    refreshSkillTaxonomy();
+});
 db.on('disconnected', () => console.log('Disconnected from MongoDB'));
 
 // ======================
@@ -83,6 +123,36 @@ const articleQueue = new Bull('article-queue', {
     }
 });
 
+const storageQueue = new Bull('storage-queue', {
+    redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379
+    }
+});
+
+// Fan Bull's global events out per job id so each SSE stream subscribes to one job only
+const resumeJobEvents = new EventEmitter();
+resumeJobEvents.setMaxListeners(0);
+
+resumeQueue.on('global:progress', (jobId, progress) => {
+    resumeJobEvents.emit(String(jobId), 'progress', {
+        stage: progress && progress.stage,
+        progress: progress && progress.percent
+    });
+});
+
+resumeQueue.on('global:completed', (jobId, result) => {
+    resumeJobEvents.emit(String(jobId), 'completed', {
+        stage: 'completed',
+        progress: 100,
+        result: typeof result === 'string' ? JSON.parse(result) : result
+    });
+});
+
+resumeQueue.on('global:failed', async (jobId, error) => {
+    resumeJobEvents.emit(String(jobId), 'failed', { error, code: await getFailureCode(jobId) });
+});
+
 // Bull board setup for queue monitoring
 const serverAdapter = new ExpressAdapter();
 serverAdapter.setBasePath('/admin/queues');
@@ -90,7 +160,8 @@ serverAdapter.setBasePath('/admin/queues');
 createBullBoard({
     queues: [
         new BullAdapter(resumeQueue),
-        new BullAdapter(articleQueue)
+        new BullAdapter(articleQueue),
+        new BullAdapter(storageQueue)
     ],
     serverAdapter: serverAdapter
 });
@@ -128,6 +199,8 @@ const userSchema = new mongoose.Schema({
             required: true,
             maxlength: 50
         },
+        // Canonical taxonomy id; unset for skills the taxonomy doesn't know
+        skillId: String,
         level: { 
             type: Number, 
             min: 0, 
@@ -140,6 +213,18 @@ const userSchema = new mongoose.Schema({
             max: 100,
             default: 50
         },
+        // Latest estimate from a resume, kept even when the user has set level by hand
+        assessedLevel: {
+            type: Number,
+            min: 0,
+            max: 100
+        },
+        // manual once the user edits level or targetLevel; resume analysis then leaves them alone
+        levelSource: {
+            type: String,
+            enum: ['resume', 'manual'],
+            default: 'resume'
+        },
         lastPracticed: Date
     }],
     resumeAnalysis: {
@@ -152,18 +237,27 @@ const userSchema = new mongoose.Schema({
             type: String,
             maxlength: 100
         }],
-        improvements: [{
-            type: String,
-            maxlength: 100
-        }],
+        // Generated text; the required-skills hint lists every missing skill, so it has no fixed length
+        improvements: [String],
         entities: {
             skills: [String],
             companies: [String],
             titles: [String],
-            education: [String]
+            education: [String],
+            certifications: [String]
         },
         lastAnalyzed: Date
     },
+    // From the latest resume; dates are "YYYY-MM" or "YYYY" as written there
+    certifications: [{
+        catalogId: String,
+        name: String,
+        issuer: String,
+        level: String,
+        issuedAt: String,
+        expiresAt: String,
+        expiresEstimated: Boolean
+    }],
     learningGoals: [{
         title: {
             type: String,
@@ -191,6 +285,24 @@ userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ 'skills.name': 1 });
 userSchema.index({ createdAt: 1 });
 
+// Hash passwords on save; already-hashed values are left untouched
+userSchema.pre('save', async function(next) {
+    if (!this.isModified('password') || isPasswordHash(this.password)) {
+        return next();
+    }
+
+    try {
+        this.password = await hashPassword(this.password);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+userSchema.methods.comparePassword = function(candidate) {
+    return verifyPassword(this, candidate);
+};
+
 const User = mongoose.model('User', userSchema);
 
 const resumeAnalysisSchema = new mongoose.Schema({
@@ -201,16 +313,128 @@ const resumeAnalysisSchema = new mongoose.Schema({
     },
     originalFilename: String,
     storedFilename: String,
+    // Encrypted original in fileStorage; cleared once retention deletes it
+    storageKey: String,
+    originalExpiresAt: {
+        type: Date,
+        index: true
+    },
+    originalDeletedAt: Date,
     fileType: String,
     fileSize: Number,
+    // sha256 of the uploaded bytes; with engineVersion and rubric it identifies a reusable result
+    contentHash: String,
+    engineVersion: String,
     analysisResult: {
         score: Number,
         strengths: [String],
         improvements: [String],
         keywords: [String],
+        // Every keyword stem in the resume; keywords above is only the top 20
+        keywordStems: [String],
+        importantPhrases: [String],
         sentiment: Object,
         readability: Object,
-        entities: Object
+        entities: Object,
+        skillAssessment: [{
+            name: String,
+            level: Number,
+            targetLevel: Number,
+            category: String,
+            explanation: String,
+            evidence: [{
+                factor: String,
+                points: Number,
+                detail: String
+            }]
+        }],
+        sections: Object,
+        timeline: [{
+            company: String,
+            title: String,
+            startDate: String,
+            endDate: String,
+            current: Boolean,
+            months: Number
+        }],
+        skillExperience: [{
+            skill: String,
+            years: Number
+        }],
+        scoreBreakdown: Object,
+        certifications: [{
+            catalogId: String,
+            name: String,
+            issuer: String,
+            level: String,
+            issuedAt: String,
+            expiresAt: String,
+            expiresEstimated: Boolean
+        }],
+        language: String,
+        languageConfidence: Number,
+        bulletFeedback: [{
+            section: String,
+            entryIndex: Number,
+            bulletIndex: Number,
+            text: String,
+            issues: [{
+                code: String,
+                message: String,
+                suggestion: String,
+                alternatives: [String],
+                start: Number,
+                end: Number
+            }]
+        }]
+    },
+    rubric: String,
+    ats: {
+        score: Number,
+        compatible: Boolean,
+        issues: [{
+            code: String,
+            severity: {
+                type: String,
+                enum: ['high', 'medium', 'low']
+            },
+            message: String,
+            page: Number
+        }],
+        checkedAt: Date
+    },
+    // Normalized contact details and profile links, for linking the candidate's profiles
+    contact: {
+        email: String,
+        phone: {
+            raw: String,
+            normalized: String,
+            valid: Boolean
+        },
+        location: {
+            text: String,
+            city: String,
+            region: String
+        },
+        linkedin: {
+            username: String,
+            url: String
+        },
+        github: {
+            username: String,
+            url: String
+        },
+        portfolio: String,
+        links: [String],
+        warnings: [{
+            code: String,
+            severity: {
+                type: String,
+                enum: ['high', 'medium', 'low']
+            },
+            message: String,
+            fields: [String]
+        }]
     },
     createdAt: { 
         type: Date, 
@@ -219,8 +443,59 @@ const resumeAnalysisSchema = new mongoose.Schema({
     }
 });
 
+resumeAnalysisSchema.index({ userId: 1, contentHash: 1, engineVersion: 1, rubric: 1, createdAt: -1 });
+
 const ResumeAnalysis = mongoose.model('ResumeAnalysis', resumeAnalysisSchema);
 
+// Rubrics stored here override the built-in and file-configured profiles with the same key
+const scoringRubricSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        match: /^[a-z0-9_-]{1,40}$/
+    },
+    name: { type: String, required: true },
+    description: String,
+    targetYears: Number,
+    targetSkillCount: Number,
+    criteria: [{
+        _id: false,
+        criterion: String,
+        weight: Number
+    }],
+    requiredSkills: [String],
+    bonusSkills: [String],
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const ScoringRubric = mongoose.model('ScoringRubric', scoringRubricSchema);
+
+// Admin additions to the skill taxonomy; an entry with a built-in id replaces the built-in
+const skillTaxonomySchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: { type: String, required: true, maxlength: 50 },
+    aliases: [String],
+    category: String,
+    parents: [String],
+    related: [String],
+    tag: String,
+    caseSensitive: Boolean,
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const SkillTaxonomy = mongoose.model('SkillTaxonomy', skillTaxonomySchema);
+
 // ======================
 // File Upload Setup
 // ======================
@@ -229,17 +504,14 @@ if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Only the extension is checked here; the real format is sniffed from the saved bytes
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = [
-        'application/pdf',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'text/plain'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    const allowedExtensions = getSupportedExtensions();
+
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only PDF, DOCX, and TXT files are allowed.'), false);
+        cb(fileError('unsupported_extension', `Invalid file type. Only ${getSupportedLabels().join(', ')} files are allowed.`), false);
     }
 };
 
@@ -261,75 +533,274 @@ const upload = multer({
     }
 });
 
+// Multer rejections come back in the same structured shape as the routes' own file errors
+function acceptUpload(field) {
+    const handler = upload.single(field);
+    return (req, res, next) => handler(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof multer.MulterError) {
+            error = error.code === 'LIMIT_FILE_SIZE'
+                ? fileError('file_too_large', `Files must be under ${process.env.FILE_UPLOAD_LIMIT || '5'}MB`)
+                : fileError('invalid_upload', error.message);
+        }
+        if (!isFileError(error)) return next(error);
+        sendFileError(res, error);
+    });
+}
+
 // ======================
 // Utility Functions
 // ======================
-async function extractTextFromFile(filePath, fileType) {
+function sendFileError(res, error) {
+    return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+    });
+}
+
+// Validate a sniffed upload, returning its type; throws coded file errors
+async function identifyUpload(file) {
+    const fileType = await detectFileType(file.path, file.originalname);
+    if (!fileType) {
+        throw fileError('unrecognized_format', `Unrecognized file contents. Supported formats: ${getSupportedLabels().join(', ')}`);
+    }
+    await validateFile(file.path, fileType, file.originalname);
+    return fileType;
+}
+
+// The worker records why a job failed; file errors carry a code the frontend can explain
+async function getFailureCode(jobId) {
     try {
-        if (fileType === 'application/pdf') {
-            const dataBuffer = fs.readFileSync(filePath);
-            const data = await pdf(dataBuffer);
-            return data.text;
-        } else if (fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-            const result = await mammoth.extractRawText({ path: filePath });
-            return result.value;
-        } else if (fileType === 'text/plain') {
-            return fs.readFileSync(filePath, 'utf8');
-        }
-        throw new Error('Unsupported file type');
+        const cached = await redisClient.get(resumeResultKey(jobId));
+        return cached ? JSON.parse(cached).code : undefined;
     } catch (error) {
-        console.error('Text extraction error:', error);
-        throw error;
+        console.error('Failure code lookup error:', error);
+        return undefined;
     }
 }
 
-async function analyzeResumeWithAI(resumeText) {
-    try {
-        // Mock analysis implementation
-        return {
-            score: 85,
-            strengths: ['Strong technical skills', 'Good work experience'],
-            improvements: ['Add more metrics', 'Include more soft skills'],
-            keywords: ['javascript', 'nodejs', 'mongodb'],
-            sentiment: { label: 'positive', score: 0.95 },
-            readability: {
-                sentenceCount: 42,
-                wordCount: 350,
-                avgSentenceLength: 8.3,
-                fleschScore: 72
-            },
-            entities: {
-                skills: ['JavaScript', 'Node.js', 'MongoDB'],
-                companies: ['Tech Corp', 'Dev Solutions'],
-                titles: ['Senior Developer', 'Team Lead'],
-                education: ['Computer Science Degree']
+// Merge skills detected by the analysis into the user's skill list; synonyms update the same entry
+function mergeDetectedSkills(user, skillAssessment) {
+    skillAssessment.forEach(assessed => {
+        const key = skillTaxonomy.skillKey(assessed.name);
+        const canonical = skillTaxonomy.resolveSkill(assessed.name);
+        const existing = user.skills.find(skill =>
+            (skill.skillId || skillTaxonomy.skillKey(skill.name)) === key
+        );
+
+        if (existing) {
+            existing.assessedLevel = assessed.level;
+            if (existing.levelSource !== 'manual') {
+                existing.level = assessed.level;
+                existing.targetLevel = assessed.targetLevel;
             }
-        };
-    } catch (error) {
-        console.error('AI analysis failed:', error);
-        return fallbackAnalysis(resumeText);
+            if (canonical) {
+                existing.name = canonical.name;
+                existing.skillId = canonical.id;
+            }
+        } else {
+            user.skills.push({
+                name: assessed.name.substring(0, 50),
+                skillId: canonical ? canonical.id : undefined,
+                level: assessed.level,
+                targetLevel: assessed.targetLevel,
+                assessedLevel: assessed.level,
+                levelSource: 'resume'
+            });
+        }
+    });
+}
+
+// Returns an error message, or null when the body is a valid skill; partial allows omitting fields on update
+function validateUserSkill(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object') {
+        return 'Request body must be a JSON object';
     }
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return 'name is required';
+        }
+        if (body.name.trim().length > 50) {
+            return 'name must be at most 50 characters';
+        }
+    }
+    for (const field of ['level', 'targetLevel']) {
+        if (body[field] !== undefined && (typeof body[field] !== 'number' || body[field] < 0 || body[field] > 100)) {
+            return `${field} must be a number from 0 to 100`;
+        }
+    }
+    if (body.lastPracticed !== undefined && body.lastPracticed !== null && isNaN(Date.parse(body.lastPracticed))) {
+        return 'lastPracticed must be a date';
+    }
+    return null;
 }
 
-function fallbackAnalysis(text) {
+function findUserSkillByName(user, name, exceptId = null) {
+    const key = skillTaxonomy.skillKey(name);
+    return user.skills.find(skill =>
+        (skill.skillId || skillTaxonomy.skillKey(skill.name)) === key &&
+        (!exceptId || !skill._id.equals(exceptId))
+    );
+}
+
+// Apply a validated body to a saved skill; a canonical name also sets skillId
+function applySkillChanges(skill, body) {
+    if (body.name !== undefined) {
+        const canonical = skillTaxonomy.resolveSkill(body.name.trim());
+        skill.name = canonical ? canonical.name : body.name.trim();
+        skill.skillId = canonical ? canonical.id : undefined;
+    }
+    if (body.level !== undefined || body.targetLevel !== undefined) {
+        if (body.level !== undefined) skill.level = body.level;
+        if (body.targetLevel !== undefined) skill.targetLevel = body.targetLevel;
+        skill.levelSource = 'manual';
+    }
+    if (body.lastPracticed !== undefined) {
+        skill.lastPracticed = body.lastPracticed ? new Date(body.lastPracticed) : undefined;
+    }
+}
+
+function serializeSkill(skill) {
     return {
-        score: 70,
-        strengths: ['Basic technical skills detected'],
-        improvements: ['Could not perform full analysis'],
-        keywords: ['javascript', 'html', 'css'],
-        sentiment: { neutral: 1 },
-        readability: {
-            sentenceCount: 0,
-            wordCount: 0,
-            avgSentenceLength: 0,
-            fleschScore: 0
-        },
-        entities: {
-            skills: ['JavaScript', 'HTML', 'CSS'],
-            companies: [],
-            titles: [],
-            education: []
+        id: skill._id.toString(),
+        name: skill.name,
+        skillId: skill.skillId || null,
+        category: skillTaxonomy.getSkillCategory(skill.name),
+        level: skill.level,
+        targetLevel: skill.targetLevel,
+        assessedLevel: skill.assessedLevel !== undefined ? skill.assessedLevel : null,
+        levelSource: skill.levelSource || 'resume',
+        lastPracticed: skill.lastPracticed || null
+    };
+}
+
+// Mongo holds the user's skills; the Redis copy is rewritten after every change so the two agree
+async function syncSkillCache(user) {
+    const skills = user.skills.map(serializeSkill);
+    try {
+        await dashboardCache.setSkillProgress(user._id.toString(), skills);
+    } catch (error) {
+        console.error('Skills cache sync error:', error.message);
+    }
+    return skills;
+}
+
+// Load admin taxonomy entries into the shared in-memory taxonomy
+async function refreshSkillTaxonomy() {
+    try {
+        const stored = await SkillTaxonomy.find().lean();
+        skillTaxonomy.setCustomSkills(stored.map(({ _id, __v, updatedAt, ...skill }) => skill));
+    } catch (error) {
+        console.error('Skill taxonomy load error:', error);
+    }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// Delete stored originals past their retention date; re-analyses share the key of the upload they came from
+async function purgeExpiredOriginals(now = new Date()) {
+    const expiredKeys = await ResumeAnalysis.distinct('storageKey', {
+        storageKey: { $exists: true, $ne: null },
+        originalExpiresAt: { $lte: now }
+    });
+
+    for (const storageKey of expiredKeys) {
+        await fileStorage.deleteOriginal(storageKey);
+        await ResumeAnalysis.updateMany(
+            { storageKey },
+            { $unset: { storageKey: 1 }, $set: { originalDeletedAt: now } }
+        );
+    }
+
+    return { deleted: expiredKeys.length };
+}
+
+// Retention only finds originals through their analyses, so one without any is deleted right away
+async function discardUnreferencedOriginal(storageKey) {
+    try {
+        if (!await ResumeAnalysis.exists({ storageKey })) {
+            await fileStorage.deleteOriginal(storageKey);
         }
+    } catch (error) {
+        console.error('Stored original cleanup error:', error);
+    }
+}
+
+// Latest analysis of identical bytes by the current engine, so re-uploads can skip the queue
+async function findDuplicateAnalysis(userId, contentHash, rubric) {
+    return ResumeAnalysis
+        .findOne({ userId, contentHash, engineVersion: processResume.ENGINE_VERSION, rubric })
+        .sort({ createdAt: -1 });
+}
+
+// Load an analysis only if it belongs to the requesting user
+async function findOwnedAnalysis(analysisId, userId) {
+    if (!mongoose.isValidObjectId(analysisId)) {
+        return null;
+    }
+    return ResumeAnalysis.findOne({ _id: analysisId, userId });
+}
+
+// Configured rubrics overlaid with the ones stored in Mongo
+async function listRubrics() {
+    const rubrics = new Map(getConfiguredRubrics().map(rubric => [rubric.key, rubric]));
+    const stored = await ScoringRubric.find().lean();
+    stored.forEach(({ _id, __v, ...rubric }) => rubrics.set(rubric.key, rubric));
+    return [...rubrics.values()];
+}
+
+async function findRubric(key) {
+    const rubrics = await listRubrics();
+    return rubrics.find(rubric => rubric.key === key) || null;
+}
+
+function resumeResultKey(jobId) {
+    return `resume:${jobId}`;
+}
+
+// Bull reports waiting/delayed/paused; clients only need to know it's queued
+const JOB_STATES = {
+    waiting: 'queued',
+    delayed: 'queued',
+    paused: 'queued',
+    active: 'active',
+    completed: 'completed',
+    failed: 'failed'
+};
+
+async function describeJob(job) {
+    const state = JOB_STATES[await job.getState()] || 'unknown';
+    const progress = typeof job.progress() === 'object' ? job.progress() : {};
+
+    return {
+        jobId: job.id,
+        state,
+        stage: state === 'completed' ? 'completed' : progress.stage || null,
+        progress: state === 'completed' ? 100 : progress.percent || 0,
+        attempts: job.attemptsMade,
+        result: state === 'completed' ? job.returnvalue : undefined,
+        error: state === 'failed' ? job.failedReason : undefined,
+        code: state === 'failed' ? await getFailureCode(job.id) : undefined,
+        createdAt: new Date(job.timestamp).toISOString(),
+        finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+    };
+}
+
+function serializeUser(user) {
+    return {
+        id: user._id,
+        email: user.email,
+        role: user.role
     };
 }
 
@@ -344,7 +815,7 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ error: 'Authentication token required' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET || 'default_secret', (err, user) => {
+    jwt.verify(token, JWT_SECRET, (err, user) => {
         if (err) {
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
@@ -353,6 +824,33 @@ function authenticateToken(req, res, next) {
     });
 }
 
+// EventSource cannot send headers, so streams redeem a single-use ticket from the query string
+async function authenticateStreamTicket(req, res, next) {
+    if (!req.query.ticket) {
+        return res.status(401).json({ error: 'Stream ticket required' });
+    }
+
+    try {
+        const grant = await redeemStreamTicket(String(req.query.ticket), req.params.jobId);
+        if (!grant) {
+            return res.status(403).json({ error: 'Invalid or expired stream ticket' });
+        }
+        req.user = { userId: grant.userId };
+        next();
+    } catch (error) {
+        console.error('Stream ticket error:', error);
+        res.status(500).json({ error: 'Failed to verify stream ticket' });
+    }
+}
+
+// Must run after authenticateToken
+function requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
 // ======================
 // Routes
 // ======================
@@ -368,18 +866,61 @@ app.get('/api/health', (req, res) => {
 });
 
 // Resume Upload Endpoint
-app.post('/api/upload-resume', upload.single('resume'), async (req, res) => {
+app.post('/api/upload-resume', authenticateToken, acceptUpload('resume'), async (req, res) => {
     try {
         if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+            return res.status(400).json({ error: 'No file uploaded', code: 'invalid_upload' });
         }
 
-        const job = await resumeQueue.add({
-            userId: req.body.userId || 'anonymous',
-            filePath: req.file.path,
-            originalFilename: req.file.originalname,
-            fileType: req.file.mimetype
-        });
+        const fileType = await identifyUpload(req.file);
+
+        const rubricKey = req.body.rubric || DEFAULT_RUBRIC;
+        if (!await findRubric(rubricKey)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: `Unknown scoring rubric: ${rubricKey}` });
+        }
+
+        const contentHash = await hashFile(req.file.path);
+        const force = req.body.force === 'true' || req.query.force === 'true';
+
+        if (!force) {
+            const duplicate = await findDuplicateAnalysis(req.user.userId, contentHash, rubricKey);
+            if (duplicate) {
+                fs.unlinkSync(req.file.path);
+                return res.json({
+                    message: 'This resume was already analyzed; returning the existing result',
+                    duplicate: true,
+                    analysisId: duplicate._id,
+                    analyzedAt: duplicate.createdAt,
+                    filename: req.file.originalname,
+                    result: { analysisId: duplicate._id, ...duplicate.toObject().analysisResult }
+                });
+            }
+        }
+
+        const storageKey = await fileStorage.saveOriginal(
+            await fs.promises.readFile(req.file.path),
+            path.extname(req.file.originalname)
+        );
+        fs.unlinkSync(req.file.path);
+
+        let job;
+        try {
+            job = await resumeQueue.add({
+                userId: req.user.userId,
+                storageKey,
+                originalFilename: req.file.originalname,
+                fileType,
+                fileSize: req.file.size,
+                contentHash,
+                originalExpiresAt: fileStorage.getRetentionCutoff(),
+                rubric: rubricKey
+            });
+        } catch (error) {
+            // No analysis will ever point at this original, so retention could not find it either
+            await discardUnreferencedOriginal(storageKey);
+            throw error;
+        }
 
         res.json({ 
             message: 'Resume uploaded and analysis started',
@@ -387,28 +928,552 @@ app.post('/api/upload-resume', upload.single('resume'), async (req, res) => {
             filename: req.file.originalname
         });
     } catch (error) {
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        if (isFileError(error)) {
+            return sendFileError(res, error);
+        }
         console.error('Upload error:', error);
         res.status(500).json({ error: 'Failed to upload resume' });
     }
 });
 
-// Get Resume Analysis Results
-app.get('/api/resume-analysis/:jobId', async (req, res) => {
+// List the User's Analyses Over Time
+app.get('/api/resume-analysis', authenticateToken, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const analyses = await ResumeAnalysis
+            .find({ userId: req.user.userId })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('originalFilename analysisResult.score ats.score engineVersion rubric createdAt');
+
+        // Oldest first so the list doubles as the score trend
+        res.json({
+            analyses: analyses.reverse().map(summarizeAnalysis)
+        });
+    } catch (error) {
+        console.error('Analysis history error:', error);
+        res.status(500).json({ error: 'Failed to fetch analysis history' });
+    }
+});
+
+// Compare Two Analyses
+app.get('/api/resume-analysis/:id/diff/:otherId', authenticateToken, async (req, res) => {
+    try {
+        const [from, to] = await Promise.all([
+            findOwnedAnalysis(req.params.id, req.user.userId),
+            findOwnedAnalysis(req.params.otherId, req.user.userId)
+        ]);
+
+        if (!from || !to) {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
+
+        res.json(diffAnalyses(from, to));
+    } catch (error) {
+        console.error('Analysis diff error:', error);
+        res.status(500).json({ error: 'Failed to compare analyses' });
+    }
+});
+
+// Get Resume Analysis Job Status
+app.get('/api/resume-analysis/:jobId', authenticateToken, async (req, res) => {
     try {
         const jobId = req.params.jobId;
-        const result = await redisGet(`resume:${jobId}`);
-        
-        if (!result) {
+        const job = await resumeQueue.getJob(jobId);
+
+        if (job) {
+            if (String(job.data.userId) !== String(req.user.userId)) {
+                return res.status(403).json({ error: 'Not authorized to view this analysis' });
+            }
+            return res.json(await describeJob(job));
+        }
+
+        // Bull may have pruned the job; fall back to the cached outcome
+        const cached = await redisClient.get(resumeResultKey(jobId));
+        if (!cached) {
             return res.status(404).json({ error: 'Analysis not found' });
         }
 
-        res.json(JSON.parse(result));
+        const { userId, ...outcome } = JSON.parse(cached);
+        if (String(userId) !== String(req.user.userId)) {
+            return res.status(403).json({ error: 'Not authorized to view this analysis' });
+        }
+
+        res.json({ jobId, ...outcome });
     } catch (error) {
         console.error('Analysis fetch error:', error);
         res.status(500).json({ error: 'Failed to fetch analysis' });
     }
 });
 
+// Issue a Single-Use Ticket for the Progress Stream
+app.post('/api/resume-analysis/:jobId/stream-ticket', authenticateToken, async (req, res) => {
+    try {
+        const job = await resumeQueue.getJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
+
+        if (String(job.data.userId) !== String(req.user.userId)) {
+            return res.status(403).json({ error: 'Not authorized to view this analysis' });
+        }
+
+        res.json(await issueStreamTicket(req.user.userId, job.id));
+    } catch (error) {
+        console.error('Stream ticket error:', error);
+        res.status(500).json({ error: 'Failed to issue stream ticket' });
+    }
+});
+
+// Stream Resume Analysis Progress (Server-Sent Events)
+app.get('/api/resume-analysis/:jobId/events', authenticateStreamTicket, async (req, res) => {
+    try {
+        const job = await resumeQueue.getJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
+
+        if (String(job.data.userId) !== String(req.user.userId)) {
+            return res.status(403).json({ error: 'Not authorized to view this analysis' });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const sendEvent = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+        const close = () => {
+            clearInterval(heartbeat);
+            resumeJobEvents.removeListener(String(job.id), onJobEvent);
+            res.end();
+        };
+
+        const onJobEvent = (event, data) => {
+            sendEvent(event, data);
+            if (event === 'completed' || event === 'failed') {
+                close();
+            }
+        };
+
+        // Subscribe before reading the snapshot so no transition is missed in between
+        resumeJobEvents.on(String(job.id), onJobEvent);
+        req.on('close', close);
+
+        const status = await describeJob(job);
+        if (status.state === 'completed') {
+            onJobEvent('completed', { stage: 'completed', progress: 100, result: status.result });
+        } else if (status.state === 'failed') {
+            onJobEvent('failed', { error: status.error, code: status.code });
+        } else {
+            sendEvent('status', status);
+        }
+    } catch (error) {
+        console.error('Analysis stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to stream analysis' });
+        } else {
+            res.end();
+        }
+    }
+});
+
+// Export a Stored Analysis in the JSON Resume Schema
+app.get('/api/resume-analysis/:id/json-resume', authenticateToken, async (req, res) => {
+    try {
+        const analysis = await findOwnedAnalysis(req.params.id, req.user.userId);
+
+        if (!analysis) {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
+
+        if (!analysis.analysisResult.sections) {
+            return res.status(409).json({ error: 'This analysis predates section parsing. Re-upload the resume to export it.' });
+        }
+
+        res.json(toJsonResume(analysis.analysisResult.sections, contactToBasics(analysis.toObject().contact)));
+    } catch (error) {
+        console.error('JSON Resume export error:', error);
+        res.status(500).json({ error: 'Failed to export analysis' });
+    }
+});
+
+// Re-run the Analysis on the Stored Original
+app.post('/api/resume-analysis/:id/reanalyze', authenticateToken, async (req, res) => {
+    try {
+        const analysis = await findOwnedAnalysis(req.params.id, req.user.userId);
+
+        if (!analysis) {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
+
+        if (!analysis.storageKey) {
+            return res.status(410).json({ error: 'The original file is no longer stored; upload it again' });
+        }
+
+        const rubricKey = req.body.rubric || analysis.rubric || DEFAULT_RUBRIC;
+        if (!await findRubric(rubricKey)) {
+            return res.status(400).json({ error: `Unknown scoring rubric: ${rubricKey}` });
+        }
+
+        const job = await resumeQueue.add({
+            userId: req.user.userId,
+            storageKey: analysis.storageKey,
+            originalFilename: analysis.originalFilename,
+            fileType: analysis.fileType,
+            fileSize: analysis.fileSize,
+            contentHash: analysis.contentHash,
+            originalExpiresAt: analysis.originalExpiresAt,
+            rubric: rubricKey
+        });
+
+        res.json({
+            message: 'Re-analysis started',
+            jobId: job.id,
+            filename: analysis.originalFilename
+        });
+    } catch (error) {
+        console.error('Re-analysis error:', error);
+        res.status(500).json({ error: 'Failed to start re-analysis' });
+    }
+});
+
+// Download the Original Uploaded Resume
+app.get('/api/resume-analysis/:id/original', authenticateToken, async (req, res) => {
+    try {
+        const analysis = await findOwnedAnalysis(req.params.id, req.user.userId);
+
+        if (!analysis) {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
+
+        const original = analysis.storageKey ? await fileStorage.readOriginal(analysis.storageKey) : null;
+        if (!original) {
+            return res.status(410).json({ error: 'The original file is no longer stored' });
+        }
+
+        const filename = (analysis.originalFilename || `resume${path.extname(analysis.storageKey)}`).replace(/["\\\r\n]/g, '_');
+        res.set({
+            'Content-Type': analysis.fileType || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.send(original);
+    } catch (error) {
+        console.error('Original download error:', error);
+        res.status(500).json({ error: 'Failed to download original file' });
+    }
+});
+
+// Download an Analysis Report (PDF, Markdown or HTML)
+app.get('/api/resume-analysis/:id/report', authenticateToken, async (req, res) => {
+    try {
+        const format = (req.query.format || 'pdf').toLowerCase();
+
+        if (!REPORT_FORMATS[format]) {
+            return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+        }
+
+        const analysis = await findOwnedAnalysis(req.params.id, req.user.userId);
+
+        if (!analysis) {
+            return res.status(404).json({ error: 'Analysis not found' });
+        }
+
+        const report = await renderReport(analysis, format);
+
+        res.set({
+            'Content-Type': report.contentType,
+            'Content-Disposition': `attachment; filename="${report.filename}"`
+        });
+        res.send(report.body);
+    } catch (error) {
+        console.error('Report generation error:', error);
+        res.status(500).json({ error: 'Failed to generate report' });
+    }
+});
+
+// Match a Job Description Against the Latest Resume Analysis
+app.post('/api/job-match', authenticateToken, acceptUpload('jobDescription'), async (req, res) => {
+    try {
+        const fileType = req.file && await identifyUpload(req.file);
+
+        const jobText = req.file
+            ? await processResume.extractTextFromFile(req.file.path, fileType)
+            : req.body.text;
+
+        if (!jobText || !jobText.trim()) {
+            return res.status(400).json({ error: 'Job description text or file is required' });
+        }
+
+        const latestAnalysis = await ResumeAnalysis
+            .findOne({ userId: req.user.userId })
+            .sort({ createdAt: -1 });
+
+        if (!latestAnalysis) {
+            return res.status(404).json({ error: 'No resume analysis found. Upload a resume first.' });
+        }
+
+        const match = await matchJobDescription(jobText, latestAnalysis.analysisResult);
+
+        res.json({
+            analysisId: latestAnalysis._id,
+            ...match
+        });
+    } catch (error) {
+        if (isFileError(error)) {
+            return sendFileError(res, error);
+        }
+        console.error('Job match error:', error);
+        res.status(500).json({ error: 'Failed to match job description' });
+    } finally {
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+    }
+});
+
+// Scoring Rubric Profiles
+app.get('/api/rubrics', authenticateToken, async (req, res) => {
+    try {
+        res.json({ rubrics: await listRubrics(), defaultRubric: DEFAULT_RUBRIC });
+    } catch (error) {
+        console.error('Rubric list error:', error);
+        res.status(500).json({ error: 'Failed to list scoring rubrics' });
+    }
+});
+
+app.put('/api/rubrics/:key', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const rubric = { ...req.body, key: req.params.key };
+        const validationError = validateRubric(rubric);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const saved = await ScoringRubric.findOneAndUpdate(
+            { key: rubric.key },
+            { ...rubric, name: rubric.name || rubric.key, updatedAt: new Date() },
+            { upsert: true, new: true, runValidators: true }
+        );
+        res.json(saved);
+    } catch (error) {
+        console.error('Rubric save error:', error);
+        res.status(500).json({ error: 'Failed to save scoring rubric' });
+    }
+});
+
+app.delete('/api/rubrics/:key', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const result = await ScoringRubric.deleteOne({ key: req.params.key });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Stored rubric not found' });
+        }
+        res.json({ message: 'Rubric deleted' });
+    } catch (error) {
+        console.error('Rubric delete error:', error);
+        res.status(500).json({ error: 'Failed to delete scoring rubric' });
+    }
+});
+
+// Skill Taxonomy
+app.get('/api/skill-taxonomy', authenticateToken, async (req, res) => {
+    res.json({
+        skills: skillTaxonomy.listSkills(),
+        categories: skillTaxonomy.SKILL_CATEGORIES
+    });
+});
+
+app.put('/api/skill-taxonomy/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const skill = { ...req.body, id: req.params.id };
+        const validationError = skillTaxonomy.validateSkill(skill);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const saved = await SkillTaxonomy.findOneAndUpdate(
+            { id: skill.id },
+            { ...skill, updatedAt: new Date() },
+            { upsert: true, new: true, runValidators: true }
+        );
+        await refreshSkillTaxonomy();
+        res.json(saved);
+    } catch (error) {
+        console.error('Skill taxonomy save error:', error);
+        res.status(500).json({ error: 'Failed to save skill' });
+    }
+});
+
+app.delete('/api/skill-taxonomy/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const result = await SkillTaxonomy.deleteOne({ id: req.params.id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Stored skill not found' });
+        }
+        await refreshSkillTaxonomy();
+        res.json({ message: 'Skill deleted' });
+    } catch (error) {
+        console.error('Skill taxonomy delete error:', error);
+        res.status(500).json({ error: 'Failed to delete skill' });
+    }
+});
+
+// ======================
+// User skills
+// ======================
+app.get('/api/skills', authenticateToken, async (req, res) => {
+    try {
+        // Entries written before skills were stored in Mongo have no id; rebuild those from Mongo
+        const cached = await dashboardCache.getSkillProgress(req.user.userId).catch(() => null);
+        if (cached && cached.every(skill => skill.id)) {
+            return res.json({ skills: cached });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ skills: await syncSkillCache(user) });
+    } catch (error) {
+        console.error('Skills fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch skills' });
+    }
+});
+
+app.post('/api/skills', authenticateToken, async (req, res) => {
+    try {
+        const validationError = validateUserSkill(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (findUserSkillByName(user, req.body.name)) {
+            return res.status(409).json({ error: `You already have ${req.body.name.trim()}; update it instead` });
+        }
+
+        user.skills.push({ name: req.body.name.trim() });
+        const skill = user.skills[user.skills.length - 1];
+        applySkillChanges(skill, req.body);
+        await user.save();
+        await syncSkillCache(user);
+
+        res.status(201).json(serializeSkill(skill));
+    } catch (error) {
+        console.error('Skill create error:', error);
+        res.status(500).json({ error: 'Failed to add skill' });
+    }
+});
+
+app.put('/api/skills/:id', authenticateToken, async (req, res) => {
+    try {
+        const validationError = validateUserSkill(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const user = await User.findById(req.user.userId);
+        const skill = user && mongoose.isValidObjectId(req.params.id) ? user.skills.id(req.params.id) : null;
+        if (!skill) {
+            return res.status(404).json({ error: 'Skill not found' });
+        }
+        if (req.body.name !== undefined && findUserSkillByName(user, req.body.name, skill._id)) {
+            return res.status(409).json({ error: `You already have ${req.body.name.trim()}` });
+        }
+
+        applySkillChanges(skill, req.body);
+        await user.save();
+        await syncSkillCache(user);
+
+        res.json(serializeSkill(skill));
+    } catch (error) {
+        console.error('Skill update error:', error);
+        res.status(500).json({ error: 'Failed to update skill' });
+    }
+});
+
+app.delete('/api/skills/:id', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        const skill = user && mongoose.isValidObjectId(req.params.id) ? user.skills.id(req.params.id) : null;
+        if (!skill) {
+            return res.status(404).json({ error: 'Skill not found' });
+        }
+
+        skill.deleteOne();
+        await user.save();
+        await syncSkillCache(user);
+
+        res.json({ message: 'Skill deleted' });
+    } catch (error) {
+        console.error('Skill delete error:', error);
+        res.status(500).json({ error: 'Failed to delete skill' });
+    }
+});
+
+// NER cache hit/miss counters and size
+app.get('/api/ner-cache/stats', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        res.json(await nerProcessor.getCacheStats());
+    } catch (error) {
+        console.error('NER cache stats error:', error);
+        res.status(500).json({ error: 'Failed to read NER cache stats' });
+    }
+});
+
+// Purge cached entities, e.g. ?model=dslim/bert-base-NER&version=1 after a model or post-processing change
+app.delete('/api/ner-cache', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { model } = req.query;
+        const version = parseCacheVersion(req.query.version);
+        if (version === null) {
+            return res.status(400).json({ error: 'version must be a post-processing version number' });
+        }
+
+        const result = await nerProcessor.purgeCache({ model, version });
+        res.json({ message: `Deleted ${result.deleted} cached NER result(s)`, ...result });
+    } catch (error) {
+        console.error('NER cache purge error:', error);
+        res.status(500).json({ error: 'Failed to purge NER cache' });
+    }
+});
+
+// Certifications from the user's latest resume, with those expired or expiring soon called out
+app.get('/api/certifications', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('certifications').lean();
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const certifications = user.certifications || [];
+        res.json({
+            certifications,
+            expiryWarnings: getExpiryWarnings(certifications)
+        });
+    } catch (error) {
+        console.error('Certifications fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch certifications' });
+    }
+});
+
 // Authentication Routes
 app.post('/api/register', async (req, res) => {
     try {
@@ -430,19 +1495,11 @@ app.post('/api/register', async (req, res) => {
         const user = new User({ email, password });
         await user.save();
 
-        const token = jwt.sign(
-            { userId: user._id, email: user.email, role: user.role },
-            process.env.JWT_SECRET || 'default_secret',
-            { expiresIn: '1h' }
-        );
+        const tokens = await issueTokens(user);
 
         res.status(201).json({ 
-            token,
-            user: {
-                id: user._id,
-                email: user.email,
-                role: user.role
-            }
+            ...tokens,
+            user: serializeUser(user)
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -450,61 +1507,179 @@ app.post('/api/register', async (req, res) => {
     }
 });
 
+app.post('/api/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const user = await User.findOne({ email });
+        if (!user || !(await user.comparePassword(password))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        const tokens = await issueTokens(user);
+
+        res.json({
+            ...tokens,
+            user: serializeUser(user)
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const stored = await rotateRefreshToken(refreshToken);
+        if (!stored) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const user = await User.findById(stored.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const tokens = await issueTokens(user);
+
+        res.json({
+            ...tokens,
+            user: serializeUser(user)
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        await revokeRefreshToken(refreshToken);
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // ======================
 // Queue Processors
 // ======================
 resumeQueue.process(5, async (job) => {
-    const { userId, filePath, originalFilename, fileType } = job.data;
+    const { userId, storageKey, originalFilename, fileType, fileSize, contentHash, originalExpiresAt, rubric: rubricKey } = job.data;
+    const reportStage = (stage) => job.progress({
+        stage,
+        percent: processResume.ANALYSIS_STAGES[stage]
+    });
+    
+    let filePath = null;
     
     try {
-        const resumeText = await extractTextFromFile(filePath, fileType);
-        const analysisResult = await analyzeResumeWithAI(resumeText);
+        filePath = await fileStorage.copyToTempFile(storageKey);
+        if (!filePath) {
+            throw new Error('The original resume is no longer in storage');
+        }
+
+        // Pick up taxonomy edits made by admins on other instances
+        await refreshSkillTaxonomy();
+        const rubric = await findRubric(rubricKey || DEFAULT_RUBRIC);
+        const analysisResult = await processResume(filePath, fileType, userId, reportStage, { rubric });
+
+        await reportStage('saving');
 
         const resumeAnalysis = new ResumeAnalysis({
             userId,
             originalFilename,
-            storedFilename: path.basename(filePath),
+            storedFilename: path.basename(storageKey),
+            storageKey,
+            originalExpiresAt,
             fileType,
-            fileSize: fs.statSync(filePath).size,
-            analysisResult
+            fileSize,
+            contentHash,
+            engineVersion: processResume.ENGINE_VERSION,
+            analysisResult,
+            rubric: analysisResult.scoreBreakdown.rubric.key,
+            ats: analysisResult.ats,
+            contact: analysisResult.contact
         });
         
         await resumeAnalysis.save();
 
-        await User.findByIdAndUpdate(userId, {
-            $set: {
-                'resumeAnalysis.score': analysisResult.score,
-                'resumeAnalysis.strengths': analysisResult.strengths,
-                'resumeAnalysis.improvements': analysisResult.improvements,
-                'resumeAnalysis.entities': analysisResult.entities,
-                'resumeAnalysis.lastAnalyzed': new Date()
-            }
-        });
+        const user = await User.findById(userId);
+        if (user) {
+            user.resumeAnalysis = {
+                score: analysisResult.score,
+                strengths: analysisResult.strengths,
+                improvements: analysisResult.improvements,
+                entities: analysisResult.entities,
+                lastAnalyzed: new Date()
+            };
+            user.certifications = analysisResult.certifications;
+            mergeDetectedSkills(user, analysisResult.skillAssessment);
+            await user.save();
+            await syncSkillCache(user);
+        }
 
-        await redisSet(`resume:${userId}:${job.id}`, JSON.stringify({
-            status: 'completed',
-            result: analysisResult,
+        await redisClient.set(resumeResultKey(job.id), JSON.stringify({
+            userId,
+            state: 'completed',
+            result: { analysisId: resumeAnalysis._id, ...analysisResult },
             timestamp: new Date().toISOString()
-        }));
+        }), { EX: RESUME_RESULT_TTL });
 
-        await dashboardCache.invalidateAllUserCaches(userId);
+        // The dashboard and skills caches are fresh now; drop what depends on them
+        await Promise.all([
+            dashboardCache.invalidateArticles(userId),
+            dashboardCache.invalidateRecommendations(userId)
+        ]);
 
-        return analysisResult;
+        return { analysisId: resumeAnalysis._id, ...analysisResult };
     } catch (error) {
         console.error('Resume processing error:', error);
-        await redisSet(`resume:${userId}:${job.id}`, JSON.stringify({
-            status: 'failed',
+        await redisClient.set(resumeResultKey(job.id), JSON.stringify({
+            userId,
+            state: 'failed',
             error: error.message,
+            code: isFileError(error) ? error.code : undefined,
             timestamp: new Date().toISOString()
-        }));
+        }), { EX: RESUME_RESULT_TTL });
+
+        // attemptsMade does not count the attempt that is failing now
+        if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+            await discardUnreferencedOriginal(storageKey);
+        }
         throw error;
     } finally {
-        if (fs.existsSync(filePath)) {
+        // Only the plaintext working copy; originals with an analysis stay until retention removes them
+        if (filePath && fs.existsSync(filePath)) {
             fs.unlinkSync(filePath);
         }
     }
 });
 
+storageQueue.process(async () => {
+    const { deleted } = await purgeExpiredOriginals();
+    console.log(`Retention sweep removed ${deleted} stored resume(s)`);
+    return { deleted };
+});
+
 // ======================
 // Server Startup
 // ======================
@@ -519,6 +1694,12 @@ function scheduleJobs() {
         }
     });
     
+    // Daily retention sweep of stored originals
+    storageQueue.add({ type: 'retention-sweep' }, {
+        repeat: { cron: '0 4 * * *' },
+        attempts: 3
+    });
+    
     // Weekly summaries
     resumeQueue.add({ type: 'weekly-summary' }, { 
         repeat: { cron: '0 9 * * 1' },
@@ -535,6 +1716,7 @@ process.on('SIGINT', async () => {
         await redisClient.quit();
         await resumeQueue.close();
         await articleQueue.close();
+        await storageQueue.close();
         process.exit(0);
     } catch (err) {
         console.error('Error during shutdown:', err);
@@ -0,0 +1,160 @@
+const { durationInMonths } = require('./resumeParser');
+const { getSkillTerms } = require('./skillTaxonomy');
+
+const BASE_LEVEL = 30;
+
+// Maximum points each kind of evidence can contribute
+const FACTOR_WEIGHTS = {
+    years: 35,
+    recency: 15,
+    frequency: 10,
+    placement: 10,
+    seniority: 10
+};
+
+const POINTS_PER_YEAR = 7;
+const POINTS_PER_EXTRA_MENTION = 2;
+
+// Months since a role ended -> recency points
+const RECENCY_BANDS = [
+    { withinMonths: 12, points: 12, detail: 'used within the last year' },
+    { withinMonths: 36, points: 6, detail: 'used within the last 3 years' }
+];
+
+const SENIORITY_LEVELS = [
+    { pattern: /\b(principal|staff|lead|architect|head|director|vp|chief|cto)\b/i, points: 10, label: 'lead-level' },
+    { pattern: /\b(senior|sr\.?)\b/i, points: 7, label: 'senior' },
+    { pattern: /\b(junior|jr\.?|intern|trainee|graduate)\b/i, points: 0, label: 'junior' }
+];
+const DEFAULT_SENIORITY_POINTS = 4;
+
+// Score a skill from the evidence in the parsed resume. Same resume in, same level out.
+function estimateSkillLevel(skill, sections, resumeText, now = new Date()) {
+    const pattern = skillPattern(skill);
+    const roles = sections.experience.filter(entry =>
+        pattern.test([...entry.bullets, entry.title || '', entry.company || ''].join(' ').toLowerCase())
+    );
+
+    const evidence = [
+        yearsEvidence(roles, now),
+        recencyEvidence(roles, now),
+        frequencyEvidence(pattern, resumeText),
+        placementEvidence(pattern, sections, roles),
+        seniorityEvidence(roles)
+    ];
+
+    const level = Math.min(
+        BASE_LEVEL + evidence.reduce((sum, item) => sum + item.points, 0),
+        100
+    );
+
+    return {
+        level,
+        evidence,
+        explanation: evidence.map(item => item.detail).join('; ')
+    };
+}
+
+function yearsEvidence(roles, now) {
+    const months = roles.reduce((sum, entry) => sum + durationInMonths(entry, now), 0);
+    const years = Math.round(months / 12 * 10) / 10;
+
+    return {
+        factor: 'years',
+        points: Math.min(Math.round(years * POINTS_PER_YEAR), FACTOR_WEIGHTS.years),
+        detail: years > 0
+            ? `${years} years across ${roles.length} role(s)`
+            : 'no dated role mentions it'
+    };
+}
+
+function recencyEvidence(roles, now) {
+    if (roles.some(entry => entry.current)) {
+        return { factor: 'recency', points: FACTOR_WEIGHTS.recency, detail: 'used in current role' };
+    }
+
+    const nowIndex = now.getFullYear() * 12 + now.getMonth();
+    const monthsAgo = roles
+        .map(entry => monthIndex(entry.endDate))
+        .filter(index => index !== null)
+        .map(index => nowIndex - index);
+
+    if (monthsAgo.length === 0) {
+        return { factor: 'recency', points: 0, detail: 'no recent use found' };
+    }
+
+    const latest = Math.min(...monthsAgo);
+    const band = RECENCY_BANDS.find(candidate => latest <= candidate.withinMonths);
+    return band
+        ? { factor: 'recency', points: band.points, detail: band.detail }
+        : { factor: 'recency', points: 0, detail: `last used ${Math.floor(latest / 12)} years ago` };
+}
+
+function frequencyEvidence(pattern, resumeText) {
+    const globalPattern = new RegExp(pattern.source, 'g');
+    const mentions = ((resumeText || '').toLowerCase().match(globalPattern) || []).length;
+
+    return {
+        factor: 'frequency',
+        points: Math.min(Math.max(mentions - 1, 0) * POINTS_PER_EXTRA_MENTION, FACTOR_WEIGHTS.frequency),
+        detail: `mentioned ${mentions} time(s)`
+    };
+}
+
+// Listing a skill is a claim; using it in a bullet is a demonstration
+function placementEvidence(pattern, sections, roles) {
+    const listed = sections.skills.some(item => pattern.test(item.toLowerCase()));
+    const demonstrated = roles.some(entry => entry.bullets.some(bullet => pattern.test(bullet.toLowerCase()))) ||
+        sections.projects.some(project => project.highlights.some(highlight => pattern.test(highlight.toLowerCase())));
+
+    const places = [
+        listed && 'listed in skills section',
+        demonstrated && 'used in experience or project bullets'
+    ].filter(Boolean);
+
+    return {
+        factor: 'placement',
+        points: (listed ? FACTOR_WEIGHTS.placement / 2 : 0) + (demonstrated ? FACTOR_WEIGHTS.placement / 2 : 0),
+        detail: places.length > 0 ? places.join(' and ') : 'only mentioned in passing'
+    };
+}
+
+function seniorityEvidence(roles) {
+    const titled = roles.filter(entry => entry.title);
+    if (titled.length === 0) {
+        return { factor: 'seniority', points: 0, detail: 'no related job title' };
+    }
+
+    const best = titled
+        .map(entry => {
+            const seniority = SENIORITY_LEVELS.find(candidate => candidate.pattern.test(entry.title));
+            return seniority
+                ? { points: seniority.points, label: seniority.label, title: entry.title }
+                : { points: DEFAULT_SENIORITY_POINTS, label: 'mid-level', title: entry.title };
+        })
+        .sort((a, b) => b.points - a.points)[0];
+
+    return {
+        factor: 'seniority',
+        points: best.points,
+        detail: `${best.label} title (${best.title})`
+    };
+}
+
+function monthIndex(date) {
+    if (!date) return null;
+    const [year, month] = date.split('-').map(Number);
+    return year * 12 + (month || 12) - 1;
+}
+
+// Any spelling of the skill from the taxonomy counts as a mention
+function skillPattern(skill) {
+    const terms = getSkillTerms(skill)
+        .map(term => term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .sort((a, b) => b.length - a.length);
+    return new RegExp(`(^|[^a-z0-9])(?:${terms.join('|')})(?=$|[^a-z0-9])`);
+}
+
+module.exports = {
+    estimateSkillLevel
+};
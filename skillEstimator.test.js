@@ -0,0 +1,71 @@
+const { estimateSkillLevel } = require('./skillEstimator');
+
+const NOW = new Date(2022, 11, 15);
+
+function sections({ experience = [], skills = [], projects = [] } = {}) {
+    return { summary: '', experience, education: [], skills, projects, certifications: [] };
+}
+
+function role(overrides) {
+    return { company: 'Acme', title: 'Software Engineer', startDate: null, endDate: null, current: false, bullets: [], ...overrides };
+}
+
+const points = (result) => Object.fromEntries(result.evidence.map(item => [item.factor, item.points]));
+
+describe('estimateSkillLevel', () => {
+    test('scores each kind of evidence', () => {
+        const resume = sections({
+            skills: ['Python'],
+            experience: [role({ title: 'Senior Engineer', startDate: '2020-01', current: true, bullets: ['Built Python services'] })]
+        });
+
+        const result = estimateSkillLevel('Python', resume, 'Python\nBuilt Python services', NOW);
+
+        expect(points(result)).toEqual({ years: 21, recency: 15, frequency: 2, placement: 10, seniority: 7 });
+        expect(result.level).toBe(85);
+        expect(result.explanation).toContain('3 years across 1 role(s)');
+    });
+
+    test('falls back to the base level without evidence', () => {
+        const result = estimateSkillLevel('Rust', sections(), '', NOW);
+
+        expect(result.level).toBe(30);
+        expect(result.explanation).toContain('no dated role mentions it');
+    });
+
+    test('gives fewer recency points to skills used years ago', () => {
+        const recent = estimateSkillLevel('Java', sections({
+            experience: [role({ startDate: '2020-01', endDate: '2022-06', bullets: ['Java APIs'] })]
+        }), 'Java APIs', NOW);
+        const old = estimateSkillLevel('Java', sections({
+            experience: [role({ startDate: '2012-01', endDate: '2015-06', bullets: ['Java APIs'] })]
+        }), 'Java APIs', NOW);
+
+        expect(points(recent).recency).toBe(12);
+        expect(points(old).recency).toBe(0);
+        expect(old.explanation).toContain('last used 7 years ago');
+    });
+
+    test('caps years of experience at its weight', () => {
+        const result = estimateSkillLevel('Go', sections({
+            experience: [role({ startDate: '2005-01', endDate: '2020-12', bullets: ['Go services'] })]
+        }), 'Go services', NOW);
+
+        expect(points(result).years).toBe(35);
+    });
+
+    test('matches taxonomy aliases but not substrings of other words', () => {
+        const resume = sections({ experience: [role({ startDate: '2021-01', current: true, bullets: ['Shipped a Golang CLI'] })] });
+
+        expect(points(estimateSkillLevel('Go', resume, 'Shipped a Golang CLI', NOW)).placement).toBe(5);
+        expect(points(estimateSkillLevel('Java', sections({
+            experience: [role({ startDate: '2021-01', current: true, bullets: ['Wrote JavaScript'] })]
+        }), 'Wrote JavaScript', NOW)).years).toBe(0);
+    });
+
+    test('returns the same level for the same resume', () => {
+        const resume = sections({ skills: ['SQL'], experience: [role({ startDate: '2019-03', endDate: '2021-09', bullets: ['Tuned SQL queries'] })] });
+
+        expect(estimateSkillLevel('SQL', resume, 'SQL', NOW)).toEqual(estimateSkillLevel('SQL', resume, 'SQL', NOW));
+    });
+});
@@ -0,0 +1,234 @@
+// Canonical skills shared by NER, scoring, job matching, article lookup and User.skills.
+// aliases resolve to the skill regardless of case or punctuation ("NodeJS", "node.js");
+// caseSensitive skills are only detected in free text with the casing written here,
+// so ordinary words like "go" or "spring" are not mistaken for them.
+// tag is the dev.to/Hashnode tag used for articles (defaults to id).
+const BUILT_IN_SKILLS = [
+    { id: 'javascript', name: 'JavaScript', aliases: ['ecmascript', 'es6'], category: 'programming', parents: [], related: ['typescript', 'nodejs'] },
+    { id: 'typescript', name: 'TypeScript', aliases: [], category: 'programming', parents: ['javascript'], related: [] },
+    { id: 'python', name: 'Python', aliases: ['python3'], category: 'programming', parents: [], related: ['django', 'flask', 'pandas'] },
+    { id: 'java', name: 'Java', aliases: [], category: 'programming', parents: [], related: ['spring', 'kotlin'] },
+    { id: 'cpp', name: 'C++', aliases: ['cpp'], category: 'programming', parents: [], related: [] },
+    { id: 'csharp', name: 'C#', aliases: ['csharp', 'c sharp'], category: 'programming', parents: [], related: ['dotnet'] },
+    { id: 'go', name: 'Go', aliases: ['Golang'], category: 'programming', parents: [], related: [], caseSensitive: true },
+    { id: 'rust', name: 'Rust', aliases: [], category: 'programming', parents: [], related: [] },
+    { id: 'ruby', name: 'Ruby', aliases: [], category: 'programming', parents: [], related: ['rails'] },
+    { id: 'php', name: 'PHP', aliases: [], category: 'programming', parents: [], related: ['laravel'] },
+    { id: 'kotlin', name: 'Kotlin', aliases: [], category: 'programming', parents: [], related: ['java'] },
+    { id: 'swift', name: 'Swift', aliases: [], category: 'programming', parents: [], related: [], caseSensitive: true },
+    { id: 'scala', name: 'Scala', aliases: [], category: 'programming', parents: [], related: ['spark'] },
+    { id: 'sql', name: 'SQL', aliases: [], category: 'database', parents: [], related: ['postgresql', 'mysql'] },
+
+    { id: 'react', name: 'React', aliases: ['react.js', 'reactjs'], category: 'frontend', parents: ['javascript'], related: ['redux', 'nextjs'] },
+    { id: 'redux', name: 'Redux', aliases: [], category: 'frontend', parents: ['react'], related: [] },
+    { id: 'nextjs', name: 'Next.js', aliases: ['nextjs', 'next js'], category: 'frontend', parents: ['react'], related: [] },
+    { id: 'angular', name: 'Angular', aliases: ['angularjs', 'angular.js'], category: 'frontend', parents: ['typescript'], related: [] },
+    { id: 'vue', name: 'Vue', aliases: ['vue.js', 'vuejs'], category: 'frontend', parents: ['javascript'], related: [] },
+    { id: 'html', name: 'HTML', aliases: ['html5'], category: 'frontend', parents: [], related: ['css'] },
+    { id: 'css', name: 'CSS', aliases: ['css3'], category: 'frontend', parents: [], related: ['sass', 'html'] },
+    { id: 'sass', name: 'Sass', aliases: ['scss'], category: 'frontend', parents: ['css'], related: [] },
+    { id: 'graphql', name: 'GraphQL', aliases: [], category: 'backend', parents: [], related: [] },
+    { id: 'webpack', name: 'Webpack', aliases: [], category: 'frontend', parents: ['javascript'], related: [] },
+    { id: 'jest', name: 'Jest', aliases: [], category: 'tools', parents: ['javascript'], related: [], tag: 'testing' },
+
+    { id: 'nodejs', name: 'Node.js', aliases: ['Node', 'NodeJS', 'Nodejs', 'node.js', 'nodejs', 'node js'], category: 'backend', parents: ['javascript'], related: ['express'], tag: 'node', caseSensitive: true },
+    { id: 'express', name: 'Express', aliases: ['Express.js', 'ExpressJS', 'express.js', 'expressjs'], category: 'backend', parents: ['nodejs'], related: [], caseSensitive: true },
+    { id: 'django', name: 'Django', aliases: [], category: 'backend', parents: ['python'], related: [] },
+    { id: 'flask', name: 'Flask', aliases: [], category: 'backend', parents: ['python'], related: [] },
+    { id: 'spring', name: 'Spring', aliases: ['Spring Boot', 'SpringBoot'], category: 'backend', parents: ['java'], related: [], caseSensitive: true },
+    { id: 'laravel', name: 'Laravel', aliases: [], category: 'backend', parents: ['php'], related: [] },
+    { id: 'rails', name: 'Ruby on Rails', aliases: ['rails', 'ror'], category: 'backend', parents: ['ruby'], related: [] },
+    { id: 'dotnet', name: '.NET', aliases: ['dotnet', 'asp.net', '.net core'], category: 'backend', parents: ['csharp'], related: [] },
+
+    { id: 'mysql', name: 'MySQL', aliases: [], category: 'database', parents: ['sql'], related: [] },
+    { id: 'postgresql', name: 'PostgreSQL', aliases: ['postgres', 'psql'], category: 'database', parents: ['sql'], related: [] },
+    { id: 'mongodb', name: 'MongoDB', aliases: ['mongo'], category: 'database', parents: [], related: [] },
+    { id: 'redis', name: 'Redis', aliases: [], category: 'database', parents: [], related: [] },
+    { id: 'sqlite', name: 'SQLite', aliases: [], category: 'database', parents: ['sql'], related: [] },
+
+    { id: 'docker', name: 'Docker', aliases: [], category: 'devops', parents: [], related: ['kubernetes'] },
+    { id: 'kubernetes', name: 'Kubernetes', aliases: ['k8s'], category: 'devops', parents: [], related: ['docker'] },
+    { id: 'aws', name: 'AWS', aliases: ['amazon web services'], category: 'devops', parents: [], related: [] },
+    { id: 'azure', name: 'Azure', aliases: ['microsoft azure'], category: 'devops', parents: [], related: [] },
+    { id: 'gcp', name: 'GCP', aliases: ['google cloud', 'google cloud platform'], category: 'devops', parents: [], related: [] },
+    { id: 'terraform', name: 'Terraform', aliases: [], category: 'devops', parents: [], related: [] },
+    { id: 'jenkins', name: 'Jenkins', aliases: [], category: 'devops', parents: [], related: [] },
+    { id: 'ansible', name: 'Ansible', aliases: [], category: 'devops', parents: [], related: [] },
+    { id: 'prometheus', name: 'Prometheus', aliases: [], category: 'devops', parents: [], related: [] },
+    { id: 'linux', name: 'Linux', aliases: [], category: 'devops', parents: [], related: [] },
+    { id: 'git', name: 'Git', aliases: [], category: 'tools', parents: [], related: [] },
+
+    { id: 'kafka', name: 'Kafka', aliases: ['apache kafka'], category: 'data', parents: [], related: [] },
+    { id: 'spark', name: 'Spark', aliases: ['Apache Spark', 'PySpark'], category: 'data', parents: [], related: [], caseSensitive: true },
+    { id: 'pandas', name: 'Pandas', aliases: [], category: 'data', parents: ['python'], related: [] },
+    { id: 'tensorflow', name: 'TensorFlow', aliases: [], category: 'data', parents: ['machine-learning'], related: [] },
+    { id: 'pytorch', name: 'PyTorch', aliases: [], category: 'data', parents: ['machine-learning'], related: [] },
+    { id: 'machine-learning', name: 'Machine Learning', aliases: ['ml'], category: 'data', parents: [], related: [], tag: 'machinelearning' },
+
+    { id: 'communication', name: 'Communication', aliases: ['communication skills', 'kommunikation', 'comunicación'], category: 'soft', parents: [], related: [] },
+    { id: 'leadership', name: 'Leadership', aliases: ['führung', 'liderazgo'], category: 'soft', parents: [], related: [] },
+    { id: 'teamwork', name: 'Teamwork', aliases: ['teamarbeit', 'travail d\'équipe', 'esprit d\'équipe', 'trabajo en equipo'], category: 'soft', parents: [], related: [] },
+    { id: 'problem-solving', name: 'Problem Solving', aliases: [], category: 'soft', parents: [], related: [] }
+];
+
+const SKILL_CATEGORIES = ['programming', 'frontend', 'backend', 'database', 'devops', 'data', 'tools', 'soft', 'other'];
+
+let skills = new Map();
+let aliasIndex = new Map();
+
+// Entries added at runtime (e.g. from the SkillTaxonomy collection) override built-ins with the same id
+function setCustomSkills(customSkills = []) {
+    skills = new Map(BUILT_IN_SKILLS.map(skill => [skill.id, withDefaults(skill)]));
+    customSkills.forEach(skill => {
+        if (!validateSkill(skill)) skills.set(skill.id, withDefaults(skill));
+    });
+
+    aliasIndex = new Map();
+    skills.forEach(skill => {
+        [skill.id, skill.name, ...skill.aliases].forEach(term => aliasIndex.set(normalizeKey(term), skill));
+    });
+}
+
+function withDefaults(skill) {
+    return {
+        aliases: [],
+        category: 'other',
+        parents: [],
+        related: [],
+        caseSensitive: false,
+        ...skill,
+        mentionPattern: undefined
+    };
+}
+
+function listSkills() {
+    return [...skills.values()].map(publicSkill);
+}
+
+function getSkill(id) {
+    const skill = skills.get(id);
+    return skill ? publicSkill(skill) : null;
+}
+
+function resolveSkill(name) {
+    if (!name || typeof name !== 'string') return null;
+    return aliasIndex.get(normalizeKey(name)) || null;
+}
+
+// Stable identity for comparing skills: the canonical id, or a normalized form for unknown skills
+function skillKey(name) {
+    const skill = resolveSkill(name);
+    return skill ? skill.id : normalizeKey(name);
+}
+
+function canonicalSkillName(name) {
+    const skill = resolveSkill(name);
+    return skill ? skill.name : String(name).trim();
+}
+
+// Canonical names with synonyms collapsed, in first-seen order
+function canonicalizeSkills(names) {
+    const seen = new Map();
+    names.forEach(name => {
+        if (!name || typeof name !== 'string' || !name.trim()) return;
+        const key = skillKey(name);
+        if (!seen.has(key)) seen.set(key, canonicalSkillName(name));
+    });
+    return [...seen.values()];
+}
+
+function getSkillCategory(name) {
+    const skill = resolveSkill(name);
+    return skill ? skill.category : 'other';
+}
+
+// Every spelling that refers to the skill, for matching it in resume text
+function getSkillTerms(name) {
+    const skill = resolveSkill(name);
+    return skill ? [skill.name, ...skill.aliases] : [String(name).trim()];
+}
+
+function getArticleTag(name) {
+    const skill = resolveSkill(name);
+    return skill ? skill.tag || skill.id : normalizeKey(name);
+}
+
+// Parent skills first, then related ones; unknown ids are skipped
+function getRelatedSkills(name) {
+    const skill = resolveSkill(name);
+    if (!skill) return [];
+    return [...new Set([...skill.parents, ...skill.related])]
+        .map(id => skills.get(id))
+        .filter(Boolean)
+        .map(publicSkill);
+}
+
+// First mention of each known skill in free text: [{ skill, word, start, end }]
+function findSkillMentions(text) {
+    const mentions = [];
+    skills.forEach(skill => {
+        if (!skill.mentionPattern) {
+            const terms = [skill.name, ...skill.aliases]
+                .sort((a, b) => b.length - a.length)
+                .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            skill.mentionPattern = new RegExp(`(?<![\\w.#+])(?:${terms.join('|')})(?![\\w#+]|\\.\\w)`, skill.caseSensitive ? '' : 'i');
+        }
+
+        const match = skill.mentionPattern.exec(text);
+        if (match) {
+            mentions.push({ skill: publicSkill(skill), word: match[0], start: match.index, end: match.index + match[0].length });
+        }
+    });
+    return mentions.sort((a, b) => a.start - b.start);
+}
+
+// Returns an error message, or null when the entry is usable
+function validateSkill(skill) {
+    if (!skill || typeof skill.id !== 'string' || !/^[a-z0-9][a-z0-9_.+#-]{0,39}$/.test(skill.id)) {
+        return 'Skill id must be 1-40 lowercase letters, digits or . _ + # -';
+    }
+    if (typeof skill.name !== 'string' || !skill.name.trim() || skill.name.length > 50) {
+        return 'Skill name is required and must be at most 50 characters';
+    }
+    if (skill.category !== undefined && !SKILL_CATEGORIES.includes(skill.category)) {
+        return `Skill category must be one of ${SKILL_CATEGORIES.join(', ')}`;
+    }
+
+    const lists = [skill.aliases, skill.parents, skill.related].filter(list => list !== undefined);
+    if (lists.some(list => !Array.isArray(list) || list.some(item => typeof item !== 'string' || !item.trim()))) {
+        return 'aliases, parents and related must be arrays of non-empty strings';
+    }
+    if ((skill.parents || []).includes(skill.id)) {
+        return 'A skill cannot be its own parent';
+    }
+
+    return null;
+}
+
+function normalizeKey(name) {
+    return String(name).toLowerCase().trim().replace(/[\s._-]+/g, '');
+}
+
+function publicSkill({ mentionPattern, ...skill }) {
+    return skill;
+}
+
+setCustomSkills();
+
+module.exports = {
+    BUILT_IN_SKILLS,
+    SKILL_CATEGORIES,
+    setCustomSkills,
+    listSkills,
+    getSkill,
+    resolveSkill,
+    skillKey,
+    canonicalSkillName,
+    canonicalizeSkills,
+    getSkillCategory,
+    getSkillTerms,
+    getArticleTag,
+    getRelatedSkills,
+    findSkillMentions,
+    validateSkill
+};
@@ -0,0 +1,94 @@
+const taxonomy = require('./skillTaxonomy');
+
+afterEach(() => taxonomy.setCustomSkills());
+
+describe('resolving names', () => {
+    test.each([
+        ['NodeJS', 'nodejs'],
+        ['node.js', 'nodejs'],
+        ['ReactJS', 'react'],
+        ['golang', 'go'],
+        ['C#', 'csharp'],
+        ['Führung', 'leadership']
+    ])('%s resolves to %s', (name, id) => {
+        expect(taxonomy.resolveSkill(name).id).toBe(id);
+    });
+
+    test('keeps unknown skills under a normalized key', () => {
+        expect(taxonomy.resolveSkill('Haskell')).toBeNull();
+        expect(taxonomy.skillKey('Power BI')).toBe('powerbi');
+        expect(taxonomy.canonicalSkillName('  Haskell ')).toBe('Haskell');
+    });
+
+    test('collapses synonyms in first-seen order', () => {
+        expect(taxonomy.canonicalizeSkills(['reactjs', 'Python', 'React', 'python3', '', 'Haskell']))
+            .toEqual(['React', 'Python', 'Haskell']);
+    });
+
+    test('looks up category, terms and article tag', () => {
+        expect(taxonomy.getSkillCategory('vue.js')).toBe('frontend');
+        expect(taxonomy.getSkillCategory('Haskell')).toBe('other');
+        expect(taxonomy.getSkillTerms('React')).toEqual(['React', 'react.js', 'reactjs']);
+        expect(taxonomy.getArticleTag('ML')).toBe('machinelearning');
+    });
+
+    test('lists parents before related skills', () => {
+        expect(taxonomy.getRelatedSkills('React').map(skill => skill.id)).toEqual(['javascript', 'redux', 'nextjs']);
+        expect(taxonomy.getRelatedSkills('Haskell')).toEqual([]);
+    });
+});
+
+describe('findSkillMentions', () => {
+    const ids = (text) => taxonomy.findSkillMentions(text).map(mention => mention.skill.id);
+
+    test('finds the first mention of each skill with its span', () => {
+        const text = 'Built React apps in TypeScript';
+        const [react] = taxonomy.findSkillMentions(text);
+
+        expect(ids(text)).toEqual(['react', 'typescript']);
+        expect(text.slice(react.start, react.end)).toBe('React');
+    });
+
+    test('does not read punctuation-sensitive names inside others', () => {
+        expect(ids('Wrote Node.js and C++ services')).toEqual(['nodejs', 'cpp']);
+        expect(ids('Maintained JavaScript code')).toEqual(['javascript']);
+    });
+
+    test('only matches case-sensitive skills with their casing', () => {
+        expect(ids('Ready to go live with Spring')).not.toContain('go');
+        expect(ids('Services written in Go')).toContain('go');
+    });
+});
+
+describe('custom skills', () => {
+    test('add entries and override built-ins with the same id', () => {
+        taxonomy.setCustomSkills([
+            { id: 'haskell', name: 'Haskell', aliases: ['ghc'], category: 'programming' },
+            { id: 'python', name: 'Python', aliases: ['py'], category: 'programming' }
+        ]);
+
+        expect(taxonomy.resolveSkill('GHC').name).toBe('Haskell');
+        expect(taxonomy.resolveSkill('py').id).toBe('python');
+        expect(taxonomy.resolveSkill('python3')).toBeNull();
+        expect(taxonomy.findSkillMentions('Compiled with GHC').map(mention => mention.skill.id)).toEqual(['haskell']);
+    });
+
+    test('skip invalid entries', () => {
+        taxonomy.setCustomSkills([{ id: 'Bad Id', name: 'Bad' }]);
+
+        expect(taxonomy.getSkill('Bad Id')).toBeNull();
+    });
+});
+
+describe('validateSkill', () => {
+    test.each([
+        [{ id: 'elixir', name: 'Elixir', category: 'programming', aliases: ['ex'] }, null],
+        [{ id: 'Elixir', name: 'Elixir' }, 'Skill id must be 1-40 lowercase letters, digits or . _ + # -'],
+        [{ id: 'elixir', name: '' }, 'Skill name is required and must be at most 50 characters'],
+        [{ id: 'elixir', name: 'Elixir', category: 'languages' }, expect.stringMatching(/^Skill category must be one of/)],
+        [{ id: 'elixir', name: 'Elixir', aliases: [''] }, 'aliases, parents and related must be arrays of non-empty strings'],
+        [{ id: 'elixir', name: 'Elixir', parents: ['elixir'] }, 'A skill cannot be its own parent']
+    ])('%o', (skill, error) => {
+        expect(taxonomy.validateSkill(skill)).toEqual(error);
+    });
+});
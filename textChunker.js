@@ -0,0 +1,70 @@
+// Split text into model-sized chunks on sentence and line boundaries.
+// Consecutive chunks repeat up to overlapChars of text so entities cut at a
+// boundary are seen whole at least once. Offsets refer to the original text.
+function chunkText(text, { maxChars, overlapChars = 0 }) {
+    if (text.length <= maxChars) {
+        return [{ text, start: 0, end: text.length }];
+    }
+
+    const units = splitLongUnits(sentenceUnits(text), text, maxChars);
+    const chunks = [];
+    let first = 0;
+
+    while (first < units.length) {
+        let last = first;
+        while (last + 1 < units.length && units[last + 1].end - units[first].start <= maxChars) {
+            last++;
+        }
+
+        const start = units[first].start;
+        const end = units[last].end;
+        chunks.push({ text: text.slice(start, end), start, end });
+        if (last === units.length - 1) break;
+
+        // Step back so the next chunk starts with the tail of this one
+        let next = last + 1;
+        while (next - 1 > first && end - units[next - 1].start <= overlapChars) {
+            next--;
+        }
+        first = next;
+    }
+
+    return chunks;
+}
+
+// Sentence ends are terminal punctuation followed by whitespace ("Node.js" is not one) or a line break
+function sentenceUnits(text) {
+    const units = [];
+    let start = 0;
+
+    for (const match of text.matchAll(/[.!?]+(?=\s)|\n/g)) {
+        const end = match.index + match[0].length;
+        if (end > start) units.push({ start, end });
+        start = end;
+    }
+    if (start < text.length) units.push({ start, end: text.length });
+
+    return units;
+}
+
+// Sentences longer than a chunk are cut at the last space that fits
+function splitLongUnits(units, text, maxChars) {
+    return units.flatMap(unit => {
+        const pieces = [];
+        let start = unit.start;
+
+        while (unit.end - start > maxChars) {
+            const space = text.lastIndexOf(' ', start + maxChars);
+            const end = space > start ? space + 1 : start + maxChars;
+            pieces.push({ start, end });
+            start = end;
+        }
+        pieces.push({ start, end: unit.end });
+
+        return pieces;
+    });
+}
+
+module.exports = {
+    chunkText
+};
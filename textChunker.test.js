@@ -0,0 +1,58 @@
+const { chunkText } = require('./textChunker');
+
+const SENTENCES = [
+    'Built billing APIs in Node.js.',
+    'Led a team of four engineers.',
+    'Cut cloud costs by a third.',
+    'Mentored two interns.'
+];
+
+describe('chunkText', () => {
+    test('returns short text as one chunk', () => {
+        expect(chunkText('Short text.', { maxChars: 100 })).toEqual([{ text: 'Short text.', start: 0, end: 11 }]);
+    });
+
+    test('cuts on sentence boundaries and keeps offsets into the original', () => {
+        const text = SENTENCES.join(' ');
+        const chunks = chunkText(text, { maxChars: 65 });
+
+        expect(chunks.map(chunk => chunk.text.trim())).toEqual([
+            'Built billing APIs in Node.js. Led a team of four engineers.',
+            'Cut cloud costs by a third. Mentored two interns.'
+        ]);
+        chunks.forEach(chunk => {
+            expect(chunk.text.length).toBeLessThanOrEqual(65);
+            expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+        });
+    });
+
+    test('does not end a sentence inside "Node.js"', () => {
+        const chunks = chunkText(SENTENCES.join(' '), { maxChars: 40 });
+
+        expect(chunks[0].text).toBe('Built billing APIs in Node.js.');
+    });
+
+    test('repeats the tail of a chunk when overlap is requested', () => {
+        const text = SENTENCES.join(' ');
+        const chunks = chunkText(text, { maxChars: 65, overlapChars: 30 });
+
+        expect(chunks).toHaveLength(3);
+        expect(chunks[1].start).toBeLessThan(chunks[0].end);
+        expect(chunks[chunks.length - 1].end).toBe(text.length);
+    });
+
+    test('splits a sentence longer than a chunk at a space', () => {
+        const text = 'word '.repeat(30).trim();
+        const chunks = chunkText(text, { maxChars: 50 });
+
+        chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(50));
+        expect(chunks.map(chunk => chunk.text).join('')).toBe(text);
+        expect(chunks.slice(0, -1).every(chunk => chunk.text.endsWith(' '))).toBe(true);
+    });
+
+    test('treats line breaks as boundaries', () => {
+        const text = `${'a'.repeat(30)}\n${'b'.repeat(30)}`;
+
+        expect(chunkText(text, { maxChars: 40 }).map(chunk => chunk.text)).toEqual([`${'a'.repeat(30)}\n`, 'b'.repeat(30)]);
+    });
+});
@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const readFile = promisify(fs.readFile);
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { FILE_LIMITS, fileError, withTimeout, inspectZip, inspectPdf } = require('./fileValidation');
+
+const SNIFF_TEXT_BYTES = 8192;
+
+// Registered extractors, checked in order. Binary signatures come before text heuristics.
+// inspect() runs structural limits on the raw bytes before anything is parsed.
+const extractors = [
+    {
+        type: 'application/pdf',
+        label: 'PDF',
+        extensions: ['.pdf'],
+        binary: true,
+        sniff: ({ buffer }) => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+        inspect: inspectPdf,
+        // pdf.js misreads pooled Node buffers, so hand it a standalone copy
+        extract: async (buffer) => (await pdf(new Uint8Array(buffer), { max: FILE_LIMITS.maxPdfPages })).text
+    },
+    {
+        type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        label: 'DOCX',
+        extensions: ['.docx'],
+        binary: true,
+        sniff: ({ zip }) => !!zip && !!zip.file('word/document.xml'),
+        inspect: async (buffer) => inspectZip(buffer),
+        extract: async (buffer) => (await mammoth.extractRawText({ buffer })).value
+    },
+    {
+        type: 'application/vnd.oasis.opendocument.text',
+        label: 'ODT',
+        extensions: ['.odt'],
+        binary: true,
+        sniff: async ({ zip }) => !!zip && !!zip.file('mimetype') &&
+            (await zip.file('mimetype').async('string')).trim() === 'application/vnd.oasis.opendocument.text',
+        inspect: async (buffer) => inspectZip(buffer),
+        extract: async (buffer) => {
+            const zip = await JSZip.loadAsync(buffer);
+            return odtToText(await zip.file('content.xml').async('string'));
+        }
+    },
+    {
+        type: 'application/rtf',
+        label: 'RTF',
+        extensions: ['.rtf'],
+        sniff: ({ buffer }) => buffer.subarray(0, 5).toString('latin1') === '{\\rtf',
+        extract: async (buffer) => rtfToText(buffer.toString('latin1'))
+    },
+    {
+        type: 'application/x-latex',
+        label: 'LaTeX',
+        extensions: ['.tex'],
+        sniff: ({ text }) => text !== null && /\\documentclass|\\begin\{document\}/.test(text),
+        extract: async (buffer) => latexToText(buffer.toString('utf8'))
+    },
+    {
+        type: 'text/html',
+        label: 'HTML',
+        extensions: ['.html', '.htm'],
+        sniff: ({ text }) => text !== null && /^\s*(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(text),
+        extract: async (buffer) => htmlToText(buffer.toString('utf8'))
+    },
+    {
+        type: 'text/markdown',
+        label: 'Markdown',
+        extensions: ['.md', '.markdown'],
+        sniff: ({ text, extension }) => text !== null && looksLikeMarkdown(text, extension),
+        extract: async (buffer) => markdownToText(buffer.toString('utf8'))
+    },
+    {
+        type: 'text/plain',
+        label: 'TXT',
+        extensions: ['.txt'],
+        sniff: ({ text }) => text !== null,
+        extract: async (buffer) => buffer.toString('utf8')
+    }
+];
+
+function registerExtractor(extractor, { before } = {}) {
+    const index = before ? extractors.findIndex(existing => existing.type === before) : -1;
+    extractors.splice(index >= 0 ? index : extractors.length - 1, 0, extractor);
+}
+
+function getSupportedExtensions() {
+    return extractors.flatMap(extractor => extractor.extensions);
+}
+
+function getSupportedLabels() {
+    return extractors.map(extractor => extractor.label);
+}
+
+// Identify a file from its bytes; the file name only breaks ties between text formats
+async function detectFileType(filePath, originalName = '') {
+    const buffer = await readFile(filePath);
+    const context = {
+        buffer,
+        extension: path.extname(originalName).toLowerCase(),
+        text: decodeText(buffer),
+        zip: await openZip(buffer)
+    };
+
+    for (const extractor of extractors) {
+        if (await extractor.sniff(context)) {
+            return extractor.type;
+        }
+    }
+    return null;
+}
+
+// Check a sniffed upload against the format's limits and its declared extension; throws coded file errors
+async function validateFile(filePath, fileType, originalName = '') {
+    const buffer = await readFile(filePath);
+    if (buffer.length === 0) {
+        throw fileError('empty_file', 'The file is empty');
+    }
+
+    const extractor = extractors.find(candidate => candidate.type === fileType);
+    if (!extractor) {
+        throw fileError('unrecognized_format', `Unrecognized file contents. Supported formats: ${getSupportedLabels().join(', ')}`);
+    }
+
+    // Text formats overlap (a .txt may hold Markdown) but binary ones must match their name
+    const extension = path.extname(originalName).toLowerCase();
+    const declared = extractors.find(candidate => candidate.extensions.includes(extension));
+    if (declared && declared !== extractor && (declared.binary || extractor.binary)) {
+        throw fileError('content_mismatch', `The file is named ${extension} but contains ${extractor.label} data`);
+    }
+
+    if (extractor.inspect) {
+        await extractor.inspect(buffer);
+    }
+}
+
+async function extractText(filePath, fileType) {
+    const extractor = extractors.find(candidate => candidate.type === fileType);
+    if (!extractor) {
+        throw fileError('unrecognized_format', 'Unsupported file type');
+    }
+
+    const buffer = await readFile(filePath);
+    if (extractor.inspect) {
+        await extractor.inspect(buffer);
+    }
+
+    const text = normalizeWhitespace(await withTimeout(extractor.extract(buffer)));
+    if (!text) {
+        throw fileError('no_text', 'No readable text was found; scanned documents need to be converted to text first');
+    }
+    if (text.length > FILE_LIMITS.maxExtractedChars) {
+        throw fileError('text_too_long', `The document has more than ${FILE_LIMITS.maxExtractedChars} characters of text`);
+    }
+    return text;
+}
+
+// Zip limits are checked on the central directory before JSZip reads the archive
+async function openZip(buffer) {
+    if (buffer.subarray(0, 4).toString('latin1') !== 'PK\x03\x04') {
+        return null;
+    }
+    inspectZip(buffer);
+    try {
+        return await JSZip.loadAsync(buffer);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Text formats must be valid UTF-8 without control bytes
+function decodeText(buffer) {
+    const sample = buffer.subarray(0, SNIFF_TEXT_BYTES);
+    if (sample.includes(0)) return null;
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return null;
+    }
+}
+
+function looksLikeMarkdown(text, extension) {
+    if (extension === '.md' || extension === '.markdown') return true;
+
+    const signals = [
+        /^#{1,6}\s+\S/m,
+        /\[[^\]]+\]\([^)\s]+\)/,
+        /\*\*[^*\n]+\*\*/,
+        /^```/m
+    ];
+    return signals.filter(signal => signal.test(text)).length >= 2;
+}
+
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            // Out-of-range references would make fromCodePoint throw; leave them as written
+            return value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+        }
+        return named[code.toLowerCase()] !== undefined ? named[code.toLowerCase()] : entity;
+    });
+}
+
+// ======================
+// Format converters
+// ======================
+function odtToText(xml) {
+    return decodeEntities(xml
+        .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(parseInt(count || '1')))
+        .replace(/<text:tab\s*\/>/g, '\t')
+        .replace(/<text:line-break\s*\/>/g, '\n')
+        .replace(/<text:list-item[^>]*>/g, '• ')
+        .replace(/<\/text:(p|h)>/g, '\n')
+        .replace(/<[^>]+>/g, ''));
+}
+
+// Control words whose group holds metadata rather than document text
+const RTF_SKIP_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+    'datastore', 'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl',
+    'generator', 'xmlnstbl', 'fldinst', 'filetbl', 'revtbl'
+]);
+
+const RTF_SYMBOLS = {
+    par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n', cell: '\t', tab: '\t',
+    emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+function rtfToText(rtf) {
+    const stack = [];
+    let state = { skip: false, uc: 1 };
+    let pendingSkip = 0;
+    let out = '';
+    let i = 0;
+
+    const emit = (text) => {
+        if (state.skip) return;
+        if (pendingSkip > 0) {
+            pendingSkip--;
+            return;
+        }
+        out += text;
+    };
+
+    while (i < rtf.length) {
+        const ch = rtf[i];
+
+        if (ch === '{') {
+            stack.push({ ...state });
+            i++;
+        } else if (ch === '}') {
+            state = stack.pop() || state;
+            i++;
+        } else if (ch === '\\') {
+            const next = rtf[i + 1];
+
+            if (next === '\\' || next === '{' || next === '}') {
+                emit(next);
+                i += 2;
+            } else if (next === "'") {
+                emit(String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16)));
+                i += 4;
+            } else if (next === '*') {
+                state.skip = true;
+                i += 2;
+            } else if (next === '~') {
+                emit(' ');
+                i += 2;
+            } else if (next === '_') {
+                emit('-');
+                i += 2;
+            } else {
+                const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i, i + 40));
+                if (!match) {
+                    i += 2;
+                    continue;
+                }
+
+                const [token, word, param] = match;
+                if (RTF_SKIP_DESTINATIONS.has(word)) {
+                    state.skip = true;
+                } else if (word === 'uc') {
+                    state.uc = parseInt(param);
+                } else if (word === 'u') {
+                    const code = parseInt(param);
+                    emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+                    if (!state.skip) pendingSkip = state.uc;
+                } else if (RTF_SYMBOLS[word]) {
+                    emit(RTF_SYMBOLS[word]);
+                }
+                i += token.length;
+            }
+        } else if (ch === '\r' || ch === '\n') {
+            i++;
+        } else {
+            emit(ch);
+            i++;
+        }
+    }
+
+    return out;
+}
+
+function htmlToText(html) {
+    return decodeEntities(html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<li[^>]*>/gi, '\n• ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr|section|article|header|footer|ul|ol|table)>/gi, '\n')
+        .replace(/<(td|th)[^>]*>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/[ \t]+/g, ' '));
+}
+
+function markdownToText(markdown) {
+    return markdown
+        .replace(/^```.*$/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/^\s*[-*_]{3,}\s*$/gm, '')
+        .replace(/^(\s*)[*+]\s+/gm, '$1- ')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1$2')
+        .replace(/(^|\W)_([^_\n]+)_(?!\w)/g, '$1$2')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/<[^>]+>/g, '');
+}
+
+function latexToText(latex) {
+    const escaped = [];
+    let text = latex
+        // Protect escaped specials before braces and commands are stripped
+        .replace(/\\([&%$#_{}])/g, (match, char) => `\u0000${escaped.push(char) - 1}\u0000`)
+        .replace(/%.*$/gm, '');
+
+    const bodyStart = text.indexOf('\\begin{document}');
+    const bodyEnd = text.indexOf('\\end{document}');
+    if (bodyStart >= 0) {
+        text = text.slice(bodyStart + '\\begin{document}'.length, bodyEnd >= 0 ? bodyEnd : undefined);
+    }
+
+    return text
+        .replace(/\\(?:sub)*section\*?\{([^}]*)\}/g, '\n$1\n')
+        .replace(/\\item(?:\[[^\]]*\])?\s*/g, '\n• ')
+        .replace(/\\href\{[^}]*\}\{([^}]*)\}/g, '$1')
+        .replace(/\\(?:begin|end)\{[^}]*\}(?:\[[^\]]*\]|\{[^}]*\})*/g, '\n')
+        .replace(/\\[vh]space\*?\{[^}]*\}/g, ' ')
+        .replace(/\\\\(?:\[[^\]]*\])?/g, '\n')
+        .replace(/\\[a-zA-Z]+\*?(?:\[[^\]]*\])?/g, ' ')
+        .replace(/[{}]/g, '')
+        .replace(/---/g, '—')
+        .replace(/--/g, '–')
+        .replace(/~/g, ' ')
+        .replace(/&/g, ' ')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => escaped[index])
+        .replace(/[ \t]+/g, ' ')
+        .replace(/^ /gm, '');
+}
+
+module.exports = {
+    detectFileType,
+    extractText,
+    validateFile,
+    registerExtractor,
+    getSupportedExtensions,
+    getSupportedLabels
+};
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractText } = require('./textExtractors');
+
+let tempDir;
+
+beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extractors-'));
+});
+
+afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function extractHtml(body) {
+    const filePath = path.join(tempDir, 'resume.html');
+    fs.writeFileSync(filePath, `<!doctype html><html><body>${body}</body></html>`);
+    return extractText(filePath, 'text/html');
+}
+
+describe('HTML entities', () => {
+    test('decodes named and numeric references', async () => {
+        expect(await extractHtml('<p>R&amp;D &#233;quipe &#x2014; &lt;Lead&gt;</p>')).toBe('R&D équipe — <Lead>');
+    });
+
+    test('leaves out-of-range code points as written', async () => {
+        expect(await extractHtml('<p>Jane &#x110000; Doe &#99999999999;</p>')).toBe('Jane &#x110000; Doe &#99999999999;');
+    });
+});
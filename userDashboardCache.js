@@ -1,5 +1,4 @@
 const redis = require('redis');
-const { promisify } = require('util');
 
 const DASHBOARD_CACHE_EXPIRATION = 3600; // 1 hour
 const SKILLS_CACHE_EXPIRATION = 86400; // 24 hours
@@ -8,18 +7,13 @@ const RECOMMENDATIONS_CACHE_EXPIRATION = 1800; // 30 minutes
 
 // Create Redis client
 const client = redis.createClient({
-    host: process.env.REDIS_HOST || 'localhost',
-    port: process.env.REDIS_PORT || 6379,
-    password: process.env.REDIS_PASSWORD || null
+    socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379
+    },
+    password: process.env.REDIS_PASSWORD || undefined
 });
 
-// Promisify Redis methods
-const redisGet = promisify(client.get).bind(client);
-const redisSet = promisify(client.set).bind(client);
-const redisDel = promisify(client.del).bind(client);
-const redisExpire = promisify(client.expire).bind(client);
-const redisKeys = promisify(client.keys).bind(client);
-
 // Handle Redis connection events
 client.on('connect', () => {
     console.log('Connected to Redis');
@@ -29,11 +23,13 @@ client.on('error', (err) => {
     console.error('Redis error:', err);
 });
 
+client.connect().catch(err => console.error('Redis connection error:', err));
+
 module.exports = {
     // Dashboard caching
     async getDashboard(userId) {
         try {
-            const cachedData = await redisGet(`dashboard:${userId}`);
+            const cachedData = await client.get(`dashboard:${userId}`);
             if (cachedData) {
                 return JSON.parse(cachedData);
             }
@@ -46,19 +42,17 @@ module.exports = {
 
     async setDashboard(userId, dashboardData) {
         try {
-            await redisSet(
+            await client.set(
                 `dashboard:${userId}`,
                 JSON.stringify(dashboardData),
-                'EX',
-                DASHBOARD_CACHE_EXPIRATION
+                { EX: DASHBOARD_CACHE_EXPIRATION }
             );
             
             // Also update the user's last activity timestamp
-            await redisSet(
+            await client.set(
                 `user:${userId}:last_activity`,
                 new Date().toISOString(),
-                'EX',
-                DASHBOARD_CACHE_EXPIRATION * 2
+                { EX: DASHBOARD_CACHE_EXPIRATION * 2 }
             );
             
             return true;
@@ -70,7 +64,7 @@ module.exports = {
 
     async invalidateDashboard(userId) {
         try {
-            await redisDel(`dashboard:${userId}`);
+            await client.del(`dashboard:${userId}`);
             return true;
         } catch (error) {
             console.error('Error invalidating dashboard cache:', error);
@@ -81,7 +75,7 @@ module.exports = {
     // Skills caching
     async getSkillProgress(userId) {
         try {
-            const cachedData = await redisGet(`skills:${userId}`);
+            const cachedData = await client.get(`skills:${userId}`);
             if (cachedData) {
                 return JSON.parse(cachedData);
             }
@@ -99,22 +93,25 @@ module.exports = {
             
             // Merge new skills with existing ones, preserving progress where possible
             const mergedSkills = skills.map(newSkill => {
-                const existingSkill = existingSkills.find(s => s.name === newSkill.name);
+                // Match on the stored skill id so a rename keeps its progress
+                const existingSkill = newSkill.id
+                    ? existingSkills.find(s => s.id === newSkill.id)
+                    : existingSkills.find(s => s.name === newSkill.name);
                 if (existingSkill) {
                     return {
                         ...newSkill,
                         progress: existingSkill.progress,
-                        lastPracticed: existingSkill.lastPracticed
+                        // An explicit null clears the date; only an absent field keeps the cached one
+                        lastPracticed: 'lastPracticed' in newSkill ? newSkill.lastPracticed : existingSkill.lastPracticed
                     };
                 }
                 return newSkill;
             });
             
-            await redisSet(
+            await client.set(
                 `skills:${userId}`,
                 JSON.stringify(mergedSkills),
-                'EX',
-                SKILLS_CACHE_EXPIRATION
+                { EX: SKILLS_CACHE_EXPIRATION }
             );
             
             return true;
@@ -149,7 +146,7 @@ module.exports = {
 
     async invalidateSkillProgress(userId) {
         try {
-            await redisDel(`skills:${userId}`);
+            await client.del(`skills:${userId}`);
             return true;
         } catch (error) {
             console.error('Error invalidating skills cache:', error);
@@ -160,7 +157,7 @@ module.exports = {
     // Articles caching
     async getArticles(userId) {
         try {
-            const cachedData = await redisGet(`articles:${userId}`);
+            const cachedData = await client.get(`articles:${userId}`);
             if (cachedData) {
                 return JSON.parse(cachedData);
             }
@@ -173,11 +170,10 @@ module.exports = {
 
     async setArticles(userId, articles) {
         try {
-            await redisSet(
+            await client.set(
                 `articles:${userId}`,
                 JSON.stringify(articles),
-                'EX',
-                ARTICLES_CACHE_EXPIRATION
+                { EX: ARTICLES_CACHE_EXPIRATION }
             );
             return true;
         } catch (error) {
@@ -188,7 +184,7 @@ module.exports = {
 
     async invalidateArticles(userId) {
         try {
-            await redisDel(`articles:${userId}`);
+            await client.del(`articles:${userId}`);
             return true;
         } catch (error) {
             console.error('Error invalidating articles cache:', error);
@@ -199,7 +195,7 @@ module.exports = {
     // Recommendations caching
     async getRecommendations(userId) {
         try {
-            const cachedData = await redisGet(`recommendations:${userId}`);
+            const cachedData = await client.get(`recommendations:${userId}`);
             if (cachedData) {
                 return JSON.parse(cachedData);
             }
@@ -212,11 +208,10 @@ module.exports = {
 
     async setRecommendations(userId, recommendations) {
         try {
-            await redisSet(
+            await client.set(
                 `recommendations:${userId}`,
                 JSON.stringify(recommendations),
-                'EX',
-                RECOMMENDATIONS_CACHE_EXPIRATION
+                { EX: RECOMMENDATIONS_CACHE_EXPIRATION }
             );
             return true;
         } catch (error) {
@@ -227,7 +222,7 @@ module.exports = {
 
     async invalidateRecommendations(userId) {
         try {
-            await redisDel(`recommendations:${userId}`);
+            await client.del(`recommendations:${userId}`);
             return true;
         } catch (error) {
             console.error('Error invalidating recommendations cache:', error);
@@ -275,7 +270,7 @@ module.exports = {
     // Utility methods
     async getUserActivity(userId) {
         try {
-            const lastActivity = await redisGet(`user:${userId}:last_activity`);
+            const lastActivity = await client.get(`user:${userId}:last_activity`);
             return lastActivity || null;
         } catch (error) {
             console.error('Error getting user activity:', error);
@@ -285,7 +280,7 @@ module.exports = {
 
     async getAllUserKeys() {
         try {
-            const keys = await redisKeys('user:*');
+            const keys = await client.keys('user:*');
             return keys;
         } catch (error) {
             console.error('Error getting all user keys:', error);
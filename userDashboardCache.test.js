@@ -0,0 +1,64 @@
+jest.mock('redis', () => {
+    const store = new Map();
+    const client = {
+        on: jest.fn(),
+        connect: jest.fn(async () => {}),
+        get: jest.fn(async (key) => store.get(key) ?? null),
+        set: jest.fn(async (key, value) => {
+            store.set(key, value);
+            return 'OK';
+        }),
+        del: jest.fn(async (key) => (store.delete(key) ? 1 : 0))
+    };
+    return { store, createClient: () => client };
+});
+
+const { store } = require('redis');
+const dashboardCache = require('./userDashboardCache');
+
+const skill = (overrides = {}) => ({
+    id: 'skill-1',
+    name: 'JavaScript',
+    level: 60,
+    targetLevel: 80,
+    levelSource: 'resume',
+    lastPracticed: '2026-01-10T00:00:00.000Z',
+    ...overrides
+});
+
+beforeEach(() => store.clear());
+
+describe('setSkillProgress', () => {
+    test('keeps progress when a skill is renamed', async () => {
+        await dashboardCache.setSkillProgress('user-1', [skill({ progress: 40 })]);
+        await dashboardCache.setSkillProgress('user-1', [skill({ name: 'TypeScript' })]);
+
+        const [cached] = await dashboardCache.getSkillProgress('user-1');
+        expect(cached).toMatchObject({ id: 'skill-1', name: 'TypeScript', progress: 40 });
+    });
+
+    test('does not carry progress over to a different skill with the same name', async () => {
+        await dashboardCache.setSkillProgress('user-1', [skill({ progress: 40 })]);
+        await dashboardCache.setSkillProgress('user-1', [skill({ id: 'skill-2' })]);
+
+        const [cached] = await dashboardCache.getSkillProgress('user-1');
+        expect(cached.progress).toBeUndefined();
+    });
+
+    test('clears lastPracticed when the new value is null', async () => {
+        await dashboardCache.setSkillProgress('user-1', [skill()]);
+        await dashboardCache.setSkillProgress('user-1', [skill({ lastPracticed: null })]);
+
+        const [cached] = await dashboardCache.getSkillProgress('user-1');
+        expect(cached.lastPracticed).toBeNull();
+    });
+
+    test('keeps the cached lastPracticed when the field is absent', async () => {
+        await dashboardCache.setSkillProgress('user-1', [skill()]);
+        const { lastPracticed, ...withoutDate } = skill();
+        await dashboardCache.setSkillProgress('user-1', [withoutDate]);
+
+        const [cached] = await dashboardCache.getSkillProgress('user-1');
+        expect(cached.lastPracticed).toBe(lastPracticed);
+    });
+});